@@ -1,12 +1,38 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Loader2, FileCheck, AlertCircle, LogOut, Heart, Wifi, WifiOff, FileSpreadsheet, FileText } from 'lucide-react';
+import { FileCheck, AlertCircle, LogOut, Heart, Wifi, WifiOff, FileSpreadsheet, FileText, Printer, Gauge, Cpu } from 'lucide-react';
 
 import { FileUpload } from './components/FileUpload';
 import { Login } from './components/Login';
-import { extractContentFromFiles, listAvailableModels } from './services/GeminiService';
-import { generateWordDocument } from './services/DocxGenerator';
-import { generateExcelDocument } from './services/ExcelGenerator';
+import { ExamTemplateForm } from './components/ExamTemplateForm';
+import { FigureEditor } from './components/FigureEditor';
+import { QuestionEditor } from './components/QuestionEditor';
+import { TableEditor } from './components/TableEditor';
+import { TableRepair } from './components/TableRepair';
+import { PrintPreview } from './components/PrintPreview';
+import { PdfPagePicker } from './components/PdfPagePicker';
+import { JobList } from './components/JobList';
+import { RequestEstimate, UsagePanel } from './components/UsagePanel';
+import { ModelPicker } from './components/ModelPicker';
+import { createConfiguredProvider } from './services/Providers';
+import { loadModelOrder, saveModelOrder, usableModels } from './services/ModelOrder';
+import { extractInChunks } from './services/ChunkedExtraction';
+import { expandPdfPages, isPdf } from './services/PdfPages';
+import { DEFAULT_PREPROCESS, preprocessFiles } from './services/ImagePreprocessor';
+import { estimateExtraction } from './services/UsageEstimator';
+import { clearUsageLog, loadUsageLog, subscribeToUsage } from './services/UsageLog';
+import { toHtmlDocument } from './services/HtmlGenerator';
+import { collectAnswers, collectFigures, mapBlocks, parseQuestionPaperText, serializeQuestionPaper } from './services/QuestionModel';
+import { repairQuestionPaper } from './services/LatexRepair';
+import { cropPaperFigures } from './services/FigureCropper';
+import { CSV_DELIMITERS } from './services/DataExporter';
+import { createOutputFiles, saveOutputFiles } from './services/OutputFiles';
+import { downloadBatchZip, groupFiles } from './services/BatchProcessor';
+import { fileStem } from './services/FileNames';
+import { createJobQueue } from './services/JobQueue';
+import { partialTables } from './services/PartialResponse';
+import { parseTablesJson } from './services/TableModel';
+import { loadTemplateSettings, saveTemplateSettings } from './services/ExamTemplate';
 
 /**
  * Main Application Component
@@ -15,20 +41,67 @@ import { generateExcelDocument } from './services/ExcelGenerator';
 function App() {
     // --- State Management ---
     const [isAuthenticated, setIsAuthenticated] = useState(false);
-    const [apiKey] = useState(import.meta.env.VITE_GEMINI_API_KEY || '');
+    // AI backend chosen in .env; a configuration problem is shown as the first error
+    const [providerSetup] = useState(() => {
+        try {
+            return { provider: createConfiguredProvider(import.meta.env), error: null };
+        } catch (err) {
+            return { provider: null, error: err.message };
+        }
+    });
+    const { provider } = providerSetup;
+    const [savedModelOrder, setSavedModelOrder] = useState(() => (provider ? loadModelOrder(provider.name) : null));
 
     // File & Processing State
     const [files, setFiles] = useState([]);
+    const [pageSelections, setPageSelections] = useState(() => new Map()); // Pages chosen per PDF
+    const [pagesPerRequest, setPagesPerRequest] = useState(4);
+    const [imageEdits, setImageEdits] = useState(() => new Map()); // Manual rotation & crop per image
+    const [preprocess, setPreprocess] = useState(DEFAULT_PREPROCESS);
+    const [sourcePages, setSourcePages] = useState([]); // Images sent for extraction, with PDFs split into pages
     const [isProcessing, setIsProcessing] = useState(false);
-    const [error, setError] = useState(null);
+    const [error, setError] = useState(providerSetup.error);
     const [success, setSuccess] = useState(false);
     const [extractedText, setExtractedText] = useState('');
+    const [questionPaper, setQuestionPaper] = useState(null);
+    const [tables, setTables] = useState(null);
+    const [includeSummary, setIncludeSummary] = useState(false);
+    const [tableOutput, setTableOutput] = useState('xlsx'); // 'xlsx' | 'csv' | 'tsv' | 'json'
+    const [csvOptions, setCsvOptions] = useState({ delimiter: ',', bom: true });
+    const [tableError, setTableError] = useState(null);
     const [fileName, setFileName] = useState("Math Questions");
     const [format, setFormat] = useState('docx'); // 'docx' | 'excel'
+    const [paperOutput, setPaperOutput] = useState('docx'); // 'docx' | 'html' | 'tex' | 'md'
+    const [printFigures, setPrintFigures] = useState(null); // Cropped figures while the print preview is open
+    const [batchMode, setBatchMode] = useState(false);
+    const [groupByName, setGroupByName] = useState(false);
+    const [concurrency, setConcurrency] = useState(2);
+    const [jobs, setJobs] = useState(null);
+    const [numberEquations, setNumberEquations] = useState(false);
+    const [includeAnswerKey, setIncludeAnswerKey] = useState(true);
+    const [template, setTemplate] = useState(loadTemplateSettings);
 
     // System Status
     const [availableModels, setAvailableModels] = useState(null);
     const [isCheckingConnection, setIsCheckingConnection] = useState(false);
+    const [estimate, setEstimate] = useState(null);
+    const [usageLog, setUsageLog] = useState(loadUsageLog);
+    const [showUsage, setShowUsage] = useState(false);
+    const [showModels, setShowModels] = useState(false);
+    const [verifyPapers, setVerifyPapers] = useState(false);
+    const [mathFixes, setMathFixes] = useState([]); // Formulas repaired automatically when the result came in
+    const [unfixedMath, setUnfixedMath] = useState(null); // Problems listed before a download goes ahead
+    const [review, setReview] = useState(null); // Verification pass: { status: 'checking' | 'done' | 'failed', verification, error }
+
+    // Job queue of the current run
+    const queueRef = useRef(null);
+    // Aborts the verification pass in flight
+    const reviewRef = useRef(null);
+
+    // Models tried in order: the user's choice or the provider's defaults, less those the key cannot use
+    const modelOrder = savedModelOrder || provider?.models || [];
+    const activeModels = usableModels(modelOrder, availableModels);
+    const primaryModel = activeModels[0] ?? null;
 
     // --- Effects ---
 
@@ -42,11 +115,45 @@ function App() {
 
     // Check API connection
     useEffect(() => {
-        if (isAuthenticated && apiKey) {
+        if (isAuthenticated && provider) {
             checkConnection();
         }
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [isAuthenticated, apiKey]);
+    }, [isAuthenticated, provider]);
+
+    // Persist exam template settings
+    useEffect(() => {
+        saveTemplateSettings(template);
+    }, [template]);
+
+    // Follow usage recorded by each response
+    useEffect(() => subscribeToUsage(setUsageLog), []);
+
+    // Estimate the requests for the current files and settings before anything is sent
+    useEffect(() => {
+        if (!provider || !primaryModel || files.length === 0) {
+            setEstimate(null);
+            return;
+        }
+        let cancelled = false;
+        const groups = batchMode ? groupFiles(files, groupByName).map(job => job.files) : [files];
+        // Verification follows single docx runs only, as in handleProcess
+        const verify = verifyPapers && !batchMode && format === 'docx';
+        estimateExtraction(groups, { format, model: primaryModel, preprocess, imageEdits, pageSelections, pagesPerRequest, verify })
+            .then(result => !cancelled && setEstimate(result))
+            .catch(err => {
+                console.warn("Could not estimate the request size:", err);
+                if (!cancelled) setEstimate(null);
+            });
+        return () => { cancelled = true; };
+    }, [provider, primaryModel, files, format, preprocess, imageEdits, pageSelections, pagesPerRequest, batchMode, groupByName, verifyPapers]);
+
+    // The print preview follows edits to the paper while it is open
+    const printHtml = useMemo(() => (
+        printFigures && questionPaper
+            ? toHtmlDocument(questionPaper, { numberEquations, includeAnswerKey, template, figures: printFigures })
+            : null
+    ), [printFigures, questionPaper, numberEquations, includeAnswerKey, template]);
 
     // --- Handlers ---
 
@@ -62,42 +169,151 @@ function App() {
     };
 
     const checkConnection = async () => {
-        if (!apiKey) return;
+        if (!provider) return;
         setIsCheckingConnection(true);
-        try {
-            const models = await listAvailableModels(apiKey);
-            setAvailableModels(models);
-            if (error && error.includes('Connection')) setError(null);
-        } catch (err) {
-            setAvailableModels(null);
-            console.error("Connection check failed:", err);
-        } finally {
-            setIsCheckingConnection(false);
-        }
+        const health = await provider.health();
+        setAvailableModels(health.ok ? health.models : null);
+        if (health.ok && error && error.includes('Connection')) setError(null);
+        setIsCheckingConnection(false);
     };
 
+    // Null goes back to the provider's default models
+    const changeModelOrder = (models) => {
+        saveModelOrder(provider.name, models);
+        setSavedModelOrder(models);
+    };
+
+    // Every run goes through the job queue: one job for all files, or in batch
+    // mode one job per file (or group of pages), each with its own output
     const handleProcess = async () => {
         if (!validateRequest()) return;
 
-        setIsProcessing(true);
         setError(null);
         setSuccess(false);
-
+        stopQueue();
+        setJobs(null);
+
+        const runFormat = format;
+        const isBatch = batchMode;
+        const chunkSize = pagesPerRequest;
+        const runModels = activeModels;
+        const runVerify = verifyPapers && !isBatch && runFormat === 'docx';
+        const newJobs = isBatch
+            ? groupFiles(files, groupByName)
+            : [{ id: 0, name: files.length === 1 ? fileStem(files[0].name) : `${files.length} files`, files, status: 'queued', error: null, content: null }];
+        newJobs.forEach(job => { job.format = runFormat; });
+
+        // Images are cleaned up and PDFs split into their selected pages before anything is sent
+        setIsProcessing(true);
         try {
-            const text = await extractContentFromFiles(apiKey, files, format);
-            setExtractedText(text);
-            setSuccess(true);
+            for (const job of newJobs) {
+                job.files = await expandPdfPages(await preprocessFiles(job.files, imageEdits, preprocess), pageSelections);
+            }
         } catch (err) {
-            setError(`Failed to extract content: ${err.message}`);
+            setError(`Failed to prepare files: ${err.message}`);
             console.error(err);
-        } finally {
             setIsProcessing(false);
+            return;
         }
+        const runFiles = newJobs[0].files;
+        if (!isBatch) setSourcePages(runFiles);
+
+        const queue = createJobQueue({
+            concurrency: isBatch ? concurrency : 1,
+            run: async (job, signal, report) => {
+                // A batch job has no repair view, so unreadable tables fail the job
+                const toContent = (result) => (isBatch && runFormat === 'excel' ? parseTablesJson(result, job.files.map(file => file.name)) : result);
+                const result = await extractInChunks(provider, job.files, runFormat, {
+                    signal,
+                    models: runModels,
+                    pagesPerRequest: chunkSize,
+                    onPartial: (partial) => report(toContent(partial))
+                });
+                return toContent(result);
+            },
+            onUpdate: (job) => {
+                if (queueRef.current !== queue) return;
+                setJobs(prev => prev.map(other => (other.id === job.id ? job : other)));
+                if (!isBatch && job.status === 'done') {
+                    const shown = showResult(job.content, runFormat, runFiles);
+                    if (runVerify) verifyPaper(shown, runFiles, runModels);
+                }
+            },
+            onIdle: (finished) => {
+                if (queueRef.current !== queue) return;
+                setIsProcessing(false);
+                if (isBatch) setSuccess(finished.some(job => job.status === 'done'));
+            }
+        });
+
+        queueRef.current = queue;
+        setJobs(newJobs);
+        queue.add(newJobs);
+    };
+
+    // Papers are shown with their math already repaired; returns the paper as shown
+    const showResult = (result, resultFormat, resultFiles) => {
+        setSuccess(true);
+        if (resultFormat === 'excel') {
+            setExtractedText(result);
+            try {
+                setTables(parseTablesJson(result, resultFiles.map(file => file.name)));
+            } catch (parseError) {
+                // Malformed responses open the repair view
+                setTableError(parseError.message);
+            }
+            return null;
+        }
+        const report = repairQuestionPaper(result);
+        setQuestionPaper(report.paper);
+        setExtractedText(report.text);
+        setMathFixes(report.fixes);
+        return report.paper;
+    };
+
+    // Detaches the current queue first, so the jobs it cancels no longer update the page
+    const stopQueue = () => {
+        const queue = queueRef.current;
+        queueRef.current = null;
+        queue?.cancelAll();
+        stopReview();
+    };
+
+    // Second pass: the model compares the text of the paper with the pages it came from
+    const verifyPaper = async (paper, pages, models) => {
+        stopReview();
+        const controller = new AbortController();
+        reviewRef.current = controller;
+        setReview({ status: 'checking', verification: null, error: null });
+        try {
+            const verification = await provider.verify(pages, serializeQuestionPaper(paper), { signal: controller.signal, models });
+            if (reviewRef.current === controller) setReview({ status: 'done', verification, error: null });
+        } catch (err) {
+            if (reviewRef.current === controller) setReview({ status: 'failed', verification: null, error: err.message });
+        } finally {
+            if (reviewRef.current === controller) reviewRef.current = null;
+        }
+    };
+
+    const stopReview = () => {
+        const controller = reviewRef.current;
+        reviewRef.current = null;
+        controller?.abort();
+        setReview(null);
+    };
+
+    const handleRetry = (id) => {
+        setIsProcessing(true);
+        queueRef.current?.retry(id);
     };
 
     const validateRequest = () => {
-        if (!apiKey) {
-            setError("Please configure VITE_GEMINI_API_KEY in .env file.");
+        if (!provider) {
+            setError(providerSetup.error);
+            return false;
+        }
+        if (activeModels.length === 0) {
+            setError("None of the chosen models are available to this key. Pick models in the model settings.");
             return false;
         }
         if (files.length === 0) {
@@ -107,20 +323,80 @@ function App() {
         return true;
     };
 
-    const handleDownload = () => {
-        if (!extractedText) return;
+    const outputSettings = {
+        format,
+        output: format === 'excel' ? tableOutput : paperOutput,
+        numberEquations,
+        includeAnswerKey,
+        template,
+        summary: includeSummary,
+        csvOptions
+    };
+
+    const isBatchRun = batchMode && !!jobs;
 
-        if (format === 'excel') {
-            generateExcelDocument(extractedText, fileName || 'Converted Data');
-        } else {
-            generateWordDocument(extractedText, fileName);
+    // The paper or tables as they stream in, until the run finishes or is stopped
+    const streamingJob = !isBatchRun && jobs?.[0]?.status === 'running' ? jobs[0] : null;
+    const streamingPaper = streamingJob?.format === 'docx' ? streamingJob.partial : null;
+    const streamingTables = streamingJob?.format === 'excel' ? partialTables(streamingJob.partial, streamingJob.files.map(file => file.name)) : null;
+
+    const handleDownload = async () => {
+        if (isBatchRun) return downloadBatchZip(jobs, outputSettings, fileName || 'Converted Documents');
+
+        // Math the generators would garble is listed first, with a choice to go ahead anyway
+        if (format === 'docx' && questionPaper && !unfixedMath) {
+            const { problems } = repairQuestionPaper(questionPaper);
+            if (problems.length) return setUnfixedMath(problems);
         }
+        return downloadResult();
+    };
+
+    const downloadResult = async () => {
+        setUnfixedMath(null);
+        const content = format === 'excel' ? tables : questionPaper;
+        if (!extractedText || !content) return;
+        const name = fileName || (format === 'excel' ? 'Converted Data' : 'Math_Questions');
+        saveOutputFiles(await createOutputFiles(content, name, outputSettings, sourcePages));
+    };
+
+    const handlePrintPreview = async () => {
+        if (questionPaper) setPrintFigures(await cropPaperFigures(questionPaper, sourcePages));
+    };
+
+    // Edits in the preview replace the extracted paper, so downloads use the corrected content
+    const handleTextChange = (text) => {
+        setExtractedText(text);
+        setQuestionPaper(parseQuestionPaperText(text));
+        setUnfixedMath(null);
+    };
+
+    const handleTableRepaired = (repaired, text) => {
+        setTables(repaired);
+        setExtractedText(text);
+        setTableError(null);
+    };
+
+    const handleFigureChange = (figure, box) => {
+        const updated = mapBlocks(questionPaper, block => (block === figure ? { ...block, box } : block));
+        setQuestionPaper(updated);
+        setExtractedText(serializeQuestionPaper(updated));
     };
 
     const resetState = () => {
+        stopQueue();
         setFiles([]);
+        setPageSelections(new Map());
+        setImageEdits(new Map());
+        setSourcePages([]);
         setSuccess(false);
         setExtractedText('');
+        setQuestionPaper(null);
+        setMathFixes([]);
+        setUnfixedMath(null);
+        setTables(null);
+        setTableError(null);
+        setPrintFigures(null);
+        setJobs(null);
         setIsProcessing(false);
         setError(null);
     };
@@ -151,29 +427,152 @@ function App() {
             />
 
             <div className="step-container">
-                <ConnectionStatus availableModels={availableModels} isChecking={isCheckingConnection} />
+                <ConnectionStatus
+                    availableModels={availableModels}
+                    isChecking={isCheckingConnection}
+                    usageTokens={usageLog.reduce((sum, entry) => sum + (entry.totalTokens ?? 0), 0)}
+                    onToggleUsage={() => setShowUsage(!showUsage)}
+                    primaryModel={primaryModel}
+                    onToggleModels={provider ? () => setShowModels(!showModels) : null}
+                />
+
+                {showModels && provider && (
+                    <ModelPicker
+                        providerName={provider.name}
+                        order={modelOrder}
+                        available={availableModels}
+                        isDefault={!savedModelOrder}
+                        onChange={changeModelOrder}
+                        onReset={() => changeModelOrder(null)}
+                        onClose={() => setShowModels(false)}
+                    />
+                )}
+
+                {showUsage && <UsagePanel log={usageLog} onClear={clearUsageLog} onClose={() => setShowUsage(false)} />}
+
+                <FormatSelector
+                    format={format}
+                    setFormat={setFormat}
+                    output={format === 'excel' ? tableOutput : paperOutput}
+                    setOutput={format === 'excel' ? setTableOutput : setPaperOutput}
+                />
 
-                <FormatSelector format={format} setFormat={setFormat} />
+                {format === 'docx' && ['docx', 'html'].includes(paperOutput) && <ExamTemplateForm template={template} setTemplate={setTemplate} />}
 
-                <FileUpload files={files} setFiles={setFiles} />
+                <FileUpload
+                    files={files}
+                    setFiles={setFiles}
+                    imageEdits={imageEdits}
+                    onEditChange={(file, edit) => setImageEdits(prev => new Map(prev).set(file, edit))}
+                    preprocess={preprocess}
+                    setPreprocess={setPreprocess}
+                />
+
+                {!success && files.filter(isPdf).map(file => (
+                    <PdfPagePicker
+                        key={`${file.name}-${file.lastModified}-${file.size}`}
+                        file={file}
+                        pages={pageSelections.get(file)}
+                        onChange={(pages) => setPageSelections(prev => new Map(prev).set(file, pages))}
+                    />
+                ))}
+
+                {!success && !isProcessing && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: '1rem' }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                            Pages per request
+                            <select value={pagesPerRequest} onChange={(e) => setPagesPerRequest(Number(e.target.value))} style={{ padding: '0.3rem' }}>
+                                {[1, 2, 4, 8].map(n => <option key={n} value={n}>{n}</option>)}
+                                <option value={Infinity}>All</option>
+                            </select>
+                        </label>
+                        <CheckboxOption checked={batchMode} onChange={setBatchMode} label="Batch: one document per file" />
+                        {format === 'docx' && !batchMode && (
+                            <CheckboxOption checked={verifyPapers} onChange={setVerifyPapers} label="Double-check against the images (sends the pages again)" />
+                        )}
+                        {batchMode && <CheckboxOption checked={groupByName} onChange={setGroupByName} label="Group pages by file name (scan_p1, scan_p2)" />}
+                        {batchMode && (
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                                Parallel requests
+                                <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} style={{ padding: '0.3rem' }}>
+                                    {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                                </select>
+                            </label>
+                        )}
+                    </div>
+                )}
 
                 {error && <ErrorMessage message={error} />}
 
+                {isProcessing && !jobs && (
+                    <p style={{ textAlign: 'center', color: 'var(--color-text-muted)' }}>Preparing files...</p>
+                )}
+
                 <ActionButtons
                     success={success}
                     isProcessing={isProcessing}
-                    apiKey={apiKey}
+                    hasProvider={!!provider}
                     availableModels={availableModels}
                     files={files}
+                    estimate={estimate}
                     format={format}
                     fileName={fileName}
                     setFileName={setFileName}
+                    numberEquations={numberEquations}
+                    setNumberEquations={setNumberEquations}
+                    hasAnswers={!!questionPaper && collectAnswers(questionPaper).length > 0}
+                    canDownload={isBatchRun ? jobs.some(job => job.status === 'done') : format === 'excel' ? !!tables : !!questionPaper}
+                    isBatch={isBatchRun}
+                    includeSummary={includeSummary}
+                    setIncludeSummary={setIncludeSummary}
+                    tableOutput={tableOutput}
+                    paperOutput={paperOutput}
+                    csvOptions={csvOptions}
+                    setCsvOptions={setCsvOptions}
+                    includeAnswerKey={includeAnswerKey}
+                    setIncludeAnswerKey={setIncludeAnswerKey}
                     handleProcess={handleProcess}
                     handleDownload={handleDownload}
+                    handlePrintPreview={handlePrintPreview}
                     reset={resetState}
                 />
 
-                {success && <Preview content={extractedText} />}
+                {unfixedMath && <UnfixedMathNotice problems={unfixedMath} onDownload={downloadResult} onCancel={() => setUnfixedMath(null)} />}
+
+                {success && questionPaper && collectFigures(questionPaper).length > 0 && (
+                    <FigureEditor figures={collectFigures(questionPaper)} files={sourcePages} onChange={handleFigureChange} />
+                )}
+
+                {jobs && (batchMode || !success || jobs.some(job => job.stopped)) && (
+                    <JobList
+                        jobs={jobs}
+                        onCancel={(id) => queueRef.current?.cancel(id)}
+                        onStop={(id) => queueRef.current?.stop(id)}
+                        onRetry={handleRetry}
+                        onCancelAll={() => queueRef.current?.cancelAll()}
+                    />
+                )}
+
+                {printHtml && <PrintPreview html={printHtml} onClose={() => setPrintFigures(null)} />}
+
+                {streamingPaper && (
+                    <QuestionEditor value={serializeQuestionPaper(streamingPaper)} onChange={() => {}} paper={streamingPaper} streaming />
+                )}
+                {streamingTables && <TableEditor tables={streamingTables} setTables={() => {}} streaming />}
+                {success && questionPaper && (
+                    <QuestionEditor
+                        value={extractedText}
+                        onChange={handleTextChange}
+                        paper={questionPaper}
+                        fixes={mathFixes}
+                        review={review}
+                        onVerify={provider && sourcePages.length > 0 ? () => verifyPaper(questionPaper, sourcePages, activeModels) : undefined}
+                    />
+                )}
+                {success && tables && <TableEditor tables={tables} setTables={setTables} />}
+                {success && tableError && (
+                    <TableRepair rawText={extractedText} error={tableError} fileNames={sourcePages.map(file => file.name)} onRepaired={handleTableRepaired} />
+                )}
 
                 <Footer />
             </div>
@@ -207,8 +606,26 @@ const Footer = () => (
     </footer>
 );
 
-const ConnectionStatus = ({ availableModels, isChecking }) => (
-    <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+const ConnectionStatus = ({ availableModels, isChecking, usageTokens, onToggleUsage, primaryModel, onToggleModels }) => (
+    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+        {onToggleModels && (
+            <button
+                onClick={onToggleModels}
+                title="Models to try, in order"
+                style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.5rem 0.8rem', fontSize: '0.85rem', background: 'transparent', color: primaryModel ? 'var(--color-text-muted)' : '#b91c1c', border: '1px solid var(--color-border)' }}
+            >
+                <Cpu size={16} />
+                {primaryModel || 'No usable model'}
+            </button>
+        )}
+        <button
+            onClick={onToggleUsage}
+            title="Token usage this session"
+            style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.5rem 0.8rem', fontSize: '0.85rem', background: 'transparent', color: 'var(--color-text-muted)', border: '1px solid var(--color-border)' }}
+        >
+            <Gauge size={16} />
+            {usageTokens.toLocaleString()} tokens
+        </button>
         {availableModels ? (
             <StatusBadge icon={Wifi} color="#15803d" bg="#dcfce7" text="System Online" />
         ) : (
@@ -231,22 +648,61 @@ const StatusBadge = ({ icon: Icon, color, bg, text }) => (
     </motion.div>
 );
 
-const FormatSelector = ({ format, setFormat }) => (
-    <div style={{ marginBottom: '1.5rem', background: 'var(--color-bg)', padding: '0.5rem', borderRadius: 'var(--radius-md)', display: 'flex', gap: '0.5rem' }}>
-        <FormatButton
-            active={format === 'docx'}
-            onClick={() => setFormat('docx')}
-            icon={FileText}
-            label="Word (Math)"
-            color="var(--color-primary)"
-        />
-        <FormatButton
-            active={format === 'excel'}
-            onClick={() => setFormat('excel')}
-            icon={FileSpreadsheet}
-            label="Excel (Table)"
-            color="#10b981"
-        />
+/**
+ * Files that can be written for each extraction format.
+ */
+const OUTPUTS = {
+    docx: [
+        { value: 'docx', label: 'Word', download: 'Download Word Doc' },
+        { value: 'html', label: 'HTML', download: 'Download HTML' },
+        { value: 'tex', label: 'LaTeX', download: 'Download LaTeX' },
+        { value: 'md', label: 'Markdown', download: 'Download Markdown' }
+    ],
+    excel: [
+        { value: 'xlsx', label: 'XLSX', download: 'Download Excel' },
+        { value: 'csv', label: 'CSV', download: 'Download CSV' },
+        { value: 'tsv', label: 'TSV', download: 'Download TSV' },
+        { value: 'json', label: 'JSON', download: 'Download JSON' }
+    ]
+};
+
+const FormatSelector = ({ format, setFormat, output, setOutput }) => (
+    <div style={{ marginBottom: '1.5rem' }}>
+        <div style={{ background: 'var(--color-bg)', padding: '0.5rem', borderRadius: 'var(--radius-md)', display: 'flex', gap: '0.5rem' }}>
+            <FormatButton
+                active={format === 'docx'}
+                onClick={() => setFormat('docx')}
+                icon={FileText}
+                label="Math"
+                color="var(--color-primary)"
+            />
+            <FormatButton
+                active={format === 'excel'}
+                onClick={() => setFormat('excel')}
+                icon={FileSpreadsheet}
+                label="Tables"
+                color="#10b981"
+            />
+        </div>
+        <div role="radiogroup" aria-label="Output" style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.25rem', marginTop: '0.5rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+            <span style={{ marginRight: '0.25rem' }}>Save as</span>
+            {OUTPUTS[format].map(({ value, label }) => (
+                <button
+                    key={value}
+                    role="radio"
+                    aria-checked={output === value}
+                    onClick={() => setOutput(value)}
+                    style={{
+                        padding: '0.3rem 0.7rem', fontSize: '0.8rem', borderRadius: 'var(--radius-sm)',
+                        border: '1px solid var(--color-border)',
+                        background: output === value ? (format === 'excel' ? '#10b981' : 'var(--color-primary)') : 'transparent',
+                        color: output === value ? (format === 'excel' ? '#fff' : 'var(--color-bg)') : 'var(--color-text-muted)'
+                    }}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
     </div>
 );
 
@@ -266,6 +722,33 @@ const FormatButton = ({ active, onClick, icon: Icon, label, color }) => (
     </button>
 );
 
+const UnfixedMathNotice = ({ problems, onDownload, onCancel }) => (
+    <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        style={{ marginBottom: '1.5rem', padding: '1rem', background: '#fffbeb', border: '1px solid #fde68a', color: '#92400e', borderRadius: 'var(--radius-md)' }}
+    >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600 }}>
+            <AlertCircle size={20} />
+            {problems.length === 1 ? 'One formula' : `${problems.length} formulas`} could not be repaired and will be written as they are:
+        </div>
+        <ul style={{ margin: '0.5rem 0', paddingLeft: '1.75rem', fontSize: '0.85rem' }}>
+            {problems.map((problem, index) => (
+                <li key={index}>
+                    Line {problem.line}: {problem.message}
+                    {problem.latex && <code style={{ marginLeft: '0.4rem' }}>{problem.latex}</code>}
+                </li>
+            ))}
+        </ul>
+        <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+            <button onClick={onCancel} style={{ background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)' }}>
+                Fix in the preview
+            </button>
+            <button onClick={onDownload}>Download anyway</button>
+        </div>
+    </motion.div>
+);
+
 const ErrorMessage = ({ message }) => (
     <motion.div
         initial={{ opacity: 0 }}
@@ -280,22 +763,22 @@ const ErrorMessage = ({ message }) => (
     </motion.div>
 );
 
-const ActionButtons = ({ success, isProcessing, apiKey, availableModels, files, format, fileName, setFileName, handleProcess, handleDownload, reset }) => (
+const ActionButtons = ({ success, isProcessing, hasProvider, availableModels, files, estimate, format, fileName, setFileName, numberEquations, setNumberEquations, hasAnswers, canDownload, includeAnswerKey, setIncludeAnswerKey, includeSummary, setIncludeSummary, tableOutput, paperOutput, csvOptions, setCsvOptions, isBatch, handleProcess, handleDownload, handlePrintPreview, reset }) => (
     <div className="responsive-flex-col" style={{ display: 'flex', justifyContent: 'center', gap: '1rem', marginTop: '1rem' }}>
         {!success ? (
-            <button
-                onClick={handleProcess}
-                disabled={isProcessing || !apiKey || !availableModels || files.length === 0}
-                className="responsive-w-full"
-                style={{ width: '100%', maxWidth: '300px', fontSize: '1.1rem' }}
-            >
-                {isProcessing ? (
-                    <>
-                        <Loader2 size={20} className="spin" style={{ animation: 'spin 1s linear infinite' }} />
-                        Processing...
-                    </>
-                ) : "Extract & Convert"}
-            </button>
+            // While extracting, the job list shows the progress instead
+            !isProcessing && (
+                <div className="responsive-w-full" style={{ width: '100%', maxWidth: '300px' }}>
+                    <button
+                        onClick={handleProcess}
+                        disabled={!hasProvider || !availableModels || files.length === 0}
+                        style={{ width: '100%', fontSize: '1.1rem' }}
+                    >
+                        Extract & Convert
+                    </button>
+                    {estimate && <RequestEstimate estimate={estimate} />}
+                </div>
+            )
         ) : (
             <div className="responsive-flex-col" style={{ display: 'flex', gap: '1rem', width: '100%', justifyContent: 'center', alignItems: 'center' }}>
                 <div className="responsive-w-full" style={{ display: 'flex', flexDirection: 'column', width: '100%', maxWidth: '200px' }}>
@@ -308,14 +791,50 @@ const ActionButtons = ({ success, isProcessing, apiKey, availableModels, files,
                         style={{ padding: '0.6rem' }}
                     />
                 </div>
+                {format === 'docx' && (
+                    <CheckboxOption checked={numberEquations} onChange={setNumberEquations} label="Number equations" />
+                )}
+                {format === 'docx' && hasAnswers && (
+                    <CheckboxOption checked={includeAnswerKey} onChange={setIncludeAnswerKey} label="Answer key" />
+                )}
+                {format === 'excel' && tableOutput === 'xlsx' && (
+                    <CheckboxOption checked={includeSummary} onChange={setIncludeSummary} label="Summary sheet" />
+                )}
+                {format === 'excel' && tableOutput === 'csv' && (
+                    <label style={{ display: 'flex', flexDirection: 'column', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                        Delimiter
+                        <select
+                            value={csvOptions.delimiter}
+                            onChange={(e) => setCsvOptions({ ...csvOptions, delimiter: e.target.value })}
+                            style={{ padding: '0.6rem', marginTop: '0.25rem' }}
+                        >
+                            {CSV_DELIMITERS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                )}
+                {format === 'excel' && (tableOutput === 'csv' || tableOutput === 'tsv') && (
+                    <CheckboxOption checked={csvOptions.bom} onChange={(bom) => setCsvOptions({ ...csvOptions, bom })} label="UTF-8 BOM" />
+                )}
                 <button
                     onClick={handleDownload}
+                    disabled={!canDownload}
                     className="responsive-w-full"
                     style={{ background: '#10b981', minWidth: '200px', height: 'fit-content', alignSelf: 'flex-end' }}
                 >
                     <FileCheck size={20} />
-                    {format === 'excel' ? 'Download Excel' : 'Download Word Doc'}
+                    {isBatch ? 'Download ZIP' : OUTPUTS[format].find(({ value }) => value === (format === 'excel' ? tableOutput : paperOutput)).download}
                 </button>
+                {format === 'docx' && !isBatch && (
+                    <button
+                        onClick={handlePrintPreview}
+                        disabled={!canDownload}
+                        className="responsive-w-full"
+                        style={{ background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)', height: 'fit-content', alignSelf: 'flex-end' }}
+                    >
+                        <Printer size={20} />
+                        Print Preview
+                    </button>
+                )}
                 <button
                     onClick={reset}
                     className="responsive-w-full"
@@ -328,24 +847,15 @@ const ActionButtons = ({ success, isProcessing, apiKey, availableModels, files,
     </div>
 );
 
-const Preview = ({ content }) => (
-    <motion.div
-        initial={{ opacity: 0, y: 10 }}
-        animate={{ opacity: 1, y: 0 }}
-        style={{
-            marginTop: '2rem', padding: '1rem', background: 'var(--color-surface)',
-            borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
-        }}
-    >
-        <h3 style={{ marginTop: 0 }}>Preview</h3>
-        <div style={{
-            maxHeight: '300px', overflowY: 'auto', whiteSpace: 'pre-wrap',
-            fontFamily: 'monospace', fontSize: '0.9rem', background: 'var(--color-bg)',
-            padding: '1rem', borderRadius: 'var(--radius-md)'
-        }}>
-            {content}
-        </div>
-    </motion.div>
+const CheckboxOption = ({ checked, onChange, label }) => (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.85rem', color: 'var(--color-text-muted)', alignSelf: 'flex-end', paddingBottom: '0.6rem' }}>
+        <input
+            type="checkbox"
+            checked={checked}
+            onChange={(e) => onChange(e.target.checked)}
+        />
+        {label}
+    </label>
 );
 
 export default App;
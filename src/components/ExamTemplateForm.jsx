@@ -0,0 +1,97 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { FONT_CHOICES } from '../services/ExamTemplate';
+
+const TEXT_FIELDS = [
+    { key: 'schoolName', label: 'School / Institution', placeholder: 'Springfield High School' },
+    { key: 'examTitle', label: 'Exam Title', placeholder: 'Half-Yearly Examination' },
+    { key: 'subject', label: 'Subject', placeholder: 'Mathematics' },
+    { key: 'className', label: 'Class', placeholder: 'X' },
+    { key: 'duration', label: 'Time Allowed', placeholder: '3 Hours' },
+    { key: 'maxMarks', label: 'Maximum Marks', placeholder: '80' },
+];
+
+export function ExamTemplateForm({ template, setTemplate }) {
+    const update = (key, value) => setTemplate(prev => ({ ...prev, [key]: value }));
+
+    return (
+        <motion.div
+            className="card"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{ marginBottom: '1.5rem', padding: '1rem' }}
+        >
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 500, cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={template.enabled}
+                    onChange={(e) => update('enabled', e.target.checked)}
+                />
+                Use exam paper template
+            </label>
+
+            {template.enabled && (
+                <div style={{ marginTop: '1rem', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '0.75rem' }}>
+                    {TEXT_FIELDS.map(({ key, label, placeholder }) => (
+                        <Field key={key} label={label}>
+                            <input
+                                type="text"
+                                value={template[key]}
+                                onChange={(e) => update(key, e.target.value)}
+                                placeholder={placeholder}
+                                style={inputStyle}
+                            />
+                        </Field>
+                    ))}
+
+                    <Field label="Font">
+                        <select value={template.fontFamily} onChange={(e) => update('fontFamily', e.target.value)} style={inputStyle}>
+                            {FONT_CHOICES.map(font => <option key={font} value={font}>{font}</option>)}
+                        </select>
+                    </Field>
+                    <Field label="Font Size (pt)">
+                        <input
+                            type="number"
+                            min={8}
+                            max={20}
+                            value={template.fontSize}
+                            onChange={(e) => update('fontSize', Number(e.target.value) || 12)}
+                            style={inputStyle}
+                        />
+                    </Field>
+                    <Field label="Margins (mm)">
+                        <input
+                            type="number"
+                            min={10}
+                            max={50}
+                            value={template.marginMm}
+                            onChange={(e) => update('marginMm', Number(e.target.value) || 25)}
+                            style={inputStyle}
+                        />
+                    </Field>
+
+                    <div style={{ gridColumn: '1 / -1' }}>
+                        <Field label="General Instructions (one per line)">
+                            <textarea
+                                rows={4}
+                                value={template.instructions}
+                                onChange={(e) => update('instructions', e.target.value)}
+                                placeholder={"All questions are compulsory.\nUse of calculators is not permitted."}
+                                style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+                            />
+                        </Field>
+                    </div>
+                </div>
+            )}
+        </motion.div>
+    );
+}
+
+const inputStyle = { padding: '0.5rem', width: '100%', boxSizing: 'border-box' };
+
+const Field = ({ label, children }) => (
+    <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+        {label}
+        {children}
+    </label>
+);
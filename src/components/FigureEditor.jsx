@@ -0,0 +1,96 @@
+import React, { useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { canCropFigures } from '../services/FigureCropper';
+
+const EDGES = [
+    { key: 'top', label: 'Top' },
+    { key: 'bottom', label: 'Bottom' },
+    { key: 'left', label: 'Left' },
+    { key: 'right', label: 'Right' },
+];
+
+// Smallest crop, in thousandths of the image size
+const MIN_SIZE = 10;
+
+export function FigureEditor({ figures, files, onChange }) {
+    const urls = useMemo(() => files.map(file => (canCropFigures(file) ? URL.createObjectURL(file) : null)), [files]);
+
+    useEffect(() => () => urls.forEach(url => url && URL.revokeObjectURL(url)), [urls]);
+
+    const updateEdge = (figure, key, value) => {
+        const box = { ...figure.box, [key]: value };
+        // Keep opposite edges apart so the crop never collapses
+        if (key === 'top') box.top = Math.min(value, box.bottom - MIN_SIZE);
+        if (key === 'bottom') box.bottom = Math.max(value, box.top + MIN_SIZE);
+        if (key === 'left') box.left = Math.min(value, box.right - MIN_SIZE);
+        if (key === 'right') box.right = Math.max(value, box.left + MIN_SIZE);
+        onChange(figure, box);
+    };
+
+    return (
+        <motion.div
+            className="card"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{ marginTop: '2rem', padding: '1rem' }}
+        >
+            <h3 style={{ marginTop: 0 }}>Figures</h3>
+            <p style={{ marginTop: 0, fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                Adjust each crop before downloading. The highlighted area is inserted into the document.
+            </p>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                {figures.map(({ number, figure }, index) => {
+                    const url = urls[figure.source];
+                    const { top, left, bottom, right } = figure.box;
+
+                    return (
+                        <div key={index} style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'flex-start' }}>
+                            <div style={{ flex: '1 1 240px' }}>
+                                <strong style={{ fontSize: '0.9rem' }}>
+                                    {number ? `Question ${number}` : 'Section figure'}{figure.caption ? ` — ${figure.caption}` : ''}
+                                </strong>
+                                {url ? (
+                                    <div style={{ position: 'relative', marginTop: '0.5rem', lineHeight: 0 }}>
+                                        <img src={url} alt={`Source for figure ${index + 1}`} style={{ width: '100%', borderRadius: 'var(--radius-sm)' }} />
+                                        <div style={{
+                                            position: 'absolute',
+                                            top: `${top / 10}%`, left: `${left / 10}%`,
+                                            width: `${(right - left) / 10}%`, height: `${(bottom - top) / 10}%`,
+                                            border: '2px solid var(--color-accent)',
+                                            boxShadow: '0 0 0 9999px rgba(0,0,0,0.35)',
+                                            pointerEvents: 'none'
+                                        }} />
+                                    </div>
+                                ) : (
+                                    <p style={{ fontSize: '0.85rem', color: '#b91c1c' }}>
+                                        {files[figure.source]
+                                            ? 'Figures in PDF files cannot be cropped; a placeholder will be inserted.'
+                                            : 'The source file for this figure is missing; a placeholder will be inserted.'}
+                                    </p>
+                                )}
+                            </div>
+
+                            {url && (
+                                <div style={{ flex: '0 1 200px', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                                    {EDGES.map(({ key, label }) => (
+                                        <label key={key} style={{ display: 'flex', flexDirection: 'column', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                                            {label}
+                                            <input
+                                                type="range"
+                                                min={0}
+                                                max={1000}
+                                                value={figure.box[key]}
+                                                onChange={(e) => updateEdge(figure, key, Number(e.target.value))}
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </motion.div>
+    );
+}
@@ -1,9 +1,18 @@
-import React, { useRef } from 'react';
-import { Upload, FileText, X, Image as ImageIcon } from 'lucide-react';
+import React, { useRef, useState } from 'react';
+import { Upload, FileText, X, Image as ImageIcon, SlidersHorizontal } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { ImageAdjuster } from './ImageAdjuster';
+import { TARGET_SIZES } from '../services/ImagePreprocessor';
 
-export function FileUpload({ files, setFiles }) {
+const CLEANUP_OPTIONS = [
+    { key: 'enhance', label: 'Enhance contrast' },
+    { key: 'grayscale', label: 'Grayscale' },
+    { key: 'deskew', label: 'Straighten' },
+];
+
+export function FileUpload({ files, setFiles, imageEdits, onEditChange, preprocess, setPreprocess }) {
     const inputRef = useRef(null);
+    const [adjusting, setAdjusting] = useState(null); // Image whose before/after preview is open
 
     const handleDragOver = (e) => {
         e.preventDefault();
@@ -111,21 +120,73 @@ export function FileUpload({ files, setFiles }) {
                                     </span>
                                 </div>
                             </div>
-                            <button
-                                onClick={(e) => { e.stopPropagation(); removeFile(index); }}
-                                style={{
-                                    padding: '0.4rem',
-                                    background: 'transparent',
-                                    color: '#ef4444',
-                                    minWidth: 'auto'
-                                }}
-                            >
-                                <X size={18} />
-                            </button>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                                {file.type.startsWith('image/') && (
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); setAdjusting(adjusting === file ? null : file); }}
+                                        aria-label={`Adjust ${file.name}`}
+                                        aria-pressed={adjusting === file}
+                                        style={{
+                                            padding: '0.4rem',
+                                            background: adjusting === file ? 'var(--color-surface)' : 'transparent',
+                                            color: 'var(--color-text-muted)',
+                                            minWidth: 'auto'
+                                        }}
+                                    >
+                                        <SlidersHorizontal size={18} />
+                                    </button>
+                                )}
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); removeFile(index); }}
+                                    style={{
+                                        padding: '0.4rem',
+                                        background: 'transparent',
+                                        color: '#ef4444',
+                                        minWidth: 'auto'
+                                    }}
+                                >
+                                    <X size={18} />
+                                </button>
+                            </div>
                         </motion.div>
                     ))}
                 </AnimatePresence>
             </div>
+
+            {adjusting && files.includes(adjusting) && (
+                <ImageAdjuster
+                    file={adjusting}
+                    edit={imageEdits.get(adjusting)}
+                    onChange={(edit) => onEditChange(adjusting, edit)}
+                    options={preprocess}
+                />
+            )}
+
+            {files.some(file => file.type.startsWith('image/')) && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginTop: '1rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                    <span>Image cleanup</span>
+                    {CLEANUP_OPTIONS.map(({ key, label }) => (
+                        <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                            <input
+                                type="checkbox"
+                                checked={preprocess[key]}
+                                onChange={(e) => setPreprocess({ ...preprocess, [key]: e.target.checked })}
+                            />
+                            {label}
+                        </label>
+                    ))}
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                        Max size
+                        <select
+                            value={preprocess.targetSize ?? ''}
+                            onChange={(e) => setPreprocess({ ...preprocess, targetSize: e.target.value ? Number(e.target.value) : null })}
+                            style={{ padding: '0.3rem' }}
+                        >
+                            {TARGET_SIZES.map(({ value, label }) => <option key={label} value={value ?? ''}>{label}</option>)}
+                        </select>
+                    </label>
+                </div>
+            )}
         </motion.div>
     );
 }
@@ -0,0 +1,138 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Loader2, RotateCcw, RotateCw } from 'lucide-react';
+import { NO_EDIT, preprocessImage } from '../services/ImagePreprocessor';
+
+const EDGES = [
+    { key: 'top', label: 'Top' },
+    { key: 'bottom', label: 'Bottom' },
+    { key: 'left', label: 'Left' },
+    { key: 'right', label: 'Right' },
+];
+
+const FULL_IMAGE = { top: 0, left: 0, bottom: 1000, right: 1000 };
+
+// Smallest crop, in thousandths of the image size
+const MIN_SIZE = 50;
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+/**
+ * Before and after views of an uploaded image with the cleanup applied,
+ * plus manual rotation and cropping. The after view is what gets uploaded.
+ */
+export function ImageAdjuster({ file, edit = NO_EDIT, onChange, options }) {
+    const beforeUrl = useMemo(() => URL.createObjectURL(file), [file]);
+    const [after, setAfter] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => () => URL.revokeObjectURL(beforeUrl), [beforeUrl]);
+    // The previous result stays on screen until the next one is ready
+    useEffect(() => () => after && URL.revokeObjectURL(after.url), [after]);
+
+    // Re-run the pipeline shortly after the last change, so dragging a slider stays smooth
+    useEffect(() => {
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const processed = await preprocessImage(file, edit, options);
+                if (cancelled) return;
+                setAfter({ url: URL.createObjectURL(processed), size: processed.size });
+                setError(null);
+            } catch (err) {
+                console.error(`Could not preprocess ${file.name}:`, err);
+                if (!cancelled) setError(err.message);
+            }
+        }, 300);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [file, edit, options]);
+
+    const crop = edit.crop || FULL_IMAGE;
+
+    const rotate = (quarterTurns) => {
+        // A crop drawn on the old orientation no longer matches, so it is dropped
+        onChange({ rotation: (edit.rotation + quarterTurns * 90 + 360) % 360, crop: null });
+    };
+
+    const updateEdge = (key, value) => {
+        const box = { ...crop, [key]: value };
+        // Keep opposite edges apart so the crop never collapses
+        if (key === 'top') box.top = Math.min(value, box.bottom - MIN_SIZE);
+        if (key === 'bottom') box.bottom = Math.max(value, box.top + MIN_SIZE);
+        if (key === 'left') box.left = Math.min(value, box.right - MIN_SIZE);
+        if (key === 'right') box.right = Math.max(value, box.left + MIN_SIZE);
+        onChange({ ...edit, crop: box });
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '0.75rem', padding: '1rem', background: 'var(--color-bg)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'flex-start' }}>
+                <Preview title={`Before · ${formatSize(file.size)}`} url={beforeUrl} alt={`${file.name} as uploaded`} />
+                <Preview
+                    title={after ? `After · ${formatSize(after.size)}` : 'After'}
+                    url={after?.url}
+                    alt={`${file.name} after cleanup`}
+                    error={error}
+                />
+                <div style={{ flex: '0 1 180px', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button onClick={() => rotate(-1)} aria-label="Rotate left" style={{ flex: 1, padding: '0.4rem' }}>
+                            <RotateCcw size={16} />
+                        </button>
+                        <button onClick={() => rotate(1)} aria-label="Rotate right" style={{ flex: 1, padding: '0.4rem' }}>
+                            <RotateCw size={16} />
+                        </button>
+                    </div>
+                    {EDGES.map(({ key, label }) => (
+                        <label key={key} style={{ display: 'flex', flexDirection: 'column', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                            Crop {label.toLowerCase()}
+                            <input
+                                type="range"
+                                min={0}
+                                max={1000}
+                                value={crop[key]}
+                                onChange={(e) => updateEdge(key, Number(e.target.value))}
+                            />
+                        </label>
+                    ))}
+                    <button
+                        onClick={() => onChange(NO_EDIT)}
+                        disabled={!edit.rotation && !edit.crop}
+                        style={{ padding: '0.4rem', fontSize: '0.8rem', background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)' }}
+                    >
+                        Reset
+                    </button>
+                </div>
+            </div>
+        </motion.div>
+    );
+}
+
+const Preview = ({ title, url, alt, error }) => (
+    <div style={{ flex: '1 1 200px', minWidth: 0 }}>
+        <strong style={{ fontSize: '0.85rem' }}>{title}</strong>
+        <div style={{ marginTop: '0.5rem', minHeight: '120px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            {error ? (
+                <p style={{ fontSize: '0.85rem', color: '#b91c1c' }}>Could not process this image: {error}</p>
+            ) : url ? (
+                <img src={url} alt={alt} style={{ width: '100%', maxHeight: '360px', objectFit: 'contain', borderRadius: 'var(--radius-sm)' }} />
+            ) : (
+                <Loader2 size={20} style={{ animation: 'spin 1s linear infinite', color: 'var(--color-text-muted)' }} />
+            )}
+        </div>
+    </div>
+);
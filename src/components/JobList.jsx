@@ -0,0 +1,116 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle, Ban, CheckCircle2, Clock, Loader2, RotateCcw, Square, X } from 'lucide-react';
+import { describePartial } from '../services/PartialResponse';
+
+/**
+ * Icon, colour and text for each job state.
+ */
+const STATUS = {
+    queued: { icon: Clock, color: 'var(--color-text-muted)', label: 'Queued' },
+    running: { icon: Loader2, color: 'var(--color-accent)', label: 'Extracting...' },
+    done: { icon: CheckCircle2, color: '#15803d', label: 'Done' },
+    failed: { icon: AlertCircle, color: '#dc2626', label: 'Failed' },
+    cancelled: { icon: Ban, color: 'var(--color-text-muted)', label: 'Cancelled' }
+};
+
+/**
+ * @param {Object} job
+ * @returns {string}
+ */
+const statusText = (job) => {
+    const { label } = STATUS[job.status];
+    if (job.status === 'failed') return `${label}: ${job.error}`;
+    if (job.status === 'running' && job.partial) return `${label} ${describePartial(job.partial, job.format)} so far`;
+    if (job.status === 'done' && job.stopped) return 'Stopped, partial result kept';
+    return label;
+};
+
+/**
+ * Progress of the extraction jobs, with cancel for queued and running jobs,
+ * stop (keeping what has arrived) for running ones and retry for failed or
+ * cancelled ones.
+ */
+export function JobList({ jobs, onCancel, onStop, onRetry, onCancelAll }) {
+    const done = jobs.filter(job => job.status === 'done').length;
+    const failed = jobs.filter(job => job.status === 'failed').length;
+    const active = jobs.some(job => job.status === 'queued' || job.status === 'running');
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '2rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', marginBottom: '0.75rem' }}>
+                <h3 style={{ margin: 0 }}>Progress</h3>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                    <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                        {done} of {jobs.length} done{failed ? `, ${failed} failed` : ''}
+                    </span>
+                    {active && jobs.length > 1 && <SmallButton icon={X} label="Cancel all" onClick={onCancelAll} />}
+                </div>
+            </div>
+            <div
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={jobs.length}
+                aria-valuenow={done}
+                style={{ height: '4px', background: 'var(--color-bg)', borderRadius: '2px', marginBottom: '0.75rem', overflow: 'hidden' }}
+            >
+                <div style={{ height: '100%', width: `${(done / jobs.length) * 100}%`, background: '#10b981', transition: 'width 0.3s' }} />
+            </div>
+            <ul style={{ margin: 0, padding: 0, listStyle: 'none', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                {jobs.map(job => {
+                    const { icon: Icon, color } = STATUS[job.status];
+                    return (
+                        <li
+                            key={job.id}
+                            style={{
+                                display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.6rem 0.75rem',
+                                background: 'var(--color-bg)', borderRadius: 'var(--radius-sm)', border: '1px solid var(--color-border)'
+                            }}
+                        >
+                            <Icon size={18} style={{ color, flexShrink: 0, animation: job.status === 'running' ? 'spin 1s linear infinite' : undefined }} />
+                            <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+                                <span style={{ fontWeight: 500, fontSize: '0.95rem' }}>{job.name}</span>
+                                <span style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {job.files.map(file => file.name).join(', ')}
+                                </span>
+                            </div>
+                            <span title={job.error || undefined} style={{ fontSize: '0.85rem', color, maxWidth: '40%', textAlign: 'right' }}>
+                                {statusText(job)}
+                            </span>
+                            {job.status === 'running' && job.partial && (
+                                <SmallButton icon={Square} label="Stop" title="Stop and keep what has arrived" onClick={() => onStop(job.id)} />
+                            )}
+                            {(job.status === 'queued' || job.status === 'running') && (
+                                <SmallButton icon={X} label="Cancel" onClick={() => onCancel(job.id)} />
+                            )}
+                            {(job.status === 'failed' || job.status === 'cancelled') && (
+                                <SmallButton icon={RotateCcw} label="Retry" onClick={() => onRetry(job.id)} />
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </motion.div>
+    );
+}
+
+const SmallButton = ({ icon: Icon, label, title, onClick }) => (
+    <button
+        onClick={onClick}
+        title={title}
+        style={{
+            display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.3rem 0.6rem', fontSize: '0.8rem', flexShrink: 0,
+            background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)'
+        }}
+    >
+        <Icon size={14} />
+        {label}
+    </button>
+);
@@ -0,0 +1,98 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { ArrowDown, ArrowUp, RotateCcw, X } from 'lucide-react';
+import { moveModel } from '../services/ModelOrder';
+
+/**
+ * The models extraction tries, in order, with controls to reorder, remove
+ * and add them. Models the key cannot use stay in the list but are
+ * skipped, so they come back if access is granted later.
+ */
+export function ModelPicker({ providerName, order, available, isDefault, onChange, onReset, onClose }) {
+    const availableNames = available ? new Set(available.map(model => model.name)) : null;
+    const addable = (available || []).map(model => model.name).filter(name => !order.includes(name)).sort();
+    const usableCount = availableNames ? order.filter(name => availableNames.has(name)).length : order.length;
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginBottom: '1.5rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                <h3 style={{ margin: 0 }}>{providerName} models</h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button
+                        onClick={onReset}
+                        disabled={isDefault}
+                        style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.4rem 0.8rem', background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)' }}
+                    >
+                        <RotateCcw size={16} />
+                        Defaults
+                    </button>
+                    <button
+                        onClick={onClose}
+                        aria-label="Close model settings"
+                        style={{ padding: '0.4rem', background: 'transparent', color: 'var(--color-text-muted)', border: '1px solid var(--color-border)' }}
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+            <p style={{ margin: '0 0 0.75rem', fontSize: '0.85rem', color: usableCount ? 'var(--color-text-muted)' : '#dc2626' }}>
+                {usableCount
+                    ? 'Tried from the top; the next model is used when one is rate limited, unavailable or returns an unusable response.'
+                    : 'None of these models are available to this key. Add one below.'}
+            </p>
+
+            <ol style={{ margin: 0, padding: 0, listStyle: 'none', display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+                {order.map((name, i) => {
+                    const unavailable = availableNames && !availableNames.has(name);
+                    return (
+                        <li
+                            key={name}
+                            style={{
+                                display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.4rem 0.6rem', fontSize: '0.9rem',
+                                background: 'var(--color-bg)', borderRadius: 'var(--radius-sm)', border: '1px solid var(--color-border)'
+                            }}
+                        >
+                            <span style={{ width: '1.5rem', color: 'var(--color-text-muted)' }}>{i + 1}.</span>
+                            <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', textDecoration: unavailable ? 'line-through' : undefined, color: unavailable ? 'var(--color-text-muted)' : undefined }}>
+                                {name}
+                            </span>
+                            {unavailable && <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>not available to this key</span>}
+                            <IconButton icon={ArrowUp} label={`Move ${name} up`} disabled={i === 0} onClick={() => onChange(moveModel(order, i, -1))} />
+                            <IconButton icon={ArrowDown} label={`Move ${name} down`} disabled={i === order.length - 1} onClick={() => onChange(moveModel(order, i, 1))} />
+                            <IconButton icon={X} label={`Remove ${name}`} disabled={order.length === 1} onClick={() => onChange(order.filter(other => other !== name))} />
+                        </li>
+                    );
+                })}
+            </ol>
+
+            {addable.length > 0 && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                    Add model
+                    <select value="" onChange={(e) => e.target.value && onChange([...order, e.target.value])} style={{ padding: '0.3rem', maxWidth: '100%' }}>
+                        <option value="">Choose...</option>
+                        {addable.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </label>
+            )}
+        </motion.div>
+    );
+}
+
+const IconButton = ({ icon: Icon, label, disabled, onClick }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        aria-label={label}
+        title={label}
+        style={{ padding: '0.25rem', flexShrink: 0, background: 'transparent', color: 'var(--color-text-muted)', border: '1px solid var(--color-border)' }}
+    >
+        <Icon size={14} />
+    </button>
+);
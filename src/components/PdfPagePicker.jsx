@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FileText } from 'lucide-react';
+import { allPages, formatPageRange, getPageCount, parsePageRange, renderThumbnail } from '../services/PdfPages';
+
+/**
+ * Page thumbnails of an uploaded PDF with a page-range field; only the
+ * selected pages are extracted. Clicking a thumbnail toggles its page.
+ */
+export function PdfPagePicker({ file, pages, onChange }) {
+    const [pageCount, setPageCount] = useState(null);
+    const [thumbnails, setThumbnails] = useState([]);
+    const [loadError, setLoadError] = useState(null);
+    const [rangeText, setRangeText] = useState(null); // Range being typed, until it parses
+    const [rangeError, setRangeError] = useState(null);
+
+    // Thumbnails are rendered one at a time so the first pages show up quickly
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const count = await getPageCount(file);
+                if (cancelled) return;
+                setPageCount(count);
+                for (let page = 1; page <= count && !cancelled; page++) {
+                    const thumbnail = await renderThumbnail(file, page);
+                    if (!cancelled) setThumbnails(prev => [...prev, thumbnail]);
+                }
+            } catch (error) {
+                console.error(`Could not read ${file.name}:`, error);
+                if (!cancelled) setLoadError(error.message);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [file]);
+
+    const selected = pages ?? (pageCount ? allPages(pageCount) : []);
+
+    const handleRangeChange = (text) => {
+        setRangeText(text);
+        try {
+            onChange(parsePageRange(text, pageCount));
+            setRangeError(null);
+        } catch (error) {
+            setRangeError(error.message);
+        }
+    };
+
+    const togglePage = (page) => {
+        const next = selected.includes(page) ? selected.filter(other => other !== page) : [...selected, page].sort((a, b) => a - b);
+        // At least one page stays selected
+        if (!next.length) return;
+        setRangeText(null);
+        setRangeError(null);
+        onChange(next);
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '1rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', minWidth: 0 }}>
+                    <FileText size={18} style={{ color: 'var(--color-accent)', flexShrink: 0 }} />
+                    <strong style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{file.name}</strong>
+                    {pageCount && (
+                        <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)', whiteSpace: 'nowrap' }}>
+                            {selected.length} of {pageCount} pages
+                        </span>
+                    )}
+                </div>
+                {pageCount && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                        Pages
+                        <input
+                            type="text"
+                            value={rangeText ?? formatPageRange(selected)}
+                            onChange={(e) => handleRangeChange(e.target.value)}
+                            onBlur={() => !rangeError && setRangeText(null)}
+                            placeholder={`1-${pageCount}`}
+                            aria-invalid={!!rangeError}
+                            style={{ padding: '0.4rem', width: '10rem', borderColor: rangeError ? '#dc2626' : undefined }}
+                        />
+                    </label>
+                )}
+            </div>
+            {rangeError && <p style={{ margin: '0 0 0.75rem', fontSize: '0.85rem', color: '#dc2626' }}>{rangeError}</p>}
+            {loadError && <p style={{ margin: 0, fontSize: '0.85rem', color: '#dc2626' }}>Could not read this PDF: {loadError}</p>}
+            <div style={{ display: 'flex', gap: '0.5rem', overflowX: 'auto', paddingBottom: '0.25rem' }}>
+                {thumbnails.map((thumbnail, i) => {
+                    const page = i + 1;
+                    const isSelected = selected.includes(page);
+                    return (
+                        <button
+                            key={page}
+                            onClick={() => togglePage(page)}
+                            aria-pressed={isSelected}
+                            title={isSelected ? `Skip page ${page}` : `Include page ${page}`}
+                            style={{
+                                display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.25rem', flexShrink: 0,
+                                padding: '0.25rem', background: 'transparent', color: 'var(--color-text-muted)', fontSize: '0.75rem',
+                                border: `2px solid ${isSelected ? 'var(--color-accent)' : 'var(--color-border)'}`, opacity: isSelected ? 1 : 0.4
+                            }}
+                        >
+                            <img src={thumbnail} alt={`Page ${page}`} style={{ display: 'block', width: '80px', background: '#fff' }} />
+                            {page}
+                        </button>
+                    );
+                })}
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,45 @@
+import React, { useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Printer, X } from 'lucide-react';
+
+/**
+ * Shows the HTML export of the paper in a frame, as it will print, with a
+ * button that prints the frame alone.
+ */
+export function PrintPreview({ html, onClose }) {
+    const frameRef = useRef(null);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '2rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+                <h3 style={{ margin: 0 }}>Print Preview</h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button onClick={() => frameRef.current?.contentWindow?.print()} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.4rem 0.8rem' }}>
+                        <Printer size={16} />
+                        Print
+                    </button>
+                    <button
+                        onClick={onClose}
+                        aria-label="Close print preview"
+                        style={{ padding: '0.4rem', background: 'transparent', color: 'var(--color-text-muted)', border: '1px solid var(--color-border)' }}
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+            <iframe
+                ref={frameRef}
+                title="Print preview"
+                srcDoc={html}
+                style={{ width: '100%', height: '600px', border: '1px solid var(--color-border)', borderRadius: 'var(--radius-sm)', background: '#f3f4f6' }}
+            />
+        </motion.div>
+    );
+}
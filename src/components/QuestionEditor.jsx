@@ -0,0 +1,272 @@
+import React, { useMemo, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { AlertTriangle, Loader2, ScanSearch, Wrench } from 'lucide-react';
+import { findMathProblems, optionLabel } from '../services/QuestionModel';
+import { checksByQuestion, locateIssues, needsReview } from '../services/Verification';
+import { findLatexProblems } from '../services/LatexParser';
+import { latexToMathML } from '../services/MathMLRenderer';
+
+/**
+ * Side-by-side editor for the extracted question paper: the text form on
+ * the left and the live-rendered paper on the right. Math the document
+ * generators cannot handle is outlined in the render and listed by line.
+ * While the paper is still streaming in, both sides are read-only and the
+ * problem list waits for the end, when the math is complete.
+ *
+ * Formulas repaired automatically when the result came in are listed with
+ * their line, so the fixes can be checked.
+ *
+ * After a verification pass, questions the model is unsure of are outlined
+ * with the suspect spans marked, and each issue in the list selects its
+ * span in the text.
+ */
+export function QuestionEditor({ value, onChange, paper, streaming = false, fixes = [], review = null, onVerify }) {
+    const textareaRef = useRef(null);
+    const problems = useMemo(() => (streaming ? [] : findMathProblems(value)), [value, streaming]);
+    const verification = review?.verification;
+    const flags = useMemo(() => (verification ? locateIssues(value, verification) : []), [value, verification]);
+    const checks = useMemo(() => (verification && paper ? checksByQuestion(paper, verification) : new Map()), [paper, verification]);
+
+    const jumpTo = (flag) => {
+        const textarea = textareaRef.current;
+        if (!flag || !textarea) return;
+        textarea.focus();
+        textarea.setSelectionRange(flag.start, flag.end);
+        // Bring the line into view with a little context above it
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+        textarea.scrollTop = Math.max(0, (flag.line - 3) * lineHeight);
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '2rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <h3 style={{ marginTop: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                {streaming ? 'Preview' : 'Preview & Edit'}
+                {streaming && (
+                    <span style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', fontSize: '0.85rem', fontWeight: 400, color: 'var(--color-text-muted)' }}>
+                        <Loader2 size={14} style={{ animation: 'spin 1s linear infinite' }} />
+                        Receiving...
+                    </span>
+                )}
+                {!streaming && onVerify && (
+                    <button
+                        onClick={onVerify}
+                        disabled={review?.status === 'checking'}
+                        title="Ask the model to compare the text with the uploaded pages"
+                        style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.4rem 0.8rem', fontSize: '0.85rem', fontWeight: 400, background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)' }}
+                    >
+                        <ScanSearch size={16} />
+                        {review ? 'Check again' : 'Check against images'}
+                    </button>
+                )}
+            </h3>
+            <div className="responsive-flex-col" style={{ display: 'flex', gap: '1rem', alignItems: 'stretch' }}>
+                <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+                    <textarea
+                        ref={textareaRef}
+                        value={value}
+                        onChange={(e) => onChange(e.target.value)}
+                        readOnly={streaming}
+                        spellCheck={false}
+                        aria-label="Extracted text"
+                        style={{
+                            flex: 1, minHeight: '400px', resize: 'vertical', whiteSpace: 'pre',
+                            fontFamily: 'monospace', fontSize: '0.9rem', background: 'var(--color-bg)',
+                            padding: '1rem', borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+                        }}
+                    />
+                    {review && <ReviewList review={review} flags={flags} onSelect={jumpTo} />}
+                    {fixes.length > 0 && <FixList fixes={fixes} />}
+                    {problems.length > 0 && <ProblemList problems={problems} />}
+                </div>
+                <div style={{
+                    flex: 1, minWidth: 0, maxHeight: '500px', overflowY: 'auto', background: '#fff', color: '#111',
+                    padding: '1rem', borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)', lineHeight: 1.6
+                }}>
+                    {paper && <PaperView paper={paper} checks={checks} onSelect={(question) => jumpTo(flags.find(flag => flag.number === question.number))} />}
+                </div>
+            </div>
+        </motion.div>
+    );
+}
+
+const ProblemList = ({ problems }) => (
+    <ul style={{ margin: '0.5rem 0 0', padding: '0.5rem 0.75rem', listStyle: 'none', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: 'var(--radius-sm)', fontSize: '0.8rem', color: '#92400e' }}>
+        {problems.map((problem, index) => (
+            <li key={index} style={{ display: 'flex', gap: '0.4rem', alignItems: 'baseline' }}>
+                <AlertTriangle size={12} style={{ flexShrink: 0 }} />
+                <span>
+                    Line {problem.line}: {problem.message}
+                    {problem.latex && <code style={{ marginLeft: '0.4rem' }}>{problem.latex}</code>}
+                </span>
+            </li>
+        ))}
+    </ul>
+);
+
+const FixList = ({ fixes }) => (
+    <details style={{ margin: '0.5rem 0 0', padding: '0.5rem 0.75rem', background: '#f0fdf4', border: '1px solid #bbf7d0', borderRadius: 'var(--radius-sm)', fontSize: '0.8rem', color: '#166534' }}>
+        <summary style={{ cursor: 'pointer' }}>{fixes.length} {fixes.length === 1 ? 'fix' : 'fixes'} made to the math automatically</summary>
+        <ul style={{ margin: '0.25rem 0 0', padding: 0, listStyle: 'none' }}>
+            {fixes.map((fix, index) => (
+                <li key={index} style={{ display: 'flex', gap: '0.4rem', alignItems: 'baseline' }}>
+                    <Wrench size={12} style={{ flexShrink: 0 }} />
+                    <span>{fix.line ? `Line ${fix.line}: ` : ''}{fix.message}</span>
+                </li>
+            ))}
+        </ul>
+    </details>
+);
+
+const ReviewList = ({ review, flags, onSelect }) => {
+    const boxStyle = { margin: '0.5rem 0 0', padding: '0.5rem 0.75rem', borderRadius: 'var(--radius-sm)', fontSize: '0.8rem' };
+    if (review.status === 'checking') {
+        return (
+            <p style={{ ...boxStyle, display: 'flex', alignItems: 'center', gap: '0.4rem', color: 'var(--color-text-muted)', border: '1px solid var(--color-border)' }}>
+                <Loader2 size={12} style={{ animation: 'spin 1s linear infinite' }} />
+                Checking the text against the images...
+            </p>
+        );
+    }
+    if (review.status === 'failed') {
+        return <p style={{ ...boxStyle, color: '#b91c1c', background: '#fee2e2' }}>Could not check the extraction: {review.error}</p>;
+    }
+    if (!flags.length) {
+        return <p style={{ ...boxStyle, color: '#15803d', background: '#dcfce7' }}>Checked against the images: no discrepancies found.</p>;
+    }
+    return (
+        <ul style={{ ...boxStyle, listStyle: 'none', background: '#fff7ed', border: '1px solid #fdba74', color: '#9a3412' }}>
+            <li style={{ fontWeight: 600, marginBottom: '0.25rem' }}>{flags.length} {flags.length === 1 ? 'spot' : 'spots'} to review</li>
+            {flags.map((flag, index) => (
+                <li key={index}>
+                    <button
+                        onClick={() => onSelect(flag)}
+                        style={{ display: 'flex', gap: '0.4rem', alignItems: 'baseline', width: '100%', padding: '0.15rem 0', textAlign: 'left', fontSize: 'inherit', background: 'transparent', color: 'inherit', border: 'none' }}
+                    >
+                        <ScanSearch size={12} style={{ flexShrink: 0 }} />
+                        <span>
+                            Q{flag.number}, line {flag.line}: {flag.problem}
+                            {flag.excerpt && !flag.exact && ' (text not found)'}
+                            {flag.suggestion && <code style={{ marginLeft: '0.4rem' }}>→ {flag.suggestion}</code>}
+                        </span>
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+const PaperView = ({ paper, checks, onSelect }) => (
+    <>
+        {paper.title && <h2 style={{ textAlign: 'center', margin: '0 0 1rem' }}>{paper.title}</h2>}
+        {paper.sections.map((section, index) => (
+            <section key={index}>
+                {section.heading && <h3 style={{ margin: '1rem 0 0.5rem' }}>{section.heading}</h3>}
+                <Blocks blocks={section.content} />
+                {section.questions.map((question, i) => (
+                    <ReviewedQuestion key={i} question={question} check={checks.get(question)} onSelect={() => onSelect(question)} />
+                ))}
+            </section>
+        ))}
+    </>
+);
+
+/**
+ * A top-level question, outlined with its confidence when it needs a second look.
+ */
+const ReviewedQuestion = ({ question, check, onSelect }) => {
+    if (!needsReview(check)) return <QuestionView question={question} depth={0} />;
+    const excerpts = check.issues.map(issue => issue.excerpt.replace(/^\$+|\$+$/g, '').trim()).filter(Boolean);
+    return (
+        <div
+            onClick={onSelect}
+            title={check.issues.map(issue => issue.problem).join('\n') || 'Low confidence'}
+            style={{ position: 'relative', marginTop: '0.75rem', padding: '0 0.4rem 0.25rem', cursor: 'pointer', background: '#fff7ed', outline: '2px solid #fdba74', borderRadius: 'var(--radius-sm)' }}
+        >
+            <span style={{ position: 'absolute', top: '-0.6rem', right: '0.4rem', padding: '0 0.3rem', fontSize: '0.7rem', background: '#fdba74', color: '#7c2d12', borderRadius: '2px' }}>
+                {Math.round(check.confidence * 100)}%
+            </span>
+            <QuestionView question={question} depth={0} excerpts={excerpts} />
+        </div>
+    );
+};
+
+const QuestionView = ({ question, depth, excerpts = [] }) => (
+    <div style={{ display: 'flex', gap: '0.5rem', marginTop: depth === 0 ? '0.75rem' : '0.25rem', marginLeft: depth ? '1.5rem' : 0 }}>
+        <strong style={{ fontWeight: depth === 0 ? 700 : 400, minWidth: '1.75rem' }}>
+            {depth === 0 ? `${question.number}.` : `(${question.number})`}
+        </strong>
+        <div style={{ flex: 1 }}>
+            <Blocks blocks={question.content} excerpts={excerpts} />
+            {question.options.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', columnGap: '2rem' }}>
+                    {question.options.map((option, i) => (
+                        <span key={i}>({optionLabel(i)}) <Blocks blocks={option.content} excerpts={excerpts} inline /></span>
+                    ))}
+                </div>
+            )}
+            {question.parts.map((part, i) => <QuestionView key={i} question={part} depth={depth + 1} excerpts={excerpts} />)}
+        </div>
+        {question.marks !== null && <strong style={{ whiteSpace: 'nowrap' }}>[{question.marks}]</strong>}
+    </div>
+);
+
+const SUSPECT_STYLE = { background: '#fed7aa', borderRadius: '2px' };
+
+/**
+ * Text with the first suspect excerpt in it marked.
+ */
+const TextRun = ({ text, excerpts }) => {
+    const excerpt = excerpts.find(candidate => text.includes(candidate));
+    if (!excerpt) return <span>{text}</span>;
+    const index = text.indexOf(excerpt);
+    return <span>{text.slice(0, index)}<mark style={SUSPECT_STYLE}>{excerpt}</mark>{text.slice(index + excerpt.length)}</span>;
+};
+
+/**
+ * Whether a formula overlaps a suspect excerpt, either way round.
+ * @param {string} latex
+ * @param {string[]} excerpts
+ * @returns {boolean}
+ */
+const isSuspect = (latex, excerpts) => excerpts.some(excerpt => latex.includes(excerpt) || (latex.trim() && excerpt.includes(latex.trim())));
+
+const Blocks = ({ blocks, inline = false, excerpts = [] }) => blocks.map((block, index) => {
+    if (block.type === 'display') {
+        return (
+            <div key={index} style={{ textAlign: 'center', margin: '0.5rem 0' }}>
+                <MathView latex={block.latex} display suspect={isSuspect(block.latex, excerpts)} />
+                {block.tag && <span style={{ float: 'right' }}>({block.tag})</span>}
+            </div>
+        );
+    }
+    if (block.type === 'figure') {
+        return (
+            <div key={index} style={{ fontStyle: 'italic', color: '#6b7280', margin: '0.25rem 0' }}>
+                [Figure from image {block.source + 1}{block.caption ? `: ${block.caption}` : ''}]
+            </div>
+        );
+    }
+
+    const runs = block.runs.map((run, i) => (run.type === 'math'
+        ? <MathView key={i} latex={run.latex} suspect={isSuspect(run.latex, excerpts)} />
+        : <TextRun key={i} text={run.text} excerpts={excerpts} />));
+    return inline ? <span key={index}>{runs}</span> : <p key={index} style={{ margin: '0 0 0.25rem' }}>{runs}</p>;
+});
+
+const MathView = ({ latex, display = false, suspect = false }) => {
+    const problems = findLatexProblems(latex);
+    return (
+        <span
+            title={problems.length ? problems.map(p => p.message).join('\n') : undefined}
+            style={problems.length ? { outline: '2px solid #f59e0b', background: '#fef3c7', borderRadius: '2px' } : suspect ? SUSPECT_STYLE : undefined}
+            dangerouslySetInnerHTML={{ __html: latexToMathML(latex, display) }}
+        />
+    );
+};
@@ -0,0 +1,230 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertTriangle, Loader2, Plus, Trash2, TableCellsMerge, TableCellsSplit } from 'lucide-react';
+import {
+    columnCount, columnName, deleteColumn, deleteRow, findMerge, insertColumn, insertRow,
+    mergeCells, setHeaderRows, unmergeCells, updateCell
+} from '../services/TableModel';
+import { findTotals } from '../services/TableAnalysis';
+
+/**
+ * Spreadsheet-like editor for the extracted tables, one tab per worksheet.
+ * Click a cell to select it, shift-click to extend the selection to a block
+ * that can be merged. While the tables are still streaming in, the grid is
+ * read-only and the editing tools are hidden.
+ */
+export function TableEditor({ tables, setTables, streaming = false }) {
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [selection, setSelection] = useState({ row: 0, col: 0, endRow: 0, endCol: 0 });
+    const isMouseDown = useRef(false);
+
+    const active = Math.min(activeIndex, tables.length - 1);
+    const table = tables[active];
+    const setTable = (updated) => setTables(tables.map((other, i) => (i === active ? updated : other)));
+    const totals = useMemo(() => new Map(findTotals(table).map(total => [`${total.row}:${total.col}`, total])), [table]);
+    const mismatches = [...totals.values()].filter(total => total.mismatch);
+
+    const block = {
+        row: Math.min(selection.row, selection.endRow),
+        col: Math.min(selection.col, selection.endCol),
+        rowSpan: Math.abs(selection.endRow - selection.row) + 1,
+        colSpan: Math.abs(selection.endCol - selection.col) + 1
+    };
+    const isSelected = (r, c) => r >= block.row && r < block.row + block.rowSpan && c >= block.col && c < block.col + block.colSpan;
+    const selectedMerge = findMerge(table, selection.row, selection.col);
+    const columns = columnCount(table);
+
+    const select = (row, col, extend) => {
+        setSelection(prev => (extend ? { ...prev, endRow: row, endCol: col } : { row, col, endRow: row, endCol: col }));
+    };
+
+    // Structural edits reset the selection so it never points outside the grid
+    const switchTable = (index) => {
+        setActiveIndex(index);
+        setSelection({ row: 0, col: 0, endRow: 0, endCol: 0 });
+    };
+
+    const removeTable = () => {
+        setTables(tables.filter((_, i) => i !== active));
+        switchTable(Math.max(0, active - 1));
+    };
+
+    const apply = (updated) => {
+        setTable(updated);
+        setSelection(prev => {
+            const row = Math.min(prev.row, updated.rows.length - 1);
+            const col = Math.min(prev.col, columnCount(updated) - 1);
+            return { row, col, endRow: row, endCol: col };
+        });
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '2rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <h3 style={{ marginTop: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                {streaming ? 'Preview' : 'Edit Tables'}
+                {streaming && (
+                    <span style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', fontSize: '0.85rem', fontWeight: 400, color: 'var(--color-text-muted)' }}>
+                        <Loader2 size={14} style={{ animation: 'spin 1s linear infinite' }} />
+                        Receiving...
+                    </span>
+                )}
+            </h3>
+
+            <div role="tablist" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem', marginBottom: '0.75rem', borderBottom: '1px solid var(--color-border)' }}>
+                {tables.map((other, i) => (
+                    <button
+                        key={i}
+                        role="tab"
+                        aria-selected={i === active}
+                        onClick={() => switchTable(i)}
+                        style={{
+                            padding: '0.4rem 0.8rem', fontSize: '0.85rem', borderRadius: 'var(--radius-sm) var(--radius-sm) 0 0',
+                            background: i === active ? 'var(--color-bg)' : 'transparent',
+                            color: i === active ? 'var(--color-text-main)' : 'var(--color-text-muted)',
+                            border: '1px solid var(--color-border)', borderBottom: 'none'
+                        }}
+                    >
+                        {other.name || `Table ${i + 1}`}
+                    </button>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'flex-end', marginBottom: '0.75rem' }}>
+                <label style={{ display: 'flex', flexDirection: 'column', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                    Sheet name
+                    <input
+                        type="text"
+                        value={table.name}
+                        onChange={(e) => setTable({ ...table, name: e.target.value })}
+                        readOnly={streaming}
+                        style={{ padding: '0.4rem' }}
+                    />
+                </label>
+                <label style={{ display: 'flex', flexDirection: 'column', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                    Header rows
+                    <input
+                        type="number"
+                        min={1}
+                        max={table.rows.length}
+                        value={table.headerRows}
+                        onChange={(e) => setTable(setHeaderRows(table, Number(e.target.value)))}
+                        readOnly={streaming}
+                        style={{ padding: '0.4rem', width: '5rem' }}
+                    />
+                </label>
+                {table.source && (
+                    <span style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', paddingBottom: '0.5rem' }}>From {table.source}</span>
+                )}
+                {!streaming && tables.length > 1 && (
+                    <ToolButton icon={Trash2} label="Delete table" onClick={removeTable} />
+                )}
+            </div>
+
+            {!streaming && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                    <ToolButton icon={Plus} label="Add row" onClick={() => apply(insertRow(table, selection.row + 1))} />
+                    <ToolButton icon={Plus} label="Add column" onClick={() => apply(insertColumn(table, selection.col + 1))} />
+                    <ToolButton icon={Trash2} label="Delete row" onClick={() => apply(deleteRow(table, selection.row))} disabled={table.rows.length <= 1} />
+                    <ToolButton icon={Trash2} label="Delete column" onClick={() => apply(deleteColumn(table, selection.col))} disabled={columns <= 1} />
+                    <ToolButton icon={TableCellsMerge} label="Merge cells" onClick={() => apply(mergeCells(table, block))} disabled={block.rowSpan * block.colSpan < 2} />
+                    <ToolButton icon={TableCellsMerge} label="Merge header row" onClick={() => apply(mergeCells(table, { row: 0, col: 0, rowSpan: 1, colSpan: columns }))} disabled={columns < 2} />
+                    <ToolButton icon={TableCellsSplit} label="Unmerge" onClick={() => apply(unmergeCells(table, selection.row, selection.col))} disabled={!selectedMerge} />
+                </div>
+            )}
+
+            <div style={{ overflow: 'auto', maxHeight: '500px', border: '1px solid var(--color-border)', borderRadius: 'var(--radius-sm)' }}>
+                <table style={{ borderCollapse: 'collapse', fontSize: '0.9rem', minWidth: '100%' }}>
+                    <thead>
+                        <tr>
+                            <th style={headerCellStyle} />
+                            {Array.from({ length: columns }, (_, c) => <th key={c} style={headerCellStyle}>{columnName(c)}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {table.rows.map((cells, r) => (
+                            <tr key={r}>
+                                <th style={headerCellStyle}>{r + 1}</th>
+                                {cells.map((value, c) => {
+                                    const merge = findMerge(table, r, c);
+                                    const total = totals.get(`${r}:${c}`);
+                                    // Cells covered by a merge are drawn by its top-left cell
+                                    if (merge && (merge.row !== r || merge.col !== c)) return null;
+
+                                    return (
+                                        <td
+                                            key={c}
+                                            rowSpan={merge?.rowSpan}
+                                            colSpan={merge?.colSpan}
+                                            title={total ? `=${total.formula} → ${total.computed}` : undefined}
+                                            style={{
+                                                border: '1px solid var(--color-border)', padding: 0,
+                                                background: isSelected(r, c) ? 'rgba(59, 130, 246, 0.12)' : total?.mismatch ? '#fef3c7' : undefined
+                                            }}
+                                        >
+                                            <input
+                                                type="text"
+                                                value={value}
+                                                aria-label={`Cell ${columnName(c)}${r + 1}`}
+                                                onChange={(e) => setTable(updateCell(table, r, c, e.target.value))}
+                                                readOnly={streaming}
+                                                onMouseDown={() => { isMouseDown.current = true; }}
+                                                onClick={(e) => { isMouseDown.current = false; select(r, c, e.shiftKey); }}
+                                                onFocus={() => { if (!isMouseDown.current) select(r, c, false); }}
+                                                style={{
+                                                    width: '100%', minWidth: '6rem', boxSizing: 'border-box', border: 'none',
+                                                    padding: '0.4rem', background: 'transparent',
+                                                    fontWeight: r < table.headerRows ? 600 : 400, textAlign: merge ? 'center' : 'left'
+                                                }}
+                                            />
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {mismatches.length > 0 && (
+                <ul style={{ margin: '0.5rem 0 0', padding: '0.5rem 0.75rem', listStyle: 'none', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: 'var(--radius-sm)', fontSize: '0.8rem', color: '#92400e' }}>
+                    {mismatches.map(({ row, col, extracted, computed }) => (
+                        <li key={`${row}:${col}`} style={{ display: 'flex', gap: '0.4rem', alignItems: 'baseline' }}>
+                            <AlertTriangle size={12} style={{ flexShrink: 0 }} />
+                            {columnName(col)}{row + 1}: printed total {extracted} but the rows above add up to {computed}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {!streaming && (
+                <p style={{ margin: '0.5rem 0 0', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                    Shift-click to select a block of cells. Header rows stay frozen above an autofilter in Excel; total rows are exported as SUM formulas.
+                </p>
+            )}
+        </motion.div>
+    );
+}
+
+const headerCellStyle = {
+    position: 'sticky', top: 0, background: 'var(--color-bg)', color: 'var(--color-text-muted)',
+    fontWeight: 500, fontSize: '0.75rem', padding: '0.25rem 0.5rem', border: '1px solid var(--color-border)'
+};
+
+const ToolButton = ({ icon: Icon, label, onClick, disabled = false }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        style={{
+            display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.4rem 0.7rem', fontSize: '0.85rem',
+            background: 'var(--color-bg)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)'
+        }}
+    >
+        <Icon size={14} />
+        {label}
+    </button>
+);
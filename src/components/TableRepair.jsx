@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertTriangle } from 'lucide-react';
+import { createTable, parseTablesJson } from '../services/TableModel';
+
+/**
+ * Shown when the extracted table is not valid JSON: lets the user fix the
+ * raw response and parse it again, or start from an empty grid.
+ */
+export function TableRepair({ rawText, error, fileNames, onRepaired }) {
+    const [text, setText] = useState(rawText);
+    const [parseError, setParseError] = useState(error);
+
+    const handleParse = () => {
+        try {
+            onRepaired(parseTablesJson(text, fileNames), text);
+        } catch (err) {
+            setParseError(err.message);
+        }
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginTop: '2rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <h3 style={{ marginTop: 0 }}>Repair Extracted Data</h3>
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', padding: '0.6rem 0.75rem', marginBottom: '0.75rem', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: 'var(--radius-sm)', color: '#92400e', fontSize: '0.85rem' }}>
+                <AlertTriangle size={16} style={{ flexShrink: 0 }} />
+                <span>The response could not be read as a table ({parseError}). Fix the JSON below; it should list tables of rows, e.g. <code>{'{"tables": [{"name": "Scores", "rows": [["Name", "Score"], ["Asha", "42"]]}]}'}</code>.</span>
+            </div>
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                spellCheck={false}
+                aria-label="Raw extracted data"
+                style={{
+                    width: '100%', boxSizing: 'border-box', minHeight: '250px', resize: 'vertical',
+                    fontFamily: 'monospace', fontSize: '0.9rem', background: 'var(--color-bg)',
+                    padding: '1rem', borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+                }}
+            />
+            <div style={{ display: 'flex', gap: '0.75rem', marginTop: '0.75rem' }}>
+                <button onClick={handleParse}>Parse Again</button>
+                <button
+                    onClick={() => onRepaired([createTable([['']])], text)}
+                    style={{ background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)' }}
+                >
+                    Start With Empty Grid
+                </button>
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,138 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { AlertTriangle, Download, Trash2, X } from 'lucide-react';
+import { entryCost, exportUsageLog, summarizeUsage } from '../services/UsageLog';
+import { INLINE_LIMIT } from '../services/UsageEstimator';
+import { saveOutputFiles } from '../services/OutputFiles';
+
+/**
+ * @param {number|null} cost
+ * @returns {string}
+ */
+const formatCost = (cost) => (cost === null ? '—' : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`);
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+const cellStyle = { padding: '0.4rem 0.6rem', borderBottom: '1px solid var(--color-border)', textAlign: 'right', whiteSpace: 'nowrap' };
+
+/**
+ * Token usage reported for each request of this session, with totals.
+ */
+export function UsagePanel({ log, onClear, onClose }) {
+    const total = summarizeUsage(log);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            style={{
+                marginBottom: '1.5rem', padding: '1rem', background: 'var(--color-surface)',
+                borderRadius: 'var(--radius-md)', border: '1px solid var(--color-border)'
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                <h3 style={{ margin: 0 }}>Usage this session</h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button onClick={() => saveOutputFiles([{ name: 'Usage Log.csv', blob: exportUsageLog(log) }])} disabled={!log.length} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.4rem 0.8rem' }}>
+                        <Download size={16} />
+                        Export CSV
+                    </button>
+                    <button
+                        onClick={onClear}
+                        disabled={!log.length}
+                        style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.4rem 0.8rem', background: 'var(--color-surface)', color: 'var(--color-text-main)', border: '1px solid var(--color-border)' }}
+                    >
+                        <Trash2 size={16} />
+                        Clear
+                    </button>
+                    <button
+                        onClick={onClose}
+                        aria-label="Close usage log"
+                        style={{ padding: '0.4rem', background: 'transparent', color: 'var(--color-text-muted)', border: '1px solid var(--color-border)' }}
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {log.length === 0 ? (
+                <p style={{ margin: 0, fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>No requests yet.</p>
+            ) : (
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                        <thead>
+                            <tr style={{ color: 'var(--color-text-muted)' }}>
+                                <th style={{ ...cellStyle, textAlign: 'left' }}>Time</th>
+                                <th style={{ ...cellStyle, textAlign: 'left' }}>Model</th>
+                                <th style={cellStyle}>Files</th>
+                                <th style={cellStyle}>Size</th>
+                                <th style={cellStyle}>Input tokens</th>
+                                <th style={cellStyle}>Output tokens</th>
+                                <th style={cellStyle}>Cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {log.map((entry, i) => (
+                                <tr key={i}>
+                                    <td style={{ ...cellStyle, textAlign: 'left' }}>{new Date(entry.time).toLocaleTimeString()}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'left' }}>{entry.model}</td>
+                                    <td style={cellStyle}>{entry.files}</td>
+                                    <td style={cellStyle}>{formatBytes(entry.bytes)}</td>
+                                    <td style={cellStyle}>{entry.promptTokens?.toLocaleString() ?? '—'}</td>
+                                    <td style={cellStyle}>{entry.outputTokens?.toLocaleString() ?? '—'}</td>
+                                    <td style={cellStyle}>{formatCost(entryCost(entry))}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr style={{ fontWeight: 600 }}>
+                                <td style={{ ...cellStyle, textAlign: 'left' }} colSpan={4}>{total.requests} requests</td>
+                                <td style={cellStyle}>{total.promptTokens.toLocaleString()}</td>
+                                <td style={cellStyle}>{total.outputTokens.toLocaleString()}</td>
+                                <td style={cellStyle}>{formatCost(total.cost)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            )}
+        </motion.div>
+    );
+}
+
+/**
+ * One-line estimate of the next extraction, with a second line for the
+ * verification pass when it is on, warning when a request would be too
+ * large to send.
+ */
+export function RequestEstimate({ estimate }) {
+    const { verification } = estimate;
+    const extractionTooLarge = estimate.largestRequest > INLINE_LIMIT;
+    const tooLarge = extractionTooLarge || verification?.bytes > INLINE_LIMIT;
+    return (
+        <p
+            title={`Priced for ${estimate.model}; output tokens${verification ? ' and the text sent for checking' : ''} are not included`}
+            style={{ margin: '0.5rem 0 0', fontSize: '0.8rem', textAlign: 'center', color: tooLarge ? '#dc2626' : 'var(--color-text-muted)' }}
+        >
+            {tooLarge && <AlertTriangle size={14} style={{ verticalAlign: 'middle', marginRight: '0.25rem' }} />}
+            ≈ {estimate.inputTokens.toLocaleString()} input tokens · {estimate.requests} {estimate.requests === 1 ? 'request' : 'requests'} · {formatBytes(estimate.bytes)} · {formatCost(estimate.cost)}
+            {verification && (
+                <>
+                    <br />
+                    + check against the images: ≈ {verification.inputTokens.toLocaleString()} input tokens · 1 request · {formatBytes(verification.bytes)} · {formatCost(verification.cost)}
+                </>
+            )}
+            {tooLarge && (
+                <>
+                    <br />
+                    {extractionTooLarge
+                        ? `A request is over the ${formatBytes(INLINE_LIMIT)} limit; send fewer pages per request or lower the image size.`
+                        : `The check sends every page at once, over the ${formatBytes(INLINE_LIMIT)} limit; lower the image size.`}
+                </>
+            )}
+        </p>
+    );
+}
@@ -0,0 +1,150 @@
+import { parseQuestionPaper } from './QuestionModel';
+import { VERIFICATION_SCHEMA, getPrompt, getResponseSchema, getVerificationPrompt } from './Prompts';
+import { parseVerification } from './Verification';
+import { recordUsage } from './UsageLog';
+import { ERROR_POLICIES, classifyError, describeError, retryDelay, sleep } from './RetryPolicy';
+
+/**
+ * Common interface of the AI backends. A backend only knows how to send one
+ * prompt with images to one model; createProvider adds what every backend
+ * shares: encoding the files once, trying the models in order, parsing the
+ * response and logging usage.
+ *
+ * @typedef {'docx'|'excel'|'verify'} RequestKind - What a request is for; 'verify' is the verification pass.
+ * @typedef {{mimeType: string, data: string}} InlineImage - data is base64.
+ * @typedef {{promptTokens: number|null, outputTokens: number|null, totalTokens: number|null}} TokenUsage
+ * @typedef {{name: string}} ModelInfo
+ *
+ * @typedef {Object} Backend
+ * @property {string} name - Shown in the UI, e.g. "Gemini".
+ * @property {string[]} models - Models to try, in order of priority.
+ * @property {function(string, {prompt: string, schema: Object, images: InlineImage[], format: RequestKind, signal?: AbortSignal, onText?: function(string): void}): Promise<{text: string, usage: TokenUsage}>} generate
+ *   Streams the response, calling onText with all the text received so far as it grows.
+ * @property {function(): Promise<ModelInfo[]>} listModels
+ *
+ * @typedef {Object} AIProvider
+ * @property {string} name
+ * @property {string[]} models
+ * @property {function(File[], 'docx'|'excel', {signal?: AbortSignal, models?: string[], onText?: function(string): void}=): Promise<import('./QuestionModel').QuestionPaper|string>} extract
+ *   Question paper for 'docx', tables JSON string for 'excel'. Tries `models` in order, by default the provider's own;
+ *   onText follows the response of the model being tried as it streams in.
+ * @property {function(File[], string, {signal?: AbortSignal, models?: string[]}=): Promise<import('./Verification').Verification>} verify
+ *   Checks the text form of a paper extracted from the files against them.
+ * @property {function(): Promise<ModelInfo[]>} listModels
+ * @property {function(): Promise<{ok: boolean, models: ModelInfo[], error: string|null}>} health
+ */
+
+/**
+ * Reads a file as base64 for inlining in a request.
+ * @param {File} file
+ * @returns {Promise<InlineImage>}
+ */
+export const fileToInlineImage = (file) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve({ mimeType: file.type, data: reader.result.split(',')[1] });
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+};
+
+/**
+ * @param {Backend} backend
+ * @returns {AIProvider}
+ */
+export function createProvider(backend) {
+    return {
+        name: backend.name,
+        models: backend.models,
+        extract: (files, format = 'docx', options = {}) => requestWithFallback(backend, files, {
+            prompt: getPrompt(format),
+            schema: getResponseSchema(format),
+            format,
+            parse: (text) => (format === 'excel' ? text : parseQuestionPaper(text))
+        }, options),
+        verify: (files, paperText, options = {}) => requestWithFallback(backend, files, {
+            prompt: getVerificationPrompt(paperText),
+            schema: VERIFICATION_SCHEMA,
+            format: 'verify',
+            parse: parseVerification
+        }, options),
+        listModels: () => backend.listModels(),
+        async health() {
+            try {
+                return { ok: true, models: await backend.listModels(), error: null };
+            } catch (error) {
+                console.error(`${backend.name} health check failed:`, error);
+                return { ok: false, models: [], error: error.message };
+            }
+        }
+    };
+}
+
+/**
+ * Sends the request to one model, retrying after a backoff while the
+ * failure is one that tends to pass.
+ * @param {Backend} backend
+ * @param {string} model
+ * @param {Object} request - As passed to backend.generate.
+ * @returns {Promise<{text: string, usage: TokenUsage}>}
+ */
+async function generateWithBackoff(backend, model, request) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await backend.generate(model, request);
+        } catch (error) {
+            const delay = request.signal?.aborted ? null : retryDelay(error, attempt);
+            if (delay === null) throw error;
+            console.warn(`Model ${model} failed (${classifyError(error)}), retrying in ${(delay / 1000).toFixed(1)}s...`, error);
+            await sleep(delay, request.signal);
+        }
+    }
+}
+
+/**
+ * Sends the request to each model in turn until one returns a response
+ * that parses. Moves on to the next model when one keeps failing or
+ * returns a response that does not validate, but stops at once on
+ * failures no other model would avoid, such as a rejected key.
+ * @template T
+ * @param {Backend} backend
+ * @param {File[]} files
+ * @param {Object} kind
+ * @param {string} kind.prompt
+ * @param {Object} kind.schema
+ * @param {RequestKind} kind.format
+ * @param {function(string): T} kind.parse - Throws if the response is unusable.
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request in flight and skips the remaining models.
+ * @param {string[]} [options.models] - Models to try, in order.
+ * @param {function(string): void} [options.onText] - Response text so far, starting over with each attempt.
+ * @returns {Promise<T>}
+ */
+async function requestWithFallback(backend, files, { prompt, schema, format, parse }, { signal, models = backend.models, onText }) {
+    if (!models.length) throw new Error("No models selected.");
+    const images = await Promise.all(files.map(fileToInlineImage));
+    const request = { prompt, schema, images, format, signal, onText };
+    let lastError = null;
+
+    for (const model of models) {
+        try {
+            console.log(`Attempting generation with model: ${model}`);
+            const { text, usage } = await generateWithBackoff(backend, model, request);
+            recordUsage({
+                model,
+                format,
+                files: files.length,
+                bytes: images.reduce((sum, image) => sum + image.data.length, 0),
+                ...usage
+            });
+            return parse(text);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            if (!ERROR_POLICIES[classifyError(error)].nextModel) throw describeError(error);
+            console.warn(`Model ${model} failed, retrying with next available...`, error);
+            lastError = error;
+        }
+    }
+
+    throw describeError(lastError);
+}
@@ -0,0 +1,54 @@
+import { fileStem } from './FileNames';
+import { createOutputFiles, createZip, saveOutputFiles } from './OutputFiles';
+
+/**
+ * Batch mode: every uploaded file (or group of pages) is extracted on its
+ * own, through the job queue, and becomes its own output document, named
+ * after its source; the outputs are downloaded together as a zip.
+ *
+ * @typedef {Object} BatchJob
+ * @property {number} id
+ * @property {string} name - Output name, taken from the source file name.
+ * @property {File[]} files
+ * @property {import('./JobQueue').JobState} status
+ * @property {string|null} error
+ * @property {import('./QuestionModel').QuestionPaper|import('./TableModel').Table[]|null} content
+ */
+
+/**
+ * A page number at the end of a file name: "ws1_p2", "ws1-page 2", "ws1 (2)".
+ */
+const PAGE_SUFFIX_PATTERN = /(?:[\s_-]+(?:p|pg|page)?\s*\d+|\s*\(\d+\))$/i;
+
+/**
+ * Creates one job per file, or with byName one job per set of files whose
+ * names differ only in a trailing page number, in upload order.
+ * @param {File[]} files
+ * @param {boolean} [byName]
+ * @returns {BatchJob[]}
+ */
+export function groupFiles(files, byName = false) {
+    const groups = new Map();
+    files.forEach((file, index) => {
+        const stem = fileStem(file.name);
+        const key = byName ? stem.replace(PAGE_SUFFIX_PATTERN, '').trim() || stem : index;
+        if (!groups.has(key)) groups.set(key, { name: byName ? key : stem, files: [] });
+        groups.get(key).files.push(file);
+    });
+
+    return [...groups.values()].map((group, id) => ({ id, ...group, status: 'queued', error: null, content: null }));
+}
+
+/**
+ * Builds the output of every finished job and downloads them as one zip.
+ * @param {BatchJob[]} jobs
+ * @param {import('./OutputFiles').OutputSettings} settings
+ * @param {string} fileName - Name of the zip, without extension.
+ */
+export async function downloadBatchZip(jobs, settings, fileName = 'Converted Documents') {
+    const outputs = [];
+    for (const job of jobs.filter(job => job.status === 'done')) {
+        outputs.push(...await createOutputFiles(job.content, job.name, settings, job.files));
+    }
+    saveOutputFiles([{ name: `${fileName}.zip`, blob: await createZip(outputs) }]);
+}
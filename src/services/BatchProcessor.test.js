@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { groupFiles } from './BatchProcessor';
+import { createZip } from './OutputFiles';
+
+const file = (name) => ({ name });
+
+describe('groupFiles', () => {
+    it('names one job per file after its source', () => {
+        expect(groupFiles([file('ws 1.jpg'), file('ws 2.png')]).map(job => [job.name, job.files.length, job.status]))
+            .toEqual([['ws 1', 1, 'queued'], ['ws 2', 1, 'queued']]);
+    });
+
+    it('groups pages that differ only in a trailing page number', () => {
+        const jobs = groupFiles([file('algebra_p1.jpg'), file('geometry (1).jpg'), file('algebra_p2.jpg'), file('geometry (2).jpg'), file('quiz.png')], true);
+        expect(jobs.map(job => [job.name, job.files.map(f => f.name)])).toEqual([
+            ['algebra', ['algebra_p1.jpg', 'algebra_p2.jpg']],
+            ['geometry', ['geometry (1).jpg', 'geometry (2).jpg']],
+            ['quiz', ['quiz.png']]
+        ]);
+    });
+});
+
+describe('createZip', () => {
+    it('numbers repeated file names', async () => {
+        const blob = () => new Blob(['x']);
+        const zip = await JSZip.loadAsync(await createZip([{ name: 'a.docx', blob: blob() }, { name: 'A.docx', blob: blob() }, { name: 'b', blob: blob() }]));
+        expect(Object.keys(zip.files).sort()).toEqual(['A (2).docx', 'a.docx', 'b']);
+    });
+});
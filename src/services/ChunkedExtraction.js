@@ -0,0 +1,99 @@
+import { mapBlocks, mergeQuestionPapers } from './QuestionModel';
+import { createPartialParser } from './PartialResponse';
+
+/**
+ * Splits an extraction into one request per chunk of pages and stitches the
+ * results back together in page order. Figures and tables point at the
+ * page they came from by its position in the request, so positions are
+ * shifted from chunk to whole job while stitching.
+ */
+
+/**
+ * @param {File[]} files
+ * @param {number} size - Files per chunk; Infinity keeps them together.
+ * @returns {File[][]}
+ */
+export function chunkFiles(files, size) {
+    if (!(size < files.length)) return [files];
+    const chunks = [];
+    for (let start = 0; start < files.length; start += size) chunks.push(files.slice(start, start + size));
+    return chunks;
+}
+
+/**
+ * Extracts the files a chunk at a time, one after another.
+ * @param {import('./AIProvider').AIProvider} provider
+ * @param {File[]} files - Images in page order.
+ * @param {'docx'|'excel'} format
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {string[]} [options.models] - Models to try, in order; the provider's own by default.
+ * @param {number} [options.pagesPerRequest]
+ * @param {function(import('./QuestionModel').QuestionPaper|string): void} [options.onPartial] - Receives what has
+ *   arrived so far, earlier chunks included, in the same shape as the result. A preview it rejects by throwing is skipped.
+ * @returns {Promise<import('./QuestionModel').QuestionPaper|string>} Same as provider.extract, for all the files.
+ */
+export async function extractInChunks(provider, files, format, { signal, models, pagesPerRequest = Infinity, onPartial } = {}) {
+    const chunks = chunkFiles(files, pagesPerRequest);
+    // With everything in one request, 0 * Infinity would be NaN
+    const offsets = chunks.map((_, i) => i && i * pagesPerRequest);
+    const results = [];
+
+    for (const [i, chunk] of chunks.entries()) {
+        const parse = createPartialParser(format);
+        const onText = onPartial && ((text) => {
+            try {
+                const partial = parse(text);
+                if (partial) onPartial(mergeResults([...results, partial], offsets, format));
+            } catch {
+                // Thrown inside the stream it would break off the request; the last good preview stays
+            }
+        });
+        try {
+            results.push(await provider.extract(chunk, format, { signal, models, onText }));
+        } catch (error) {
+            if (signal?.aborted || chunks.length === 1) throw error;
+            throw new Error(`Request ${i + 1} of ${chunks.length} (${chunk[0].name} to ${chunk[chunk.length - 1].name}): ${error.message}`);
+        }
+    }
+
+    return chunks.length === 1 ? results[0] : mergeResults(results, offsets, format);
+}
+
+/**
+ * Stitches the results of consecutive chunks together.
+ * @param {Array<import('./QuestionModel').QuestionPaper|string>} results
+ * @param {number[]} offsets - Position of each chunk's first file.
+ * @param {'docx'|'excel'} format
+ * @returns {import('./QuestionModel').QuestionPaper|string}
+ */
+function mergeResults(results, offsets, format) {
+    return format === 'excel' ? mergeTablesJson(results, offsets) : mergeQuestionPapers(results.map((paper, i) => (
+        mapBlocks(paper, block => (block.type === 'figure' ? { ...block, source: block.source + offsets[i] } : block))
+    )));
+}
+
+/**
+ * Joins the tables JSON of each chunk into one response, with every
+ * table's 1-based "image" counted across the whole job.
+ * @param {string[]} texts
+ * @param {number[]} offsets - Position of each chunk's first file.
+ * @returns {string}
+ * @throws {Error} If a chunk's response is not JSON.
+ */
+function mergeTablesJson(texts, offsets) {
+    const tables = texts.flatMap((text, i) => {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/```json/g, '').replace(/```/g, '').trim());
+        } catch (e) {
+            throw new Error(`Invalid JSON from AI in request ${i + 1} of ${texts.length}: ${e.message}`);
+        }
+        // Tolerate a bare array of rows, as parseTablesJson does
+        if (Array.isArray(data)) data = { tables: [{ rows: data }] };
+        return (Array.isArray(data?.tables) ? data.tables : []).map(table => (
+            Number.isInteger(table?.image) ? { ...table, image: table.image + offsets[i] } : table
+        ));
+    });
+    return JSON.stringify({ tables });
+}
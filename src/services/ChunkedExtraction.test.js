@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { extractInChunks } from './ChunkedExtraction';
+
+const provider = { extract: vi.fn() };
+
+const pages = (count) => Array.from({ length: count }, (_, i) => ({ name: `paper p${i + 1}.png` }));
+
+const paper = (heading, number, source) => ({
+    title: null,
+    sections: [{
+        heading,
+        content: [],
+        questions: [{
+            number, marks: null, options: [], answer: null, parts: [],
+            content: [{ type: 'figure', source, box: { top: 0, left: 0, bottom: 1000, right: 1000 }, caption: null }]
+        }]
+    }]
+});
+
+describe('extractInChunks', () => {
+    it('continues a section across chunks and counts figure pages across the whole job', async () => {
+        provider.extract.mockResolvedValueOnce(paper('Section A', '1', 1)).mockResolvedValueOnce(paper(null, '2', 0));
+        const result = await extractInChunks(provider, pages(3), 'docx', { pagesPerRequest: 2 });
+
+        expect(provider.extract.mock.calls.map(([files]) => files.length)).toEqual([2, 1]);
+        expect(result.sections).toHaveLength(1);
+        expect(result.sections[0].questions.map(q => [q.number, q.content[0].source])).toEqual([['1', 1], ['2', 2]]);
+    });
+
+    it('joins tables and names the request that failed', async () => {
+        provider.extract.mockReset()
+            .mockResolvedValueOnce('{"tables": [{"name": "A", "image": 1, "rows": [["x"]]}]}')
+            .mockResolvedValueOnce('```json\n{"tables": [{"name": "B", "image": 1, "rows": [["y"]]}]}\n```');
+        const json = JSON.parse(await extractInChunks(provider, pages(2), 'excel', { pagesPerRequest: 1 }));
+        expect(json.tables.map(table => [table.name, table.image])).toEqual([['A', 1], ['B', 2]]);
+
+        provider.extract.mockReset().mockResolvedValueOnce('{"tables": []}').mockRejectedValueOnce(new Error('Quota exceeded'));
+        await expect(extractInChunks(provider, pages(2), 'excel', { pagesPerRequest: 1 }))
+            .rejects.toThrow('Request 2 of 2 (paper p2.png to paper p2.png): Quota exceeded');
+    });
+
+    it('skips previews the caller cannot use without breaking off the request', async () => {
+        // Long enough to be parsed again after the first update
+        const complete = `{"tables": [{"name": "A", "rows": [["${'x'.repeat(500)}", "1"]]}]}`;
+        provider.extract.mockReset().mockImplementationOnce(async (files, format, { onText }) => {
+            onText('{"tables": [{"name": "A", "rows": [["x"');
+            onText(complete);
+            return complete;
+        });
+        const previews = [];
+        const result = await extractInChunks(provider, pages(1), 'excel', {
+            onPartial: (partial) => {
+                if (!partial.includes('"1"')) throw new Error('Rows differ in length');
+                previews.push(partial);
+            }
+        });
+        expect(result).toBe(complete);
+        expect(previews).toHaveLength(1);
+    });
+});
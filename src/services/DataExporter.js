@@ -0,0 +1,113 @@
+import { inferColumnTypes, typedCellValue } from './TableAnalysis';
+import { columnName, createSheetNames } from './TableModel';
+
+/**
+ * Plain-data exports of the extracted tables (CSV, TSV and JSON), written
+ * from the same tables the grid editor hands to createExcelWorkbook.
+ */
+
+/**
+ * Delimiters offered for CSV output.
+ */
+export const CSV_DELIMITERS = [
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+const BOM = '\uFEFF';
+
+/**
+ * Builds one CSV or TSV file per table.
+ * @param {import('./TableModel').Table[]} tables
+ * @param {string} fileName - Base name; each table's sheet name is appended when there are several.
+ * @param {Object} [options]
+ * @param {'csv'|'tsv'} [options.type]
+ * @param {string} [options.delimiter] - CSV only; TSV always uses a tab.
+ * @param {boolean} [options.bom] - Start with a UTF-8 byte order mark, so Excel detects the encoding.
+ * @returns {Array<{name: string, blob: Blob}>}
+ */
+export function createDelimitedFiles(tables, fileName, options = {}) {
+    const { type = 'csv', delimiter = ',', bom = false } = options;
+    const names = createSheetNames(tables.map(table => table.name));
+    const mimeType = type === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+
+    return tables.map((table, i) => {
+        const text = toDelimitedText(table, type === 'tsv' ? '\t' : delimiter);
+        return {
+            name: tables.length > 1 ? `${fileName} - ${names[i]}.${type}` : `${fileName}.${type}`,
+            blob: new Blob([bom ? BOM + text : text], { type: `${mimeType};charset=utf-8` })
+        };
+    });
+}
+
+/**
+ * Builds a JSON file mapping each sheet name to the table's body rows as
+ * objects keyed by the header.
+ * @param {import('./TableModel').Table[]} tables
+ * @returns {Blob}
+ */
+export function createJsonBlob(tables) {
+    const names = createSheetNames(tables.map(table => table.name));
+    const data = Object.fromEntries(tables.map((table, i) => [names[i], toRecords(table)]));
+    return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json;charset=utf-8' });
+}
+
+/**
+ * Writes a table as RFC 4180 text: CRLF line endings, and fields holding
+ * the delimiter, a quote or a line break wrapped in quotes with inner
+ * quotes doubled. Merged cells repeat their value across the span.
+ * @param {import('./TableModel').Table} table
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function toDelimitedText(table, delimiter = ',') {
+    const quote = (field) => (field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field);
+    return fillMerges(table).map(cells => cells.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Turns the body rows of a table into objects keyed by its header. With
+ * several header rows the headings over a column are joined with " / ";
+ * blank headings fall back to the column letter and repeated ones get a
+ * suffix. Values keep the type inferred for their column, with dates as
+ * YYYY-MM-DD.
+ * @param {import('./TableModel').Table} table
+ * @returns {Object<string, string|number|boolean|null>[]}
+ */
+export function toRecords(table) {
+    const rows = fillMerges(table);
+    const headerRows = table.headerRows ?? 1;
+    const columnTypes = inferColumnTypes(table, headerRows);
+
+    const used = new Set();
+    const keys = rows[0].map((_, col) => {
+        const headings = rows.slice(0, headerRows).map(cells => cells[col].trim()).filter(Boolean);
+        const base = headings.filter((heading, i) => heading !== headings[i - 1]).join(' / ') || columnName(col);
+        let key = base;
+        for (let n = 2; used.has(key); n++) key = `${base} (${n})`;
+        used.add(key);
+        return key;
+    });
+
+    return rows.slice(headerRows).map(cells => Object.fromEntries(cells.map((text, col) => {
+        const value = typedCellValue(text, columnTypes[col]);
+        return [keys[col], value instanceof Date ? value.toISOString().slice(0, 10) : value];
+    })));
+}
+
+/**
+ * Copies each merged cell's value into every cell it covers, since plain
+ * data has no notion of a merge.
+ * @param {import('./TableModel').Table} table
+ * @returns {string[][]}
+ */
+const fillMerges = (table) => {
+    const rows = table.rows.map(cells => [...cells]);
+    table.merges.forEach(({ row, col, rowSpan, colSpan }) => {
+        for (let r = row; r < row + rowSpan; r++) {
+            for (let c = col; c < col + colSpan; c++) rows[r][c] = table.rows[row][col];
+        }
+    });
+    return rows;
+};
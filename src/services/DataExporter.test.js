@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { toDelimitedText, toRecords } from './DataExporter';
+import { createTable } from './TableModel';
+
+describe('toDelimitedText', () => {
+    it('quotes fields as RFC 4180 requires', () => {
+        const table = createTable([['Name', 'Note'], ['O"Neil, A', 'line 1\nline 2'], ['Plain', '']]);
+        expect(toDelimitedText(table)).toBe('Name,Note\r\n"O""Neil, A","line 1\nline 2"\r\nPlain,\r\n');
+        expect(toDelimitedText(table, ';')).toContain('\r\n"O""Neil, A";"line 1\nline 2"\r\n');
+    });
+});
+
+describe('toRecords', () => {
+    it('keys body rows by the header, joining multi-level headings', () => {
+        const table = createTable([['Name', 'Marks', '', ''], ['', 'Theory', 'Practical', ''], ['Asha', '40', '18', 'x'], ['Ravi', '', '20', '']], {
+            headerRows: 2,
+            merges: [{ row: 0, col: 0, rowSpan: 2, colSpan: 1 }, { row: 0, col: 1, rowSpan: 1, colSpan: 2 }]
+        });
+        expect(toRecords(table)).toEqual([
+            { 'Name': 'Asha', 'Marks / Theory': 40, 'Marks / Practical': 18, 'D': 'x' },
+            { 'Name': 'Ravi', 'Marks / Theory': null, 'Marks / Practical': 20, 'D': null }
+        ]);
+    });
+});
@@ -1,220 +1,769 @@
-import { Document, Packer, Paragraph, TextRun, Math, MathRun, MathFraction, MathSuperScript, MathSubScript, MathRadical } from "docx";
-import { saveAs } from "file-saver";
+import {
+    Document, Packer, Paragraph, TextRun, Tab, AlignmentType, TabStopType, BorderStyle,
+    Header, Footer, PageNumber, ImageRun,
+    Table, TableRow, TableCell, TableBorders, TableLayoutType, WidthType,
+    Math as OfficeMath, MathRun, MathFraction, MathNumerator, MathDenominator,
+    MathSuperScript, MathSubScript, MathSubSuperScript, MathRadical, MathFunction,
+    MathLimitLower, MathLimitUpper, MathRoundBrackets, BuilderElement,
+    createMathBase, createMathNAryProperties, createMathSubScriptElement, createMathSuperScriptElement
+} from "docx";
+import { parseLatex } from "./LatexParser";
+import { collectAnswers, isMultipleChoice, optionLabel, serializeContent } from "./QuestionModel";
 
 /**
- * Mapping of LaTeX symbols to their Unicode equivalents for display in Math runs.
+ * OMML script values for math font variants.
  */
-const LATEX_SYMBOLS = {
-    '\\alpha': 'α', '\\beta': 'β', '\\gamma': 'γ', '\\theta': 'θ', '\\pi': 'π', '\\sigma': 'σ',
-    '\\phi': 'φ', '\\Phi': 'Φ', '\\delta': 'δ', '\\lambda': 'λ', '\\mu': 'μ',
-    '\\Delta': 'Δ', '\\Omega': 'Ω',
-    '\\ne': '≠', '\\neq': '≠', '\\le': '≤', '\\ge': '≥', '\\pm': '±', '\\approx': '≈',
-    '\\times': '×', '\\cdot': '·', '\\div': '÷', '\\infty': '∞',
-    '\\rightarrow': '→', '\\leftarrow': '←', '\\Rightarrow': '⇒', '\\Leftrightarrow': '⇔',
-    '\\circ': '°', '\\degree': '°', '\\angle': '∠',
-    '\\triangle': '△', '\\cong': '≅', '\\sim': '∽', '\\parallel': '∥', '\\perp': '⊥',
-    '\\cup': '∪', '\\cap': '∩', '\\in': '∈', '\\subset': '⊂', '\\supset': '⊃',
-    '\\forall': '∀', '\\exists': '∃',
-    '\\sqrt': '',
-    '\\frac': '',
+const MATH_SCRIPTS = {
+    'double-struck': 'double-struck', 'script': 'script', 'fraktur': 'fraktur',
+    'sans-serif': 'sans-serif', 'monospace': 'monospace',
 };
 
 /**
- * Parses a LaTeX string into an array of Docx Math nodes.
- * @param {string} latex 
- * @returns {Array} Array of docx math objects
+ * OMML style values (plain, bold, italic, bold-italic) for math font variants.
  */
-function parseLatexNodes(latex) {
-    const nodes = [];
-    let i = 0;
-
-    /**
-     * Extracts the next logical unit from the latex string.
-     * @param {number} idx 
-     * @returns {{content: string, endIndex: number, isGroup: boolean} | null}
-     */
-    const getNextUnit = (idx) => {
-        if (idx >= latex.length) return null;
-        if (latex[idx] === '{') {
-            const group = extractGroup(latex, idx);
-            return { ...group, isGroup: true };
-        } else if (latex[idx] === '\\') {
-            let end = idx + 1;
-            while (end < latex.length && /[a-zA-Z]/.test(latex[end])) {
-                end++;
-            }
-            const cmd = latex.slice(idx, end);
-            return { content: cmd, endIndex: end, isGroup: false };
-        } else {
-            return { content: latex[idx], endIndex: idx + 1, isGroup: false };
-        }
-    };
+const MATH_STYLES = {
+    'bold': 'b', 'bold-italic': 'bi', 'italic': 'i', 'normal': 'p', 'double-struck': 'p',
+};
 
-    while (i < latex.length) {
-        const char = latex[i];
+/**
+ * Creates a math run, optionally carrying a font variant, plain-text flag
+ * or an alignment mark for equation arrays.
+ * @param {string} text
+ * @param {{variant?: string, plain?: boolean, align?: boolean}} [style]
+ * @returns {MathRun|BuilderElement}
+ */
+const createMathRun = (text, style = {}) => {
+    const { variant, plain, align } = style;
+    if (!variant && !plain && !align) return new MathRun(text);
 
-        if (char === ' ') {
-            i++;
-            continue;
-        }
+    const properties = [];
+    if (plain) properties.push(new BuilderElement({ name: "m:nor" }));
+    if (MATH_SCRIPTS[variant]) {
+        properties.push(new BuilderElement({ name: "m:scr", attributes: { val: { key: "m:val", value: MATH_SCRIPTS[variant] } } }));
+    }
+    if (MATH_STYLES[variant]) {
+        properties.push(new BuilderElement({ name: "m:sty", attributes: { val: { key: "m:val", value: MATH_STYLES[variant] } } }));
+    }
+    if (align) properties.push(new BuilderElement({ name: "m:aln" }));
 
-        // Superscript/Subscript Handling
-        if (char === '^' || char === '_') {
-            let base = nodes.pop();
-            if (!base) base = new MathRun("");
+    return new BuilderElement({
+        name: "m:r",
+        children: [
+            new BuilderElement({ name: "m:rPr", children: properties }),
+            new BuilderElement({ name: "m:t", attributes: { space: { key: "xml:space", value: "preserve" } }, children: [text] }),
+        ]
+    });
+};
 
-            const isSuper = char === '^';
-            const nextInfo = getNextUnit(i + 1);
-            if (!nextInfo) break;
+/**
+ * Creates an OMML element with a single m:val property, e.g. <m:chr m:val="x"/>.
+ * @param {string} name
+ * @param {string|number} value
+ * @returns {BuilderElement}
+ */
+const createValueElement = (name, value) => new BuilderElement({
+    name,
+    attributes: { val: { key: "m:val", value } }
+});
 
-            const scriptChildren = parseLatexNodes(nextInfo.content);
-            i = nextInfo.endIndex;
+/**
+ * Creates a delimiter (m:d) with arbitrary opening and closing characters.
+ * @param {string} open
+ * @param {string} close
+ * @param {Array} children
+ * @returns {BuilderElement}
+ */
+const createMathDelimiter = (open, close, children) => {
+    if (open === '(' && close === ')') return new MathRoundBrackets({ children });
+    return new BuilderElement({
+        name: "m:d",
+        children: [
+            new BuilderElement({
+                name: "m:dPr",
+                children: [createValueElement("m:begChr", open), createValueElement("m:endChr", close)]
+            }),
+            createMathBase({ children })
+        ]
+    });
+};
 
-            const ScriptClass = isSuper ? MathSuperScript : MathSubScript;
-            const scriptProp = isSuper ? { superScript: scriptChildren } : { subScript: scriptChildren };
+/**
+ * Creates an n-ary operator (m:nary) such as a sum, product or integral.
+ * Empty limit slots are still emitted (and hidden) as the schema requires them.
+ * @param {{operator: string, sub: Array|null, sup: Array|null, body: Array}} options
+ * @returns {BuilderElement}
+ */
+const createMathNary = ({ operator, sub, sup, body }) => {
+    const isIntegral = /[∫∬∭∮]/.test(operator);
+    return new BuilderElement({
+        name: "m:nary",
+        children: [
+            createMathNAryProperties({
+                accent: operator,
+                hasSuperScript: !!sup,
+                hasSubScript: !!sub,
+                limitLocationVal: isIntegral ? "subSup" : "undOvr"
+            }),
+            createMathSubScriptElement({ children: sub || [] }),
+            createMathSuperScriptElement({ children: sup || [] }),
+            createMathBase({ children: body })
+        ]
+    });
+};
 
-            // Note: docx MathSuperScript/SubScript expects 'children' for the base property.
-            nodes.push(new ScriptClass({
-                children: Array.isArray(base) ? base : [base],
-                ...scriptProp
-            }));
-            continue;
-        }
+/**
+ * Creates a fraction without a bar, used for binomial coefficients.
+ * @param {Array} numerator
+ * @param {Array} denominator
+ * @returns {BuilderElement}
+ */
+const createMathBinomial = (numerator, denominator) => new BuilderElement({
+    name: "m:f",
+    children: [
+        new BuilderElement({ name: "m:fPr", children: [createValueElement("m:type", "noBar")] }),
+        new MathNumerator(numerator),
+        new MathDenominator(denominator)
+    ]
+});
 
-        // Command Handling
-        if (char === '\\') {
-            const remaining = latex.slice(i);
-
-            if (remaining.startsWith('\\frac')) {
-                i += 5; // length of \frac
-                const num = getNextUnit(i);
-                i = num.endIndex;
-                const den = getNextUnit(i);
-                i = den.endIndex;
-
-                nodes.push(new MathFraction({
-                    numerator: parseLatexNodes(num.content),
-                    denominator: parseLatexNodes(den.content)
-                }));
-                continue;
-            }
-            else if (remaining.startsWith('\\sqrt')) {
-                i += 5; // length of \sqrt
-                const rad = getNextUnit(i);
-                i = rad.endIndex;
-
-                nodes.push(new MathRadical({
-                    children: parseLatexNodes(rad.content),
-                    degree: []
-                }));
-                continue;
-            }
-            else {
-                // Generic Symbol or Command
-                let end = i + 1;
-                while (end < latex.length && /[a-zA-Z]/.test(latex[end])) {
-                    end++;
-                }
-                const cmd = latex.slice(i, end);
+/**
+ * Creates an accent (m:acc) such as a hat or vector arrow over its body.
+ * @param {string} accent - Combining character.
+ * @param {Array} children
+ * @returns {BuilderElement}
+ */
+const createMathAccent = (accent, children) => new BuilderElement({
+    name: "m:acc",
+    children: [
+        new BuilderElement({ name: "m:accPr", children: [createValueElement("m:chr", accent)] }),
+        createMathBase({ children })
+    ]
+});
 
-                if (LATEX_SYMBOLS[cmd]) {
-                    nodes.push(new MathRun(LATEX_SYMBOLS[cmd]));
-                } else {
-                    nodes.push(new MathRun(cmd));
-                }
-                i = end;
-                continue;
-            }
-        }
+/**
+ * Creates an overline or underline (m:bar).
+ * @param {'top'|'bottom'} position
+ * @param {Array} children
+ * @returns {BuilderElement}
+ */
+const createMathBar = (position, children) => new BuilderElement({
+    name: "m:bar",
+    children: [
+        new BuilderElement({ name: "m:barPr", children: [createValueElement("m:pos", position === 'top' ? "top" : "bot")] }),
+        createMathBase({ children })
+    ]
+});
 
-        if (char === '{' || char === '}') {
-            i++;
-            continue;
-        }
+/**
+ * Creates a matrix (m:m). Rows are padded so every row has the same number of cells.
+ * @param {Array<Array<Array>>} rows - Rows of cells, each cell an array of math objects.
+ * @returns {BuilderElement}
+ */
+const createMathMatrix = (rows) => {
+    const columnCount = Math.max(1, ...rows.map(row => row.length));
+    return new BuilderElement({
+        name: "m:m",
+        children: [
+            new BuilderElement({
+                name: "m:mPr",
+                children: [new BuilderElement({
+                    name: "m:mcs",
+                    children: [new BuilderElement({
+                        name: "m:mc",
+                        children: [new BuilderElement({
+                            name: "m:mcPr",
+                            children: [createValueElement("m:count", columnCount), createValueElement("m:mcJc", "center")]
+                        })]
+                    })]
+                })]
+            }),
+            ...rows.map(row => new BuilderElement({
+                name: "m:mr",
+                children: Array.from({ length: columnCount }, (_, i) => createMathBase({ children: row[i] || [] }))
+            }))
+        ]
+    });
+};
 
-        // Default Character
-        nodes.push(new MathRun(char));
-        i++;
-    }
-    return nodes;
+/**
+ * Creates an equation array (m:eqArr), one line per row.
+ * @param {Array<Array>} lines - Each line an array of math objects.
+ * @returns {BuilderElement}
+ */
+const createMathEquationArray = (lines) => new BuilderElement({
+    name: "m:eqArr",
+    children: lines.map(children => createMathBase({ children }))
+});
+
+/**
+ * Parses a LaTeX string into an array of Docx Math nodes.
+ * @param {string} latex 
+ * @returns {Array} Array of docx math objects
+ */
+function parseLatexNodes(latex) {
+    return convertMathNodes(parseLatex(latex));
+}
+
+/**
+ * Converts LaTeX AST nodes into docx math objects.
+ * @param {Array<Object>} nodes - Nodes produced by parseLatex.
+ * @param {{variant?: string}} [style] - Font variant inherited from \mathbb etc.
+ * @returns {Array} Array of docx math objects
+ */
+function convertMathNodes(nodes, style = {}) {
+    return nodes.flatMap(node => convertMathNode(node, style));
 }
 
 /**
- * Extracts content within balanced curly braces.
- * @param {string} str 
- * @param {number} startIndex 
- * @returns {{content: string, endIndex: number}}
+ * @param {Object} node
+ * @param {{variant?: string}} style
+ * @returns {Array} Array of docx math objects
  */
-function extractGroup(str, startIndex) {
-    let start = str.indexOf('{', startIndex);
-    if (start === -1) return { content: "", endIndex: startIndex + 1 };
+function convertMathNode(node, style) {
+    const convert = (children) => convertMathNodes(children || [], style);
 
-    let depth = 1;
-    let end = start + 1;
-    while (end < str.length && depth > 0) {
-        if (str[end] === '{') depth++;
-        else if (str[end] === '}') depth--;
-        end++;
+    switch (node.type) {
+        case 'text':
+        case 'unknown':
+            return [createMathRun(node.value, style)];
+        case 'plaintext':
+            return [createMathRun(node.value, { plain: true })];
+        case 'group':
+            return convert(node.children);
+        case 'style':
+            return convertMathNodes(node.children, { variant: node.variant });
+        case 'frac':
+            return node.noBar
+                ? [new MathRoundBrackets({ children: [createMathBinomial(convert(node.numerator), convert(node.denominator))] })]
+                : [new MathFraction({ numerator: convert(node.numerator), denominator: convert(node.denominator) })];
+        case 'sqrt':
+            return [new MathRadical({
+                children: convert(node.body),
+                ...(node.degree ? { degree: convert(node.degree) } : {})
+            })];
+        case 'scripts':
+            return [createScripts(convert(node.base), node.sub && convert(node.sub), node.sup && convert(node.sup))];
+        case 'nary':
+            return [createMathNary({
+                operator: node.operator,
+                sub: node.sub && convert(node.sub),
+                sup: node.sup && convert(node.sup),
+                body: convert(node.body)
+            })];
+        case 'limit': {
+            const name = [createMathRun(node.name, { variant: 'normal' })];
+            const base = node.below ? [new MathLimitLower({ children: name, limit: convert(node.below) })] : name;
+            return node.sup ? [new MathLimitUpper({ children: base, limit: convert(node.sup) })] : base;
+        }
+        case 'function': {
+            const name = [createMathRun(node.name, { variant: 'normal' })];
+            const scriptedName = node.sub || node.sup
+                ? [createScripts(name, node.sub && convert(node.sub), node.sup && convert(node.sup))]
+                : name;
+            return [new MathFunction({ name: scriptedName, children: convert(node.argument) })];
+        }
+        case 'delimited':
+            return [createMathDelimiter(node.open, node.close, convert(node.children))];
+        case 'accent':
+            return [createMathAccent(node.accent, convert(node.body))];
+        case 'bar':
+            return [createMathBar(node.position, convert(node.body))];
+        case 'environment':
+            return [convertEnvironment(node, style)];
+        default:
+            return [];
     }
+}
 
-    return {
-        content: str.slice(start + 1, end - 1),
-        endIndex: end
-    };
+/**
+ * Converts a matrix, cases or aligned environment.
+ * @param {Object} node - Environment node produced by parseLatex.
+ * @param {{variant?: string}} style
+ * @returns {BuilderElement} Math object
+ */
+function convertEnvironment(node, style) {
+    let body;
+    if (node.kind === 'matrix') {
+        body = createMathMatrix(node.rows.map(cells => cells.map(cell => convertMathNodes(cell, style))));
+    } else {
+        // Cells after the first are joined onto the line, each starting at an alignment mark
+        body = createMathEquationArray(node.rows.map(cells => cells.flatMap((cell, index) => {
+            if (index === 0) return convertMathNodes(cell, style);
+            const gap = node.kind === 'cases' ? [createMathRun(' ', style)] : [];
+            return [...gap, createMathRun('', { ...style, align: true }), ...convertMathNodes(cell, style)];
+        })));
+    }
+    return node.open || node.close ? createMathDelimiter(node.open, node.close, [body]) : body;
+}
+
+/**
+ * Wraps a base in the matching subscript/superscript construct.
+ * @param {Array} base
+ * @param {Array|null} sub
+ * @param {Array|null} sup
+ * @returns {MathSubScript|MathSuperScript|MathSubSuperScript}
+ */
+function createScripts(base, sub, sup) {
+    const children = base.length ? base : [new MathRun("")];
+    if (sub && sup) return new MathSubSuperScript({ children, subScript: sub, superScript: sup });
+    if (sub) return new MathSubScript({ children, subScript: sub });
+    return new MathSuperScript({ children, superScript: sup });
 }
 
 /**
  * Creates a docx Math object from a LaTeX string.
  * @param {string} text 
- * @returns {Math}
+ * @returns {OfficeMath}
  */
 const createMathParagraph = (text) => {
     const nodes = parseLatexNodes(text);
-    return new Math({
+    return new OfficeMath({
         children: nodes
     });
 };
 
 /**
- * Generates and downloads a Word Document (.docx).
- * @param {string} content - Markdown/LaTeX content.
- * @param {string} filename 
+ * A4 page width, in twips.
  */
-export const generateWordDocument = async (content, filename = "Math_Questions") => {
-    const lines = content.split('\n');
+const PAGE_WIDTH = 11906;
 
-    const docChildren = lines.map(line => {
-        // Heading detection (Markdown style)
-        if (line.startsWith('## ')) {
-            return new Paragraph({
-                children: [new TextRun({ text: line.replace('## ', ''), bold: true, size: 32 })],
-                spacing: { before: 200, after: 100 }
-            });
-        }
+/**
+ * Default page margin (1"), in twips.
+ */
+const DEFAULT_MARGIN = 1440;
 
-        // Split text by inline math delimiters $...$
-        const parts = line.split(/\$([^$]+)\$/g);
+/**
+ * Indentation step for each question level, in twips.
+ */
+const INDENT_STEP = 450;
 
-        const paragraphChildren = parts.map((part, index) => {
-            // Odd indices are math content
-            if (index % 2 === 1) {
-                return createMathParagraph(part);
-            } else {
-                return new TextRun({ text: part, size: 24 });
-            }
-        });
+/**
+ * Width of the right-hand marks column in the exam template, in twips.
+ */
+const MARKS_COLUMN_WIDTH = 900;
 
+/**
+ * Layout and numbering state shared while rendering one document.
+ * @typedef {Object} RenderContext
+ * @property {number} equationCount - Number given to the last auto-numbered equation.
+ * @property {boolean} numberEquations - Number every display equation.
+ * @property {number} textWidth - Width between the page margins, in twips.
+ * @property {number} marksColumn - Width reserved on the right for marks, in twips.
+ * @property {Map<Object, {data: Uint8Array, width: number, height: number}>} figures - Cropped PNG of each figure block.
+ */
+
+/**
+ * Creates a standalone, centered equation paragraph.
+ * Numbered equations use a center and a right tab stop so the number sits
+ * against the right margin, since Word has no numbering inside m:oMathPara.
+ * @param {string} latex
+ * @param {string|null} number - Equation number, without parentheses.
+ * @param {RenderContext} context
+ * @returns {Paragraph}
+ */
+const createDisplayMathParagraph = (latex, number, context) => {
+    const spacing = { before: 200, after: 200 };
+
+    if (number) {
         return new Paragraph({
-            children: paragraphChildren,
-            spacing: { before: 120, after: 120 }
+            tabStops: [
+                { type: TabStopType.CENTER, position: context.textWidth / 2 },
+                { type: TabStopType.RIGHT, position: context.textWidth }
+            ],
+            children: [
+                new TextRun({ children: [new Tab()] }),
+                createMathParagraph(latex),
+                new TextRun({ children: [new Tab(), `(${number})`] })
+            ],
+            spacing
         });
+    }
+
+    return new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new BuilderElement({
+            name: "m:oMathPara",
+            children: [
+                new BuilderElement({ name: "m:oMathParaPr", children: [createValueElement("m:jc", "center")] }),
+                createMathParagraph(latex)
+            ]
+        })],
+        spacing
     });
+};
+
+/**
+ * Converts text and math runs into paragraph children.
+ * @param {Array<{type: string, text?: string, latex?: string}>} runs
+ * @returns {Array}
+ */
+const createRuns = (runs) => runs.map(run => (
+    run.type === 'math'
+        ? createMathParagraph(run.latex)
+        : new TextRun({ text: run.text })
+));
+
+/**
+ * Renders content blocks into paragraphs.
+ * @param {Array<Object>} blocks - Blocks from the question model.
+ * @param {RenderContext} context
+ * @param {Object} [paragraphOptions] - Extra options (e.g. indent) for text paragraphs.
+ * @param {number} [width] - Width of the surrounding area (page text or table cell), in twips.
+ * @returns {Paragraph[]}
+ */
+const renderBlocks = (blocks, context, paragraphOptions = {}, width = context.textWidth) => blocks.flatMap(block => {
+    if (block.type === 'display') {
+        const isNumbered = block.numbered || (context.numberEquations && block.tag === null);
+        const number = block.tag ?? (isNumbered ? String(++context.equationCount) : null);
+        return createDisplayMathParagraph(block.latex, number, context);
+    }
+    if (block.type === 'figure') {
+        const { left = 0, right = 0 } = paragraphOptions.indent || {};
+        return renderFigure(block, context, width - left - right, paragraphOptions);
+    }
+
+    return new Paragraph({
+        children: createRuns(block.runs),
+        spacing: { before: 120, after: 120 },
+        ...paragraphOptions
+    });
+});
+
+/**
+ * Twips per pixel at the 96 dpi docx uses for image sizes.
+ */
+const TWIPS_PER_PIXEL = 15;
+
+/**
+ * Tallest a figure may be drawn (2.5"), in twips.
+ */
+const FIGURE_MAX_HEIGHT = 3600;
+
+/**
+ * Renders a cropped figure, scaled down to fit the available width, with its caption.
+ * Figures that could not be cropped leave a visible placeholder.
+ * @param {import('./QuestionModel').FigureBlock} figure
+ * @param {RenderContext} context
+ * @param {number} width - Width available for the image, in twips.
+ * @param {Object} paragraphOptions
+ * @returns {Paragraph[]}
+ */
+const renderFigure = (figure, context, width, paragraphOptions) => {
+    const image = context.figures.get(figure);
+    const paragraph = (children, spacing) => new Paragraph({ children, alignment: AlignmentType.CENTER, spacing, ...paragraphOptions });
+
+    if (!image) {
+        return [paragraph([new TextRun({ text: "[Figure not available]", italics: true })], { before: 120, after: 120 })];
+    }
+
+    const scale = Math.min(1, width / TWIPS_PER_PIXEL / image.width, FIGURE_MAX_HEIGHT / TWIPS_PER_PIXEL / image.height);
+    const paragraphs = [paragraph([new ImageRun({
+        type: 'png',
+        data: image.data,
+        transformation: { width: Math.round(image.width * scale), height: Math.round(image.height * scale) }
+    })], { before: 120, after: figure.caption ? 40 : 120 })];
+
+    if (figure.caption) {
+        paragraphs.push(paragraph([new TextRun({ text: figure.caption, italics: true })], { after: 120 }));
+    }
+    return paragraphs;
+};
+
+/**
+ * Splits off the first paragraph of a block list so it can share a line with a label.
+ * @param {Array<Object>} blocks
+ * @returns {{leadRuns: Array, remaining: Array<Object>}}
+ */
+const splitLead = (blocks) => {
+    const [first, ...rest] = blocks;
+    return first && first.type === 'paragraph'
+        ? { leadRuns: createRuns(first.runs), remaining: rest }
+        : { leadRuns: [], remaining: blocks };
+};
+
+/**
+ * Renders a question with its options and sub-parts. The label hangs in the
+ * left margin of the question text and marks sit against the right margin.
+ * With a marks column, text wraps before the column and the right tab stop
+ * beyond the right indent places the marks inside it.
+ * @param {Object} question - Question from the question model.
+ * @param {number} depth - 0 for questions, 1 for parts, 2 for sub-parts.
+ * @param {RenderContext} context
+ * @returns {Array<Paragraph|Table>}
+ */
+const renderQuestion = (question, depth, context) => {
+    const indent = { left: INDENT_STEP * (depth + 1), right: context.marksColumn };
+    const label = depth === 0 ? `${question.number}.` : `(${question.number})`;
+    const { leadRuns, remaining } = splitLead(question.content);
+    const marks = question.marks !== null
+        ? [new TextRun({ children: [new Tab(), `[${question.marks}]`], bold: true })]
+        : [];
+
+    const paragraphs = [
+        new Paragraph({
+            children: [new TextRun({ children: [label, new Tab()], bold: depth === 0 }), ...leadRuns, ...marks],
+            indent: { ...indent, hanging: INDENT_STEP },
+            tabStops: [{ type: TabStopType.RIGHT, position: context.textWidth }],
+            spacing: { before: depth === 0 ? 200 : 120, after: 120 }
+        }),
+        ...renderBlocks(remaining, context, { indent })
+    ];
+
+    if (isMultipleChoice(question)) paragraphs.push(renderOptions(question.options, indent, context));
+
+    question.parts.forEach(part => paragraphs.push(...renderQuestion(part, depth + 1, context)));
+    return paragraphs;
+};
+
+/**
+ * Longest option (in characters of source text) that still fits four to a row,
+ * and two to a row. Anything longer gets a row of its own.
+ */
+const OPTION_LENGTH_LIMITS = { fourColumns: 18, twoColumns: 40 };
+
+/**
+ * Lays out multiple-choice options in a borderless table: 1×4 for short
+ * options, 2×2 for medium ones and one per row for long ones.
+ * Options are relabelled (A), (B), ... in order.
+ * @param {Array<Object>} options - Options from the question model.
+ * @param {{left: number, right: number}} indent - Indentation of the question text, in twips.
+ * @param {RenderContext} context
+ * @returns {Table}
+ */
+const renderOptions = (options, indent, context) => {
+    const longest = Math.max(...options.map(option => serializeContent(option.content).join(' ').length));
+    const preferred = longest <= OPTION_LENGTH_LIMITS.fourColumns ? 4 : longest <= OPTION_LENGTH_LIMITS.twoColumns ? 2 : 1;
+    const columns = Math.min(preferred, options.length);
+
+    const tableWidth = context.textWidth - indent.left - indent.right;
+    const columnWidth = Math.floor(tableWidth / columns);
+
+    const cells = options.map((option, index) => {
+        const { leadRuns, remaining } = splitLead(option.content);
+        return new TableCell({
+            width: { size: columnWidth, type: WidthType.DXA },
+            children: [
+                new Paragraph({
+                    children: [new TextRun({ text: `(${optionLabel(index)}) ` }), ...leadRuns],
+                    spacing: { before: 60, after: 60 }
+                }),
+                ...renderBlocks(remaining, context, {}, columnWidth)
+            ]
+        });
+    });
+
+    const rows = [];
+    for (let i = 0; i < cells.length; i += columns) {
+        const rowCells = cells.slice(i, i + columns);
+        // Pad the last row so every row has the same number of cells
+        while (rowCells.length < columns) {
+            rowCells.push(new TableCell({ width: { size: columnWidth, type: WidthType.DXA }, children: [new Paragraph({})] }));
+        }
+        rows.push(new TableRow({ children: rowCells }));
+    }
+
+    return new Table({
+        rows,
+        columnWidths: Array(columns).fill(columnWidth),
+        width: { size: tableWidth, type: WidthType.DXA },
+        indent: { size: indent.left, type: WidthType.DXA },
+        layout: TableLayoutType.FIXED,
+        borders: TableBorders.NONE
+    });
+};
+
+/**
+ * Renders the answer key appendix on a new page.
+ * @param {Array<{number: string, answer: string}>} answers
+ * @param {RenderContext} context
+ * @returns {Array<Paragraph|Table>}
+ */
+const renderAnswerKey = (answers, context) => {
+    const columnWidth = Math.floor(context.textWidth / 2);
+    const cell = (text, bold = false) => new TableCell({
+        width: { size: columnWidth, type: WidthType.DXA },
+        children: [new Paragraph({ children: [new TextRun({ text, bold })], alignment: AlignmentType.CENTER })]
+    });
+
+    return [
+        new Paragraph({
+            children: [new TextRun({ text: "Answer Key", bold: true, size: 32 })],
+            pageBreakBefore: true,
+            spacing: { after: 200 }
+        }),
+        new Table({
+            rows: [
+                new TableRow({ children: [cell("Question", true), cell("Answer", true)], tableHeader: true }),
+                ...answers.map(({ number, answer }) => new TableRow({ children: [cell(number), cell(answer)] }))
+            ],
+            columnWidths: [columnWidth, columnWidth],
+            width: { size: context.textWidth, type: WidthType.DXA }
+        })
+    ];
+};
+
+/**
+ * Renders the exam header block: school, exam title, class/subject and
+ * duration/marks lines, a rule, and the general instructions.
+ * @param {import('./ExamTemplate').ExamTemplate} template
+ * @param {string|null} fallbackTitle - Title read from the paper itself.
+ * @param {RenderContext} context
+ * @returns {Paragraph[]}
+ */
+const renderExamHeader = (template, fallbackTitle, context) => {
+    const paragraphs = [];
+    const centered = (text, size) => new Paragraph({
+        children: [new TextRun({ text, bold: true, size })],
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 80 }
+    });
+    // Two details on one line, the second against the right margin
+    const detailLine = (left, right) => new Paragraph({
+        children: [
+            new TextRun({ text: left, bold: true }),
+            ...(right ? [new TextRun({ children: [new Tab(), right], bold: true })] : [])
+        ],
+        tabStops: [{ type: TabStopType.RIGHT, position: context.textWidth }],
+        spacing: { after: 60 }
+    });
+    const detail = (label, value) => (value ? `${label}: ${value}` : '');
+
+    if (template.schoolName) paragraphs.push(centered(template.schoolName, 32));
+    const title = template.examTitle || fallbackTitle;
+    if (title) paragraphs.push(centered(title, 28));
+
+    const classLine = [detail("Class", template.className), detail("Subject", template.subject)];
+    const timeLine = [detail("Time", template.duration), detail("Max. Marks", template.maxMarks)];
+    [classLine, timeLine].forEach(([left, right]) => {
+        if (left || right) paragraphs.push(detailLine(left, right));
+    });
+
+    paragraphs.push(new Paragraph({
+        border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: "000000", space: 1 } },
+        spacing: { after: 200 }
+    }));
+
+    const instructions = template.instructions.split('\n').map(line => line.trim()).filter(Boolean);
+    if (instructions.length) {
+        paragraphs.push(new Paragraph({
+            children: [new TextRun({ text: "General Instructions:", bold: true })],
+            spacing: { after: 80 }
+        }));
+        instructions.forEach((instruction, index) => paragraphs.push(new Paragraph({
+            children: [new TextRun({ children: [`${index + 1}.`, new Tab(), instruction] })],
+            indent: { left: INDENT_STEP, hanging: INDENT_STEP },
+            spacing: { after: 40 }
+        })));
+        paragraphs.push(new Paragraph({ spacing: { after: 200 } }));
+    }
+
+    return paragraphs;
+};
+
+/**
+ * Page header with the exam title and subject, and a "Page X of Y" footer.
+ * @param {import('./ExamTemplate').ExamTemplate} template
+ * @param {string|null} fallbackTitle
+ * @param {RenderContext} context
+ * @returns {{headers: Object, footers: Object}}
+ */
+const createHeaderFooter = (template, fallbackTitle, context) => {
+    const title = template.examTitle || fallbackTitle || '';
+    return {
+        headers: {
+            default: new Header({
+                children: [new Paragraph({
+                    children: [
+                        new TextRun({ text: title, size: 18 }),
+                        new TextRun({ children: [new Tab(), template.subject], size: 18 })
+                    ],
+                    tabStops: [{ type: TabStopType.RIGHT, position: context.textWidth }]
+                })]
+            })
+        },
+        footers: {
+            default: new Footer({
+                children: [new Paragraph({
+                    children: [new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], size: 18 })],
+                    alignment: AlignmentType.CENTER
+                })]
+            })
+        }
+    };
+};
+
+/**
+ * @typedef {Object} WordOptions
+ * @property {boolean} [numberEquations] - Number every display equation.
+ * @property {boolean} [includeAnswerKey=true] - Append captured MCQ answers.
+ * @property {import('./ExamTemplate').ExamTemplate} [template] - Exam layout; used when enabled.
+ * @property {Map<Object, {data: Uint8Array, width: number, height: number}>} [figures] - Cropped figure images, keyed by figure block.
+ */
+
+/**
+ * Builds the Word document for a question paper.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @param {WordOptions} [options]
+ * @returns {Promise<Blob>}
+ */
+export const createWordDocument = async (paper, options = {}) => {
+    const template = options.template?.enabled ? options.template : null;
+    const margin = template ? Math.round(template.marginMm * 1440 / 25.4) : DEFAULT_MARGIN;
+    const context = {
+        equationCount: 0,
+        numberEquations: !!options.numberEquations,
+        textWidth: PAGE_WIDTH - 2 * margin,
+        marksColumn: template ? MARKS_COLUMN_WIDTH : 0,
+        figures: options.figures || new Map()
+    };
+    const docChildren = [];
+
+    if (template) {
+        docChildren.push(...renderExamHeader(template, paper.title, context));
+    } else if (paper.title) {
+        docChildren.push(new Paragraph({
+            children: [new TextRun({ text: paper.title, bold: true, size: 36 })],
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 200 }
+        }));
+    }
+
+    paper.sections.forEach(section => {
+        if (section.heading) {
+            docChildren.push(new Paragraph({
+                children: [new TextRun({ text: section.heading, bold: true, size: 32 })],
+                alignment: template ? AlignmentType.CENTER : undefined,
+                spacing: { before: 200, after: 100 }
+            }));
+        }
+        docChildren.push(...renderBlocks(section.content, context));
+        section.questions.forEach(question => docChildren.push(...renderQuestion(question, 0, context)));
+    });
+
+    const answers = collectAnswers(paper);
+    if (options.includeAnswerKey !== false && answers.length) {
+        docChildren.push(...renderAnswerKey(answers, context));
+    }
 
     const doc = new Document({
-        sections: [{ children: docChildren }],
+        styles: {
+            default: {
+                document: {
+                    run: {
+                        size: (template ? template.fontSize : 12) * 2,
+                        ...(template ? { font: template.fontFamily } : {})
+                    }
+                }
+            }
+        },
+        sections: [{
+            properties: {
+                page: { margin: { top: margin, right: margin, bottom: margin, left: margin } }
+            },
+            ...(template ? createHeaderFooter(template, paper.title, context) : {}),
+            children: docChildren
+        }],
     });
 
-    const blob = await Packer.toBlob(doc);
-    const finalName = filename.endsWith('.docx') ? filename : `${filename}.docx`;
-    saveAs(blob, finalName);
+    return Packer.toBlob(doc);
 };
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { createWordDocument } from './DocxGenerator';
+import { parseQuestionPaper } from './QuestionModel';
+import { DEFAULT_TEMPLATE } from './ExamTemplate';
+
+/**
+ * Packs a paper given in the response JSON shape and returns the XML of
+ * the named parts of the .docx.
+ */
+const pack = async (paper, options = {}, parts = ['word/document.xml']) => {
+    const zip = await JSZip.loadAsync(await createWordDocument(parseQuestionPaper(JSON.stringify(paper)), options));
+    return Promise.all(parts.map(part => zip.file(part).async('string')));
+};
+
+/**
+ * The text of each paragraph (or, with tag 'w:tr', each table row), with
+ * tabs as \t.
+ */
+const texts = (xml, tag = 'w:p') => xml.split(`</${tag}>`).slice(0, -1).map(chunk => [...chunk.matchAll(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>|<w:tab\/>/g)]
+    .map(([, text]) => text ?? '\t').join(''));
+
+describe('Word document', () => {
+    it('writes display equations, large operators and matrices as native math', async () => {
+        const [document] = await pack({
+            sections: [{
+                questions: [
+                    { number: '1', text: 'Evaluate $$\\sum_{i=1}^{n} i^2$$' },
+                    { number: '2', text: 'Invert $\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}$' }
+                ]
+            }]
+        });
+        expect(document).toContain('<m:oMathPara>');
+        expect(document).toMatch(/<m:nary>.*<m:chr m:val="∑"\/>.*<\/m:nary>/s);
+        expect(document.match(/<m:mr>/g)).toHaveLength(2);
+        expect(document).toContain('<m:m>');
+    });
+
+    it('lays out the exam header, page header and footer, and answer key', async () => {
+        const template = {
+            ...DEFAULT_TEMPLATE, enabled: true, schoolName: 'Hill School', className: 'X', subject: 'Maths',
+            duration: '2 Hours', maxMarks: '40', instructions: 'Answer all questions.\n\nNo calculators.'
+        };
+        const [document, header, footer] = await pack({
+            title: 'Weekly Test',
+            sections: [{
+                questions: [
+                    { number: '1', text: 'Pick one', options: [{ label: 'A', text: '1' }, { label: 'B', text: '2' }], answer: 'B' },
+                    { number: '2', text: 'Pick again', options: [{ label: 'A', text: '3' }, { label: 'B', text: '4' }], answer: 'A' }
+                ]
+            }]
+        }, { template }, ['word/document.xml', 'word/header1.xml', 'word/footer1.xml']);
+
+        expect(texts(document).slice(0, 8)).toEqual([
+            'Hill School', 'Weekly Test', 'Class: X\tSubject: Maths', 'Time: 2 Hours\tMax. Marks: 40', '',
+            'General Instructions:', '1.\tAnswer all questions.', '2.\tNo calculators.'
+        ]);
+        expect(texts(header)).toEqual(['Weekly Test\tMaths']);
+        expect(footer).toMatch(/Page .*<w:instrText[^>]*>PAGE<\/w:instrText>.* of .*<w:instrText[^>]*>NUMPAGES<\/w:instrText>/s);
+
+        const answerKey = document.slice(document.indexOf('Answer Key'));
+        expect(answerKey).toContain('<w:tblHeader/>');
+        expect(texts(answerKey, 'w:tr')).toEqual(['QuestionAnswer', '1B', '2A']);
+    });
+
+    it('numbers display equations with a center and a right tab stop', async () => {
+        const [document] = await pack({
+            sections: [{
+                questions: [{
+                    number: '1',
+                    text: 'Given $$a = b \\tag{*}$$ and \\begin{equation} c = d \\end{equation} but \\begin{equation} e = f \\notag \\end{equation} $$g = h$$'
+                }]
+            }]
+        });
+        const equations = document.split('</w:p>').filter(paragraph => paragraph.includes('<m:oMath>'));
+        expect(equations).toHaveLength(4);
+        expect(equations.map(paragraph => texts(`${paragraph}</w:p>`)[0])).toEqual(['\t\t(*)', '\t\t(1)', '', '']);
+        equations.slice(0, 2).forEach(paragraph => {
+            expect(paragraph).toContain('<w:tabs><w:tab w:val="center" w:pos="4513"/><w:tab w:val="right" w:pos="9026"/></w:tabs>');
+            expect(paragraph).not.toContain('<m:oMathPara>');
+        });
+        equations.slice(2).forEach(paragraph => expect(paragraph).toContain('<m:oMathPara>'));
+        expect(document).not.toMatch(/tag|notag/);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Exam paper template settings: header block, instructions, fonts and margins.
+ * Settings are kept in localStorage so they survive between sessions.
+ */
+
+const STORAGE_KEY = 'exam_template';
+
+/**
+ * @typedef {Object} ExamTemplate
+ * @property {boolean} enabled - Render the exam layout instead of a plain document.
+ * @property {string} schoolName
+ * @property {string} examTitle
+ * @property {string} subject
+ * @property {string} className
+ * @property {string} duration - Free text, e.g. "3 Hours".
+ * @property {string} maxMarks
+ * @property {string} instructions - One instruction per line.
+ * @property {string} fontFamily
+ * @property {number} fontSize - In points.
+ * @property {number} marginMm - Page margin on all sides, in millimetres.
+ */
+
+/** @type {ExamTemplate} */
+export const DEFAULT_TEMPLATE = {
+    enabled: false,
+    schoolName: '',
+    examTitle: '',
+    subject: '',
+    className: '',
+    duration: '',
+    maxMarks: '',
+    instructions: '',
+    fontFamily: 'Times New Roman',
+    fontSize: 12,
+    marginMm: 25,
+};
+
+export const FONT_CHOICES = ['Times New Roman', 'Cambria', 'Calibri', 'Arial', 'Georgia'];
+
+/**
+ * Loads the saved template, falling back to defaults for missing fields.
+ * @returns {ExamTemplate}
+ */
+export function loadTemplateSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return { ...DEFAULT_TEMPLATE, ...saved };
+    } catch (error) {
+        console.warn("Ignoring unreadable exam template settings:", error);
+        return { ...DEFAULT_TEMPLATE };
+    }
+}
+
+/**
+ * Persists the template settings.
+ * @param {ExamTemplate} template
+ */
+export function saveTemplateSettings(template) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(template));
+}
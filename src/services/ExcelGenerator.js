@@ -1,77 +1,114 @@
 import ExcelJS from 'exceljs';
-import { saveAs } from 'file-saver';
+import { findTotals, inferColumnTypes, totalRowKind, typedCellValue } from './TableAnalysis';
+import { createSheetNames } from './TableModel';
 
 /**
- * Generates and downloads an Excel file from JSON data.
- * @param {string} extractedJson - The JSON string returned by the AI.
- * @param {string} fileName - The desired name for the downloaded file.
+ * Name of the optional summary sheet.
  */
-export async function generateExcelDocument(extractedJson, fileName = 'Converted Data') {
-    try {
-        const data = parseJson(extractedJson);
-        const workbook = new ExcelJS.Workbook();
-        const worksheet = workbook.addWorksheet('Sheet 1');
+const SUMMARY_SHEET = 'Summary';
 
-        populateWorksheet(worksheet, data);
-
-        // Write buffer and trigger download
-        const buffer = await workbook.xlsx.writeBuffer();
-        const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+/**
+ * Builds an Excel workbook with one worksheet per table.
+ * @param {import('./TableModel').Table[]} tables - Tables from the grid editor.
+ * @param {Object} [options]
+ * @param {boolean} [options.summary] - Add a first sheet linking to every table.
+ * @returns {Promise<Blob>}
+ */
+export async function createExcelWorkbook(tables, options = {}) {
+    const workbook = new ExcelJS.Workbook();
+    const sheetNames = createSheetNames(tables.map(table => table.name), options.summary ? [SUMMARY_SHEET] : []);
 
-        saveAs(blob, `${fileName}.xlsx`);
+    if (options.summary) addSummarySheet(workbook, tables, sheetNames);
+    tables.forEach((table, i) => populateWorksheet(workbook.addWorksheet(sheetNames[i]), table));
 
-    } catch (error) {
-        console.error("Excel Generation Error:", error);
-        throw error;
-    }
+    const buffer = await workbook.xlsx.writeBuffer();
+    return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
 }
 
 /**
- * Parses and validates the input JSON string.
- * @param {string} jsonString 
- * @returns {Array<Array<string>>} Parsed data array
+ * Adds a sheet listing every table with a link to its worksheet and its source file.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {import('./TableModel').Table[]} tables
+ * @param {string[]} sheetNames
  */
-function parseJson(jsonString) {
-    try {
-        // Remove potential markdown fences from AI response
-        const cleanJson = jsonString.replace(/```json/g, '').replace(/```/g, '').trim();
-        const data = JSON.parse(cleanJson);
-
-        if (!Array.isArray(data)) {
-            throw new Error("Data is not in the expected array format");
-        }
-        return data;
-    } catch (e) {
-        console.error("Failed to parse JSON for Excel:", e);
-        alert("Failed to parse the extracted data into a valid Excel format. Raw text will be downloaded instead.");
-        throw new Error("Invalid JSON format from AI");
-    }
+function addSummarySheet(workbook, tables, sheetNames) {
+    const worksheet = workbook.addWorksheet(SUMMARY_SHEET);
+    const colWidths = [];
+
+    const header = worksheet.addRow(['TABLE', 'SOURCE FILE', 'ROWS', 'COLUMNS']);
+    header.eachCell((cell, colNumber) => {
+        trackColumnWidth(colWidths, colNumber, cell.value);
+        applyCellStyle(cell, true);
+    });
+
+    tables.forEach((table, i) => {
+        // Quotes in a sheet reference are escaped by doubling them
+        const link = { text: sheetNames[i], hyperlink: `#'${sheetNames[i].replace(/'/g, "''")}'!A1` };
+        const row = worksheet.addRow([link, table.source || '', table.rows.length, table.rows[0]?.length || 0]);
+        row.eachCell((cell, colNumber) => {
+            trackColumnWidth(colWidths, colNumber, colNumber === 1 ? sheetNames[i] : cell.value);
+            applyCellStyle(cell, false);
+        });
+        row.getCell(1).font = { ...row.getCell(1).font, color: { argb: 'FF0563C1' }, underline: true };
+    });
+
+    applyColumnWidths(worksheet, colWidths);
 }
 
 /**
  * Populates the worksheet with data and applies styling.
  * @param {ExcelJS.Worksheet} worksheet 
- * @param {Array<Array<any>>} data 
+ * @param {import('./TableModel').Table} table 
  */
-function populateWorksheet(worksheet, data) {
+function populateWorksheet(worksheet, table) {
     const colWidths = [];
+    const headerRows = table.headerRows ?? 1;
+    const columnTypes = inferColumnTypes(table);
+    const totals = new Map(findTotals(table).map(total => [`${total.row}:${total.col}`, total]));
+    // Text of a cell spanning several columns should not widen the first one
+    const isWideMerge = (rowIndex, colNumber) => table.merges.some(merge => merge.colSpan > 1
+        && merge.row === rowIndex && merge.col === colNumber - 1);
+
+    table.rows.forEach((rowData, rowIndex) => {
+        // Header rows: Format as ALL CAPS
+        if (rowIndex < headerRows) {
+            const row = worksheet.addRow(rowData.map(cell => String(cell || '').toUpperCase()));
+            row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+                if (!isWideMerge(rowIndex, colNumber)) trackColumnWidth(colWidths, colNumber, cell.value);
+                applyCellStyle(cell, true);
+            });
+            return;
+        }
 
-    data.forEach((rowData, rowIndex) => {
-        if (!Array.isArray(rowData)) return;
-
-        // Header (Row 0): Format as ALL CAPS
-        const processedRow = rowIndex === 0
-            ? rowData.map(cell => String(cell || '').toUpperCase())
-            : rowData;
-
-        const row = worksheet.addRow(processedRow);
-
-        row.eachCell((cell, colNumber) => {
-            trackColumnWidth(colWidths, colNumber, cell.value);
-            applyCellStyle(cell, rowIndex === 0);
+        const isTotal = !!totalRowKind(rowData);
+        const row = worksheet.addRow(rowData.map((text, col) => {
+            const total = totals.get(`${rowIndex}:${col}`);
+            // Totals are live formulas; the computed result is cached for viewers that do not recalculate
+            return total ? { formula: total.formula, result: total.computed } : typedCellValue(text, columnTypes[col]);
+        }));
+
+        row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+            const text = rowData[colNumber - 1];
+            if (!isWideMerge(rowIndex, colNumber)) trackColumnWidth(colWidths, colNumber, text);
+            applyCellStyle(cell, isTotal);
+            applyCellType(cell, columnTypes[colNumber - 1]);
         });
     });
 
+    // ExcelJS ranges are 1-based and inclusive
+    table.merges.forEach(({ row, col, rowSpan, colSpan }) => {
+        worksheet.mergeCells(row + 1, col + 1, row + rowSpan, col + colSpan);
+    });
+
+    // Keep the headings in view while scrolling, and filter on the lowest heading row
+    worksheet.views = [{ state: 'frozen', ySplit: headerRows }];
+    if (table.rows.length > headerRows) {
+        worksheet.autoFilter = {
+            from: { row: headerRows, column: 1 },
+            to: { row: headerRows, column: table.rows[0].length }
+        };
+    }
+
     applyColumnWidths(worksheet, colWidths);
 }
 
@@ -114,6 +151,25 @@ function applyCellStyle(cell, isHeader) {
     };
 }
 
+/**
+ * Alignment per column type: figures to the right, text to the left.
+ */
+const TYPE_ALIGNMENT = { number: 'right', currency: 'right', percent: 'right', date: 'center', boolean: 'center', text: 'left' };
+
+/**
+ * Applies the number format and alignment of the cell's column type.
+ * Cells that stayed text inside a typed column are left-aligned.
+ * @param {ExcelJS.Cell} cell
+ * @param {import('./TableAnalysis').ColumnType} columnType
+ */
+function applyCellType(cell, columnType) {
+    if (!columnType || cell.value === null) return;
+
+    const isText = typeof cell.value === 'string';
+    if (columnType.numFmt && !isText) cell.numFmt = columnType.numFmt;
+    cell.alignment = { ...cell.alignment, horizontal: isText ? 'left' : TYPE_ALIGNMENT[columnType.type] || 'left' };
+}
+
 /**
  * Applies calculated widths to worksheet columns with constraints.
  * @param {ExcelJS.Worksheet} worksheet 
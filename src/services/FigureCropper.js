@@ -0,0 +1,80 @@
+import { collectFigures } from "./QuestionModel";
+
+/**
+ * Loads an uploaded image file into an HTMLImageElement.
+ * @param {File} file
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (file) => {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not load image ${file.name}`));
+        };
+        image.src = url;
+    });
+};
+
+/**
+ * Whether figures can be cropped from a file. PDFs are split into page
+ * images before extraction, so figures always point at an image.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const canCropFigures = (file) => !!file && file.type.startsWith('image/');
+
+/**
+ * Crops a box out of an image and encodes it as PNG.
+ * @param {HTMLImageElement} image
+ * @param {import('./QuestionModel').Box} box - Edges in thousandths of the image size.
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>}
+ */
+async function cropImage(image, box) {
+    const left = Math.round(box.left / 1000 * image.naturalWidth);
+    const top = Math.round(box.top / 1000 * image.naturalHeight);
+    const width = Math.max(1, Math.round(box.right / 1000 * image.naturalWidth) - left);
+    const height = Math.max(1, Math.round(box.bottom / 1000 * image.naturalHeight) - top);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, left, top, width, height, 0, 0, width, height);
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error("Could not encode figure"))), 'image/png');
+    });
+    return { data: new Uint8Array(await blob.arrayBuffer()), width, height };
+}
+
+/**
+ * Crops every figure of a question paper from the uploaded files.
+ * Figures whose source is missing or cannot be cropped are left out,
+ * so the document shows a placeholder for them.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @param {File[]} files - Uploaded files, in the order they were sent for extraction.
+ * @returns {Promise<Map<Object, {data: Uint8Array, width: number, height: number}>>} Images keyed by figure block
+ */
+export async function cropPaperFigures(paper, files) {
+    const images = new Map();
+    const loaded = new Map();
+
+    for (const { figure } of collectFigures(paper)) {
+        const file = files[figure.source];
+        if (!canCropFigures(file)) continue;
+
+        try {
+            if (!loaded.has(file)) loaded.set(file, loadImage(file));
+            images.set(figure, await cropImage(await loaded.get(file), figure.box));
+        } catch (error) {
+            console.warn("Skipping figure that could not be cropped:", error);
+        }
+    }
+
+    return images;
+}
@@ -0,0 +1,10 @@
+/**
+ * File name helpers shared by the upload pipeline and the outputs, kept
+ * apart so neither pulls in the other's dependencies.
+ */
+
+/**
+ * @param {string} fileName
+ * @returns {string} The name without its extension.
+ */
+export const fileStem = (fileName) => fileName.replace(/\.[^.]+$/, '') || fileName;
@@ -1,37 +1,16 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { FunctionDeclarationSchemaType as SchemaType, GoogleGenerativeAI } from "@google/generative-ai";
+import { createProvider } from "./AIProvider";
 
 /**
  * Models to attempt using, in order of priority.
  * We prioritize newer/faster models.
  */
-const MODELS_TO_TRY = [
+export const GEMINI_MODELS = [
     "gemini-2.5-flash",
     "gemini-2.5-pro",
     "gemini-2.0-flash"
 ];
 
-/**
- * Converts a File object to a GoogleGenerativeAI Part object.
- * @param {File} file 
- * @returns {Promise<Object>}
- */
-const fileToPart = (file) => {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => {
-            const base64Data = reader.result.split(',')[1];
-            resolve({
-                inlineData: {
-                    data: base64Data,
-                    mimeType: file.type,
-                },
-            });
-        };
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
-};
-
 /**
  * Lists available models associated with the API key.
  * @param {string} apiKey 
@@ -52,67 +31,64 @@ export async function listAvailableModels(apiKey) {
 }
 
 /**
- * Extracts content from uploaded files using Gemini models.
- * Retries with fallback models if the primary one fails.
- * 
- * @param {string} apiKey 
- * @param {File[]} files 
- * @param {'docx'|'excel'} format 
- * @returns {Promise<string>} Extracted text or JSON string
+ * Translates a response schema from Prompts into the SDK's form, which
+ * names types with its own uppercase enum.
+ * @param {Object} schema
+ * @returns {Object}
  */
-export async function extractContentFromFiles(apiKey, files, format = 'docx') {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    let lastError = null;
-
-    for (const modelName of MODELS_TO_TRY) {
-        try {
-            console.log(`Attempting generation with model: ${modelName}`);
-            const model = genAI.getGenerativeModel({ model: modelName });
-            const fileParts = await Promise.all(files.map(fileToPart));
-
-            const prompt = format === 'excel'
-                ? getExcelPrompt()
-                : getMathPrompt();
-
-            const result = await model.generateContent([prompt, ...fileParts]);
-            const response = result.response;
-            return response.text();
-
-        } catch (error) {
-            console.warn(`Model ${modelName} failed, retrying with next available...`, error);
-            lastError = error;
-            // Continue to next model in the list
-        }
-    }
-
-    throw lastError || new Error("All model attempts failed. Please verify your API key and connection.");
+export function toGeminiSchema(schema) {
+    const { type, properties, items, ...rest } = schema;
+    return {
+        ...rest,
+        type: SchemaType[type.toUpperCase()],
+        ...(properties ? { properties: Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, toGeminiSchema(property)])) } : {}),
+        ...(items ? { items: toGeminiSchema(items) } : {})
+    };
 }
 
-function getExcelPrompt() {
-    return `
-    You are an expert Data Entry assistant. Your task is to extract tabular data and text from provided images into a structured JSON format.
-
-    Rules:
-    1. Identify tables, lists, or structured data in the image.
-    2. Extract the content into a JSON array of arrays, representing rows and columns.
-       Example: [ ["Header 1", "Header 2"], ["Row 1 Col 1", "Row 1 Col 2"] ]
-    3. Do NOT include complex mathematical equations. If minor math is present, treat it as plain text.
-    4. If there is no clear table, try to structure the text logically into rows.
-    5. Do NOT output markdown code fences. Just raw JSON.
-    `;
-}
+/**
+ * Google Gemini through the Generative AI SDK, with the response schema
+ * enforced by the API and the response streamed as it is generated.
+ * @param {string} apiKey
+ * @param {string[]} [models]
+ * @returns {import('./AIProvider').AIProvider}
+ */
+export function createGeminiProvider(apiKey, models = GEMINI_MODELS) {
+    const genAI = new GoogleGenerativeAI(apiKey);
 
-function getMathPrompt() {
-    return `
-    You are an expert Math assistant. Your task is to extract questions and mathematical equations entirely and accurately from the provided images of question papers.
-    
-    Rules:
-    1. Extract all text exactly as it appears.
-    2. For mathematical equations, represent them in standard LaTeX format enclosed in single dollar signs like $E = mc^2$.
-       - USE standard LaTeX commands: \\frac{a}{b}, x^2, x_i, \\sqrt{x}, etc.
-       - Do NOT use double dollar signs $$.
-    3. For fractions, ALWAYS use \\frac{numerator}{denominator}.
-    4. Maintain the question structure/numbering.
-    5. Do NOT output markdown code fences. Just raw text.
-    `;
+    return createProvider({
+        name: 'Gemini',
+        models,
+        async generate(modelName, { prompt, schema, images, signal, onText }) {
+            const model = genAI.getGenerativeModel({
+                model: modelName,
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: toGeminiSchema(schema)
+                }
+            });
+            const result = await model.generateContentStream([prompt, ...images.map(image => ({ inlineData: image }))], { signal });
+            // Rejected along with the stream when it breaks off, e.g. on stop or cancel; that error surfaces from the loop
+            const response = result.response;
+            response.catch(() => {});
+            let text = '';
+            for await (const chunk of result.stream) {
+                text += chunk.text();
+                onText?.(text);
+            }
+            const usage = (await response).usageMetadata;
+            return {
+                text,
+                usage: {
+                    promptTokens: usage?.promptTokenCount ?? null,
+                    outputTokens: usage?.candidatesTokenCount ?? null,
+                    totalTokens: usage?.totalTokenCount ?? null
+                }
+            };
+        },
+        // Names come as "models/gemini-2.5-flash"; only models that can generate content are usable
+        listModels: async () => (await listAvailableModels(apiKey))
+            .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+            .map(model => ({ name: model.name.replace(/^models\//, '') }))
+    });
 }
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import process from 'node:process';
+import { createGeminiProvider, toGeminiSchema } from './GeminiService';
+import { getResponseSchema } from './Prompts';
+import { FunctionDeclarationSchemaType } from '@google/generative-ai';
+
+const sdk = vi.hoisted(() => ({ generateContentStream: null }));
+
+vi.mock('@google/generative-ai', async (importOriginal) => ({
+    ...(await importOriginal()),
+    GoogleGenerativeAI: class {
+        getGenerativeModel() {
+            return { generateContentStream: sdk.generateContentStream };
+        }
+    }
+}));
+
+describe('Gemini provider', () => {
+    afterEach(() => sessionStorage.clear());
+
+    it('translates the response schemas into the SDK types', () => {
+        const schema = toGeminiSchema(getResponseSchema('excel'));
+        const table = schema.properties.tables.items;
+        expect([schema.type, table.type, table.properties.rows.items.items.type, table.properties.headerRows.type]).toEqual(['OBJECT', 'OBJECT', 'STRING', 'INTEGER']);
+        expect(table.properties.merges).toMatchObject({ type: FunctionDeclarationSchemaType.ARRAY, nullable: true });
+        expect(table.required).toEqual(['name', 'rows']);
+    });
+
+    it('leaves no unhandled rejection when a stream is stopped mid-way', async () => {
+        const controller = new AbortController();
+        // Like the SDK, the aggregated response fails with the stream it is read from
+        sdk.generateContentStream = vi.fn(async () => {
+            const aborted = Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+            return {
+                stream: (async function* () {
+                    yield { text: () => '{"title": "Mathem' };
+                    controller.abort();
+                    throw aborted;
+                })(),
+                response: Promise.reject(aborted)
+            };
+        });
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+
+        try {
+            await expect(createGeminiProvider('key', ['gemini-test']).extract([], 'docx', { signal: controller.signal })).rejects.toThrow();
+            await new Promise(resolve => setTimeout(resolve, 0));
+        } finally {
+            process.off('unhandledRejection', onUnhandled);
+        }
+        expect(unhandled).toEqual([]);
+    });
+});
@@ -0,0 +1,231 @@
+import { latexToMathML } from './MathMLRenderer';
+import { collectAnswers, isMultipleChoice, optionLabel } from './QuestionModel';
+
+/**
+ * Self-contained HTML rendering of a question paper, with math as
+ * presentation MathML (see MathMLRenderer) and figures inlined as data
+ * URLs. The same markup is downloaded as a file and shown in the in-app
+ * print preview, so what is previewed is what prints.
+ */
+
+/**
+ * @typedef {Object} HtmlOptions
+ * @property {boolean} [numberEquations] - Number every display equation.
+ * @property {boolean} [includeAnswerKey=true] - Append captured MCQ answers.
+ * @property {import('./ExamTemplate').ExamTemplate} [template] - Exam layout; used when enabled.
+ * @property {Map<Object, {data: Uint8Array, width: number, height: number}>} [figures] - Cropped figure images, keyed by figure block.
+ */
+
+/**
+ * Screen and print styles. Questions are kept whole across pages and the
+ * answer key starts on a new one, as in the Word output.
+ */
+const STYLESHEET = `
+    body { margin: 0; background: #f3f4f6; color: #111; font-family: var(--font, 'Times New Roman', serif); font-size: var(--size, 12pt); line-height: 1.5; }
+    .paper { max-width: 210mm; box-sizing: border-box; margin: 2rem auto; padding: 20mm; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); }
+    h1, .school { text-align: center; margin: 0 0 0.5rem; }
+    .school { font-size: 1.4em; font-weight: bold; }
+    h1 { font-size: 1.3em; }
+    h2 { font-size: 1.15em; margin: 1.25rem 0 0.5rem; }
+    .details { display: flex; justify-content: space-between; font-weight: bold; }
+    .rule { border: 0; border-bottom: 1px solid #000; margin: 0.5rem 0 1rem; }
+    .instructions { margin: 0 0 1rem; }
+    p { margin: 0 0 0.25rem; }
+    .question { display: flex; gap: 0.5rem; margin-top: 0.75rem; }
+    .question .question { margin: 0.25rem 0 0 1.5rem; }
+    .label { min-width: 1.75rem; font-weight: bold; }
+    .question .question .label { font-weight: normal; }
+    .body { flex: 1; }
+    .marks { font-weight: bold; white-space: nowrap; }
+    .options { display: flex; flex-wrap: wrap; column-gap: 2rem; }
+    .display { position: relative; text-align: center; margin: 0.5rem 0; }
+    .display .tag { position: absolute; right: 0; }
+    figure { margin: 0.5rem 0; text-align: center; }
+    figure img { max-width: 100%; max-height: 2.5in; }
+    figcaption, .missing { font-style: italic; }
+    table { border-collapse: collapse; margin: 0 auto; }
+    th, td { border: 1px solid #000; padding: 0.25rem 1.5rem; text-align: center; }
+    .answer-key { margin-top: 2rem; }
+    @page { size: A4; margin: 20mm; }
+    @media print {
+        body { background: none; }
+        .paper { max-width: none; margin: 0; padding: 0; box-shadow: none; }
+        .question { break-inside: avoid; }
+        .answer-key { break-before: page; margin-top: 0; }
+    }
+`;
+
+/**
+ * Builds a complete HTML document for the paper.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @param {HtmlOptions} [options]
+ * @returns {string}
+ */
+export function toHtmlDocument(paper, options = {}) {
+    const template = options.template?.enabled ? options.template : null;
+    const context = {
+        equationCount: 0,
+        numberEquations: !!options.numberEquations,
+        figures: options.figures || new Map()
+    };
+    const title = template?.examTitle || paper.title || 'Question Paper';
+    const fontStyle = template ? ` style="--font: '${escapeHtml(template.fontFamily)}', serif; --size: ${template.fontSize}pt"` : '';
+
+    const parts = [template ? renderExamHeader(template, paper.title) : paper.title ? `<h1>${escapeHtml(paper.title)}</h1>` : ''];
+    paper.sections.forEach(section => {
+        parts.push('<section>');
+        if (section.heading) parts.push(`<h2${template ? ' style="text-align: center"' : ''}>${escapeHtml(section.heading)}</h2>`);
+        parts.push(renderBlocks(section.content, context));
+        section.questions.forEach(question => parts.push(renderQuestion(question, 0, context)));
+        parts.push('</section>');
+    });
+
+    const answers = collectAnswers(paper);
+    if (options.includeAnswerKey !== false && answers.length) parts.push(renderAnswerKey(answers));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<style>${STYLESHEET}</style>`,
+        '</head>',
+        `<body${fontStyle}>`,
+        `<main class="paper">${parts.join('\n')}</main>`,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * @param {Array<{type: string, text?: string, latex?: string}>} runs
+ * @returns {string}
+ */
+const renderRuns = (runs) => runs.map(run => (run.type === 'math' ? latexToMathML(run.latex) : escapeHtml(run.text))).join('');
+
+/**
+ * Renders content blocks. Display equations are numbered like in Word.
+ * @param {Array<Object>} blocks
+ * @param {{equationCount: number, numberEquations: boolean, figures: Map}} context
+ * @param {boolean} [inline] - Render paragraphs as spans, for options.
+ * @returns {string}
+ */
+const renderBlocks = (blocks, context, inline = false) => blocks.map(block => {
+    if (block.type === 'display') {
+        const isNumbered = block.numbered || (context.numberEquations && block.tag === null);
+        const number = block.tag ?? (isNumbered ? String(++context.equationCount) : null);
+        const tag = number !== null ? `<span class="tag">(${escapeHtml(number)})</span>` : '';
+        return `<div class="display">${latexToMathML(block.latex, true)}${tag}</div>`;
+    }
+    if (block.type === 'figure') return renderFigure(block, context);
+    return inline ? `<span>${renderRuns(block.runs)}</span>` : `<p>${renderRuns(block.runs)}</p>`;
+}).join('\n');
+
+/**
+ * Renders a cropped figure as an inline PNG, or a placeholder when it could not be cropped.
+ * @param {import('./QuestionModel').FigureBlock} figure
+ * @param {{figures: Map}} context
+ * @returns {string}
+ */
+const renderFigure = (figure, context) => {
+    const image = context.figures.get(figure);
+    const caption = figure.caption ? `<figcaption>${escapeHtml(figure.caption)}</figcaption>` : '';
+    if (!image) return `<figure><span class="missing">[Figure not available]</span>${caption}</figure>`;
+
+    const alt = escapeHtml(figure.caption || `Figure from image ${figure.source + 1}`);
+    return `<figure><img src="data:image/png;base64,${toBase64(image.data)}" width="${image.width}" height="${image.height}" alt="${alt}">${caption}</figure>`;
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const toBase64 = (bytes) => {
+    let binary = '';
+    // Chunked, since spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Renders a question with its options and sub-parts.
+ * @param {Object} question
+ * @param {number} depth - 0 for questions, 1 for parts, 2 for sub-parts.
+ * @param {Object} context
+ * @returns {string}
+ */
+const renderQuestion = (question, depth, context) => {
+    const label = depth === 0 ? `${question.number}.` : `(${question.number})`;
+    const options = isMultipleChoice(question)
+        ? `<div class="options">${question.options.map((option, index) => (
+            `<span class="option">(${optionLabel(index)}) ${renderBlocks(option.content, context, true)}</span>`
+        )).join('')}</div>`
+        : '';
+    const marks = question.marks !== null ? `<span class="marks">[${question.marks}]</span>` : '';
+
+    return [
+        '<div class="question">',
+        `<span class="label">${escapeHtml(label)}</span>`,
+        '<div class="body">',
+        renderBlocks(question.content, context),
+        options,
+        ...question.parts.map(part => renderQuestion(part, depth + 1, context)),
+        '</div>',
+        marks,
+        '</div>'
+    ].filter(Boolean).join('\n');
+};
+
+/**
+ * Renders the exam header block, as in the Word exam template.
+ * @param {import('./ExamTemplate').ExamTemplate} template
+ * @param {string|null} fallbackTitle
+ * @returns {string}
+ */
+const renderExamHeader = (template, fallbackTitle) => {
+    const detail = (label, value) => (value ? `${label}: ${escapeHtml(value)}` : '');
+    const detailLine = (left, right) => (left || right ? `<div class="details"><span>${left}</span><span>${right}</span></div>` : '');
+    const instructions = template.instructions.split('\n').map(line => line.trim()).filter(Boolean);
+    const title = template.examTitle || fallbackTitle;
+
+    return [
+        template.schoolName ? `<div class="school">${escapeHtml(template.schoolName)}</div>` : '',
+        title ? `<h1>${escapeHtml(title)}</h1>` : '',
+        detailLine(detail('Class', template.className), detail('Subject', template.subject)),
+        detailLine(detail('Time', template.duration), detail('Max. Marks', template.maxMarks)),
+        '<hr class="rule">',
+        instructions.length
+            ? `<div class="instructions"><strong>General Instructions:</strong><ol>${instructions.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ol></div>`
+            : ''
+    ].filter(Boolean).join('\n');
+};
+
+/**
+ * @param {Array<{number: string, answer: string}>} answers
+ * @returns {string}
+ */
+const renderAnswerKey = (answers) => [
+    '<section class="answer-key">',
+    '<h2>Answer Key</h2>',
+    '<table>',
+    '<thead><tr><th>Question</th><th>Answer</th></tr></thead>',
+    `<tbody>${answers.map(({ number, answer }) => `<tr><td>${escapeHtml(number)}</td><td>${escapeHtml(answer)}</td></tr>`).join('')}</tbody>`,
+    '</table>',
+    '</section>'
+].join('\n');
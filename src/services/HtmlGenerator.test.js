@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { toHtmlDocument } from './HtmlGenerator';
+import { parseQuestionPaperText } from './QuestionModel';
+
+describe('toHtmlDocument', () => {
+    const paper = parseQuestionPaperText([
+        '# Test <1>',
+        '1. Find $x^2$ if a < b [2 marks]',
+        '$$ \\frac{1}{2} $$',
+        '[Figure: image 1, 0,0,500,500] Fig. 1',
+        '(A) $1$ (B) $2$',
+        'Answer: A'
+    ].join('\n'));
+    const figure = paper.sections[0].questions[0].content.find(block => block.type === 'figure');
+
+    it('renders math as MathML with escaped text, figures and a print stylesheet', () => {
+        const html = toHtmlDocument(paper, {
+            numberEquations: true,
+            figures: new Map([[figure, { data: new Uint8Array([1, 2, 3]), width: 40, height: 30 }]])
+        });
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(html).toContain('<title>Test &lt;1&gt;</title>');
+        expect(html).toContain('@media print');
+        expect(html).toContain('<p>Find <math xmlns="http://www.w3.org/1998/Math/MathML" display="inline">');
+        expect(html).toContain(' if a &lt; b</p>');
+        expect(html).toMatch(/<div class="display"><math [^>]*display="block">.*<mfrac>.*<span class="tag">\(1\)<\/span><\/div>/);
+        expect(html).toContain('<img src="data:image/png;base64,AQID" width="40" height="30" alt="Fig. 1">');
+        expect(html).toContain('<span class="marks">[2]</span>');
+        expect(html).toContain('<tr><td>1</td><td>A</td></tr>');
+    });
+
+    it('uses the exam template when enabled', () => {
+        const html = toHtmlDocument(paper, {
+            includeAnswerKey: false,
+            template: { enabled: true, schoolName: 'City School', examTitle: '', subject: 'Maths', className: 'X', duration: '', maxMarks: '80', instructions: 'Use ink.\n', fontFamily: 'Cambria', fontSize: 11 }
+        });
+        expect(html).toContain('<div class="school">City School</div>\n<h1>Test &lt;1&gt;</h1>');
+        expect(html).toContain('<span>Class: X</span><span>Subject: Maths</span>');
+        expect(html).toContain('<li>Use ink.</li>');
+        expect(html).not.toContain('Answer Key');
+        expect(html).toContain('<span class="missing">[Figure not available]</span>');
+    });
+});
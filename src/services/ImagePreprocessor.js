@@ -0,0 +1,288 @@
+import { fileStem } from './FileNames';
+
+/**
+ * Cleans up photographed pages in the browser before they are sent for
+ * extraction: upright by EXIF, rotated and cropped by hand, straightened,
+ * contrast-stretched and re-encoded small enough to upload quickly.
+ *
+ * @typedef {Object} PreprocessOptions
+ * @property {boolean} enhance - Stretch contrast so faint print reads as black on white.
+ * @property {boolean} grayscale
+ * @property {boolean} deskew - Straighten pages photographed at a slight angle.
+ * @property {number|null} targetSize - Largest upload per image, in bytes; null keeps the original resolution.
+ *
+ * @typedef {Object} ImageEdit
+ * @property {0|90|180|270} rotation - Clockwise, after EXIF orientation.
+ * @property {import('./QuestionModel').Box|null} crop - Area to keep, in thousandths of the rotated image.
+ */
+
+/**
+ * @type {PreprocessOptions}
+ */
+export const DEFAULT_PREPROCESS = { enhance: true, grayscale: true, deskew: true, targetSize: 1024 * 1024 };
+
+/**
+ * Upload size limits offered in the UI.
+ */
+export const TARGET_SIZES = [
+    { value: 512 * 1024, label: '500 KB' },
+    { value: 1024 * 1024, label: '1 MB' },
+    { value: 2 * 1024 * 1024, label: '2 MB' },
+    { value: null, label: 'Original' }
+];
+
+/**
+ * @type {ImageEdit}
+ */
+export const NO_EDIT = { rotation: 0, crop: null };
+
+/**
+ * Longest side kept when a target size is set; more detail does not help recognition.
+ */
+export const MAX_DIMENSION = 2000;
+
+/**
+ * Skew angles tried when straightening, in degrees either way.
+ */
+const MAX_SKEW = 5;
+const SKEW_STEP = 0.25;
+
+/**
+ * Width the page is reduced to when measuring skew.
+ */
+const SKEW_SAMPLE_WIDTH = 500;
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}}
+ */
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return { canvas, context: canvas.getContext('2d') };
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} quality
+ * @returns {Promise<Blob>}
+ */
+const encodeJpeg = (canvas, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Could not encode image"))), 'image/jpeg', quality);
+});
+
+/**
+ * Draws the image rotated by a multiple of 90 degrees and scaled.
+ * @param {CanvasImageSource} source
+ * @param {number} width - Source width.
+ * @param {number} height - Source height.
+ * @param {number} rotation
+ * @param {number} scale
+ * @returns {HTMLCanvasElement}
+ */
+function rotateQuarterTurns(source, width, height, rotation, scale) {
+    const sideways = rotation === 90 || rotation === 270;
+    const { canvas, context } = createCanvas((sideways ? height : width) * scale, (sideways ? width : height) * scale);
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate(rotation * Math.PI / 180);
+    context.drawImage(source, -width * scale / 2, -height * scale / 2, width * scale, height * scale);
+    return canvas;
+}
+
+/**
+ * @param {HTMLCanvasElement} source
+ * @param {import('./QuestionModel').Box} box - In thousandths of the source size.
+ * @returns {HTMLCanvasElement}
+ */
+function cropCanvas(source, box) {
+    const left = box.left / 1000 * source.width;
+    const top = box.top / 1000 * source.height;
+    const width = (box.right - box.left) / 1000 * source.width;
+    const height = (box.bottom - box.top) / 1000 * source.height;
+    const { canvas, context } = createCanvas(width, height);
+    context.drawImage(source, left, top, width, height, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Rotates the canvas contents about its centre, filling the uncovered corners with white.
+ * @param {HTMLCanvasElement} source
+ * @param {number} degrees - Clockwise.
+ * @returns {HTMLCanvasElement}
+ */
+function rotateByAngle(source, degrees) {
+    const { canvas, context } = createCanvas(source.width, source.height);
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate(degrees * Math.PI / 180);
+    context.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+}
+
+/**
+ * Luminance of every pixel, 0-255.
+ * @param {Uint8ClampedArray} data - RGBA pixels.
+ * @returns {Uint8Array}
+ */
+const toLuminance = (data) => {
+    const gray = new Uint8Array(data.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    }
+    return gray;
+};
+
+/**
+ * Stretches contrast so the darkest and lightest 1% of pixels become black
+ * and white, and optionally converts to grayscale. Works in place.
+ * @param {Uint8ClampedArray} data - RGBA pixels.
+ * @param {{enhance: boolean, grayscale: boolean}} options
+ * @returns {Uint8ClampedArray} The same array.
+ */
+export function enhancePixels(data, { enhance, grayscale }) {
+    const gray = toLuminance(data);
+    let low = 0;
+    let high = 255;
+
+    if (enhance) {
+        const histogram = new Array(256).fill(0);
+        gray.forEach(value => histogram[value]++);
+        const clip = gray.length * 0.01;
+        for (let sum = 0; low < 255 && (sum += histogram[low]) <= clip;) low++;
+        for (let sum = 0; high > 0 && (sum += histogram[high]) <= clip;) high--;
+        // Nearly flat images (blank pages) are left alone rather than amplifying noise
+        if (high - low < 16) [low, high] = [0, 255];
+    }
+
+    const stretch = (value) => Math.max(0, Math.min(255, (value - low) * 255 / (high - low)));
+    for (let i = 0; i < gray.length; i++) {
+        if (grayscale) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = stretch(gray[i]);
+        } else {
+            data[i * 4] = stretch(data[i * 4]);
+            data[i * 4 + 1] = stretch(data[i * 4 + 1]);
+            data[i * 4 + 2] = stretch(data[i * 4 + 2]);
+        }
+    }
+    return data;
+}
+
+/**
+ * Estimates how far lines of text slope, by finding the angle at which the
+ * dark pixels fall into the fewest, fullest rows.
+ * @param {Uint8Array} gray - Luminance, one value per pixel.
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} Clockwise slope in degrees; 0 when no clear angle is found.
+ */
+export function estimateSkew(gray, width, height) {
+    const mean = gray.reduce((sum, value) => sum + value, 0) / gray.length;
+    const threshold = mean * 0.7;
+    const points = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] < threshold) points.push(x, y);
+        }
+    }
+    if (points.length < 20) return 0;
+
+    let best = { angle: 0, score: -1 };
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW + 1e-9; angle += SKEW_STEP) {
+        const slope = Math.tan(angle * Math.PI / 180);
+        const offset = Math.ceil(width * Math.tan(MAX_SKEW * Math.PI / 180));
+        const rows = new Array(height + 2 * offset + 1).fill(0);
+        for (let i = 0; i < points.length; i += 2) rows[Math.round(points[i + 1] - points[i] * slope) + offset]++;
+        const score = rows.reduce((sum, count) => sum + count * count, 0);
+        // Prefer the smaller angle on ties so clean pages stay untouched
+        if (score > best.score || (score === best.score && Math.abs(angle) < Math.abs(best.angle))) best = { angle, score };
+    }
+    return Math.round(best.angle * 100) / 100;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {number} Clockwise skew of the page in degrees.
+ */
+function measureSkew(canvas) {
+    const scale = Math.min(1, SKEW_SAMPLE_WIDTH / canvas.width);
+    const { canvas: sample, context } = createCanvas(canvas.width * scale, canvas.height * scale);
+    context.drawImage(canvas, 0, 0, sample.width, sample.height);
+    const { data } = context.getImageData(0, 0, sample.width, sample.height);
+    return estimateSkew(toLuminance(data), sample.width, sample.height);
+}
+
+/**
+ * Encodes as JPEG, lowering quality and then resolution until the file fits.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number|null} targetSize
+ * @returns {Promise<Blob>}
+ */
+async function encodeToSize(canvas, targetSize) {
+    let current = canvas;
+    for (;;) {
+        for (let quality = 0.9; quality > 0.45; quality -= 0.15) {
+            const blob = await encodeJpeg(current, quality);
+            if (!targetSize || blob.size <= targetSize || current.width < 400) return blob;
+        }
+        // Still too large at low quality: drop a fifth of the resolution and try again
+        current = rotateQuarterTurns(current, current.width, current.height, 0, 0.8);
+    }
+}
+
+/**
+ * Runs the whole pipeline on one image.
+ * @param {File} file
+ * @param {ImageEdit} [edit]
+ * @param {PreprocessOptions} [options]
+ * @returns {Promise<File>} A JPEG named after the original.
+ */
+export async function preprocessImage(file, edit = NO_EDIT, options = DEFAULT_PREPROCESS) {
+    // Decoding honours EXIF orientation, so phone photos come out upright
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = options.targetSize ? Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height)) : 1;
+    let canvas = rotateQuarterTurns(bitmap, bitmap.width, bitmap.height, edit.rotation, scale);
+    bitmap.close();
+    if (edit.crop) canvas = cropCanvas(canvas, edit.crop);
+
+    if (options.enhance || options.grayscale) {
+        const context = canvas.getContext('2d');
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        enhancePixels(image.data, options);
+        context.putImageData(image, 0, 0);
+    }
+    if (options.deskew) {
+        const skew = measureSkew(canvas);
+        if (Math.abs(skew) >= SKEW_STEP) canvas = rotateByAngle(canvas, -skew);
+    }
+
+    const blob = await encodeToSize(canvas, options.targetSize);
+    return new File([blob], `${fileStem(file.name)}.jpg`, { type: 'image/jpeg', lastModified: file.lastModified });
+}
+
+/**
+ * @param {ImageEdit|undefined} edit
+ * @param {PreprocessOptions} options
+ * @returns {boolean} Whether the image would come out as uploaded.
+ */
+const leavesUntouched = (edit, options) => (
+    (!edit || (!edit.rotation && !edit.crop)) && !options.enhance && !options.grayscale && !options.deskew && !options.targetSize
+);
+
+/**
+ * Preprocesses every image; PDFs and images nothing would change pass through.
+ * @param {File[]} files
+ * @param {Map<File, ImageEdit>} edits
+ * @param {PreprocessOptions} options
+ * @returns {Promise<File[]>}
+ */
+export async function preprocessFiles(files, edits, options) {
+    const processed = [];
+    for (const file of files) {
+        const skip = !file.type.startsWith('image/') || leavesUntouched(edits.get(file), options);
+        processed.push(skip ? file : await preprocessImage(file, edits.get(file), options));
+    }
+    return processed;
+}
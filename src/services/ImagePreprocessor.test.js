@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { enhancePixels, estimateSkew } from './ImagePreprocessor';
+
+describe('enhancePixels', () => {
+    it('stretches dim pixels to full contrast and converts to grayscale', () => {
+        // Grey print on a dull page: luminance 80 and 180, with a mid-grey between
+        const data = new Uint8ClampedArray([80, 80, 80, 255, 180, 180, 180, 255, 120, 120, 120, 255]);
+        enhancePixels(data, { enhance: true, grayscale: true });
+        expect([...data]).toEqual([0, 0, 0, 255, 255, 255, 255, 255, 102, 102, 102, 255]);
+    });
+});
+
+describe('estimateSkew', () => {
+    it('measures the slope of lines of text', () => {
+        const width = 200;
+        const height = 220;
+        const gray = new Uint8Array(width * height).fill(255);
+        const slope = Math.tan(2 * Math.PI / 180);
+        for (let y0 = 20; y0 < 200; y0 += 20) {
+            for (let x = 0; x < width; x++) gray[Math.round(y0 + x * slope) * width + x] = 0;
+        }
+        expect(estimateSkew(gray, width, height)).toBeCloseTo(2, 0);
+        expect(estimateSkew(new Uint8Array(width * height).fill(255), width, height)).toBe(0);
+    });
+});
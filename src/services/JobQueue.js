@@ -0,0 +1,137 @@
+/**
+ * Runs extraction jobs a few at a time. Each job can be cancelled through
+ * its own AbortController and retried on its own after it fails, so one bad
+ * file no longer costs the whole run. A running job can also be stopped
+ * early, keeping the partial result it has reported so far.
+ *
+ * @typedef {'queued'|'running'|'done'|'failed'|'cancelled'} JobState
+ * @typedef {{id: number, status: JobState, error: string|null, content: any, partial: any, stopped: boolean}} Job
+ *   partial is the latest progress of a running job; stopped marks content that is only partial.
+ *   Extra fields are kept as given.
+ */
+
+/**
+ * @param {Object} options
+ * @param {function(Job, AbortSignal, function(any): void): Promise<any>} options.run - Does the work; its result
+ *   becomes the job's content. The third argument reports partial results along the way.
+ * @param {number} [options.concurrency] - Jobs running at the same time.
+ * @param {function(Job): void} [options.onUpdate] - Receives a copy of a job whenever its state changes.
+ * @param {function(Job[]): void} [options.onIdle] - Called with every job once nothing is queued or running.
+ */
+export function createJobQueue({ run, concurrency = 2, onUpdate = () => {}, onIdle = () => {} }) {
+    /** @type {Map<number, Job>} */
+    const jobs = new Map();
+    /** @type {Map<number, AbortController>} */
+    const controllers = new Map();
+    /** @type {Set<number>} Running jobs stopped to keep their partial result */
+    const stopping = new Set();
+    let waiting = [];
+
+    const update = (id, changes) => {
+        const job = { ...jobs.get(id), ...changes };
+        jobs.set(id, job);
+        onUpdate(job);
+    };
+
+    const start = async (id) => {
+        const controller = new AbortController();
+        controllers.set(id, controller);
+        update(id, { status: 'running', error: null, partial: null, stopped: false });
+        const report = (partial) => {
+            if (!controller.signal.aborted) update(id, { partial });
+        };
+
+        try {
+            const content = await run(jobs.get(id), controller.signal, report);
+            // A job cancelled while its request was finishing stays cancelled
+            if (!controller.signal.aborted || stopping.has(id)) update(id, { status: 'done', content, partial: null });
+        } catch (error) {
+            const { partial } = jobs.get(id);
+            if (stopping.has(id) && partial != null) {
+                update(id, { status: 'done', content: partial, partial: null, stopped: true });
+            } else if (controller.signal.aborted) {
+                update(id, { status: 'cancelled', error: null, partial: null });
+            } else {
+                console.error(`Job ${id} failed:`, error);
+                update(id, { status: 'failed', error: error.message });
+            }
+        } finally {
+            controllers.delete(id);
+            stopping.delete(id);
+            pump();
+        }
+    };
+
+    const pump = () => {
+        while (controllers.size < concurrency && waiting.length) start(waiting.shift());
+        if (!controllers.size && !waiting.length) onIdle([...jobs.values()]);
+    };
+
+    const enqueue = (id) => {
+        update(id, { status: 'queued', error: null });
+        waiting.push(id);
+    };
+
+    /**
+     * Cancels a queued job, or aborts a running one.
+     * @param {number} id
+     */
+    const cancel = (id) => {
+        if (controllers.has(id)) {
+            controllers.get(id).abort();
+        } else if (waiting.includes(id)) {
+            waiting = waiting.filter(other => other !== id);
+            update(id, { status: 'cancelled' });
+            pump();
+        }
+    };
+
+    /**
+     * Aborts a running job, keeping what it has reported so far as its
+     * content. A job that has reported nothing is cancelled instead.
+     * @param {number} id
+     */
+    const stop = (id) => {
+        if (!controllers.has(id)) return;
+        stopping.add(id);
+        controllers.get(id).abort();
+    };
+
+    return {
+        /**
+         * Queues new jobs and starts as many as the concurrency allows.
+         * @param {Array<{id: number}>} newJobs
+         */
+        add(newJobs) {
+            newJobs.forEach(job => {
+                jobs.set(job.id, { content: null, partial: null, stopped: false, ...job });
+                enqueue(job.id);
+            });
+            pump();
+        },
+
+        cancel,
+
+        stop,
+
+        cancelAll() {
+            [...waiting, ...controllers.keys()].forEach(cancel);
+        },
+
+        /**
+         * Queues a failed or cancelled job again.
+         * @param {number} id
+         */
+        retry(id) {
+            const status = jobs.get(id)?.status;
+            if (status !== 'failed' && status !== 'cancelled') return;
+            enqueue(id);
+            pump();
+        },
+
+        /**
+         * @returns {boolean} Whether any job is queued or running.
+         */
+        isBusy: () => controllers.size > 0 || waiting.length > 0
+    };
+}
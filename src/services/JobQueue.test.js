@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { createJobQueue } from './JobQueue';
+
+/**
+ * A queue whose jobs wait until released by hand, or fail the first time
+ * when named "bad".
+ */
+function setup(concurrency) {
+    const failed = new Set();
+    const pending = new Map();
+    const reporters = new Map();
+    const updates = [];
+    let idle = null;
+    const queue = createJobQueue({
+        concurrency,
+        run: (job, signal, report) => new Promise((resolve, reject) => {
+            if (job.name === 'bad' && !failed.has(job.id)) {
+                failed.add(job.id);
+                return reject(new Error('Quota exceeded'));
+            }
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+            pending.set(job.id, () => resolve(`${job.name} text`));
+            reporters.set(job.id, report);
+        }),
+        onUpdate: (job) => updates.push(`${job.name}:${job.status}`),
+        onIdle: (jobs) => { idle = jobs; }
+    });
+    const flush = () => new Promise(resolve => setTimeout(resolve));
+    return { queue, pending, reporters, updates, flush, idle: () => idle };
+}
+
+describe('createJobQueue', () => {
+    it('runs no more jobs at once than the concurrency allows', async () => {
+        const { queue, pending, flush, idle } = setup(2);
+        queue.add([{ id: 0, name: 'a' }, { id: 1, name: 'b' }, { id: 2, name: 'c' }]);
+        expect([...pending.keys()]).toEqual([0, 1]);
+
+        pending.get(0)();
+        await flush();
+        expect([...pending.keys()]).toEqual([0, 1, 2]);
+
+        pending.get(1)();
+        pending.get(2)();
+        await flush();
+        expect(idle().map(job => [job.status, job.content])).toEqual([['done', 'a text'], ['done', 'b text'], ['done', 'c text']]);
+    });
+
+    it('cancels queued and running jobs and retries failed ones', async () => {
+        const { queue, pending, updates, flush, idle } = setup(1);
+        queue.add([{ id: 0, name: 'bad' }, { id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+        await flush();
+        queue.cancel(2);
+        queue.cancel(1);
+        await flush();
+        expect(idle().map(job => job.status)).toEqual(['failed', 'cancelled', 'cancelled']);
+        expect(idle()[0].error).toBe('Quota exceeded');
+
+        updates.length = 0;
+        queue.retry(0);
+        queue.retry(0);
+        expect(updates).toEqual(['bad:queued', 'bad:running']);
+        expect(queue.isBusy()).toBe(true);
+
+        pending.get(0)();
+        await flush();
+        expect(idle().map(job => [job.status, job.content, job.error])).toEqual([['done', 'bad text', null], ['cancelled', null, null], ['cancelled', null, null]]);
+        expect(queue.isBusy()).toBe(false);
+    });
+
+    it('keeps the partial result of a stopped job', async () => {
+        const { queue, reporters, flush, idle } = setup(2);
+        queue.add([{ id: 0, name: 'a' }, { id: 1, name: 'b' }]);
+        reporters.get(0)('a so far');
+        queue.stop(0);
+        queue.stop(1);
+        await flush();
+        expect(idle().map(job => [job.status, job.content, job.stopped])).toEqual([['done', 'a so far', true], ['cancelled', null, false]]);
+    });
+});
@@ -0,0 +1,662 @@
+/**
+ * LaTeX math parser.
+ * Turns the LaTeX subset produced by the extraction prompt into a small AST
+ * that the document generators map onto their own math constructs.
+ */
+
+/**
+ * Mapping of LaTeX symbol commands to their Unicode equivalents.
+ */
+export const LATEX_SYMBOLS = {
+    // Greek
+    '\\alpha': 'α', '\\beta': 'β', '\\gamma': 'γ', '\\delta': 'δ', '\\epsilon': 'ϵ', '\\varepsilon': 'ε',
+    '\\zeta': 'ζ', '\\eta': 'η', '\\theta': 'θ', '\\vartheta': 'ϑ', '\\iota': 'ι', '\\kappa': 'κ',
+    '\\lambda': 'λ', '\\mu': 'μ', '\\nu': 'ν', '\\xi': 'ξ', '\\pi': 'π', '\\varpi': 'ϖ', '\\rho': 'ρ',
+    '\\varrho': 'ϱ', '\\sigma': 'σ', '\\varsigma': 'ς', '\\tau': 'τ', '\\upsilon': 'υ', '\\phi': 'φ',
+    '\\varphi': 'φ', '\\chi': 'χ', '\\psi': 'ψ', '\\omega': 'ω',
+    '\\Gamma': 'Γ', '\\Delta': 'Δ', '\\Theta': 'Θ', '\\Lambda': 'Λ', '\\Xi': 'Ξ', '\\Pi': 'Π',
+    '\\Sigma': 'Σ', '\\Upsilon': 'Υ', '\\Phi': 'Φ', '\\Psi': 'Ψ', '\\Omega': 'Ω',
+
+    // Relations
+    '\\ne': '≠', '\\neq': '≠', '\\le': '≤', '\\leq': '≤', '\\ge': '≥', '\\geq': '≥',
+    '\\ll': '≪', '\\gg': '≫', '\\approx': '≈', '\\equiv': '≡', '\\cong': '≅', '\\sim': '∽',
+    '\\simeq': '≃', '\\propto': '∝', '\\parallel': '∥', '\\perp': '⊥', '\\mid': '∣', '\\nmid': '∤',
+    '\\in': '∈', '\\notin': '∉', '\\ni': '∋', '\\subset': '⊂', '\\supset': '⊃',
+    '\\subseteq': '⊆', '\\supseteq': '⊇',
+
+    // Arrows
+    '\\rightarrow': '→', '\\to': '→', '\\leftarrow': '←', '\\gets': '←', '\\leftrightarrow': '↔',
+    '\\Rightarrow': '⇒', '\\Leftarrow': '⇐', '\\Leftrightarrow': '⇔', '\\implies': '⟹',
+    '\\iff': '⟺', '\\mapsto': '↦', '\\uparrow': '↑', '\\downarrow': '↓',
+
+    // Binary operators
+    '\\pm': '±', '\\mp': '∓', '\\times': '×', '\\cdot': '·', '\\div': '÷', '\\ast': '∗',
+    '\\star': '⋆', '\\bullet': '∙', '\\oplus': '⊕', '\\otimes': '⊗', '\\cup': '∪', '\\cap': '∩',
+    '\\setminus': '∖', '\\wedge': '∧', '\\land': '∧', '\\vee': '∨', '\\lor': '∨',
+
+    // Geometry & misc
+    '\\circ': '°', '\\degree': '°', '\\angle': '∠', '\\measuredangle': '∡', '\\triangle': '△',
+    '\\square': '□', '\\infty': '∞', '\\partial': '∂', '\\nabla': '∇', '\\prime': '′',
+    '\\forall': '∀', '\\exists': '∃', '\\nexists': '∄', '\\neg': '¬', '\\lnot': '¬',
+    '\\emptyset': '∅', '\\varnothing': '∅', '\\therefore': '∴', '\\because': '∵',
+    '\\hbar': 'ℏ', '\\ell': 'ℓ', '\\Re': 'ℜ', '\\Im': 'ℑ', '\\aleph': 'ℵ',
+    '\\ldots': '…', '\\dots': '…', '\\cdots': '⋯', '\\vdots': '⋮', '\\ddots': '⋱',
+
+    // Delimiters
+    '\\langle': '⟨', '\\rangle': '⟩', '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉',
+    '\\vert': '|', '\\lvert': '|', '\\rvert': '|', '\\Vert': '‖', '\\lVert': '‖', '\\rVert': '‖',
+
+    // Escaped characters
+    '\\{': '{', '\\}': '}', '\\|': '‖', '\\%': '%', '\\$': '$', '\\&': '&', '\\#': '#', '\\_': '_',
+};
+
+/**
+ * Spacing commands mapped to Unicode space characters.
+ */
+const LATEX_SPACES = {
+    '\\,': ' ', '\\:': ' ', '\\>': ' ', '\\;': ' ', '\\ ': ' ', '\\!': '',
+    '\\quad': ' ', '\\qquad': '  ',
+};
+
+/**
+ * Large (n-ary) operators. Their scripts become limits and the following
+ * operand becomes the operator body.
+ */
+const NARY_OPERATORS = {
+    '\\sum': '∑', '\\prod': '∏', '\\coprod': '∐', '\\int': '∫', '\\iint': '∬', '\\iiint': '∭',
+    '\\oint': '∮', '\\bigcup': '⋃', '\\bigcap': '⋂', '\\bigvee': '⋁', '\\bigwedge': '⋀',
+    '\\bigoplus': '⨁', '\\bigotimes': '⨂',
+};
+
+/**
+ * Operators whose subscript is written underneath the name (e.g. lim over x → 0).
+ */
+const LIMIT_OPERATORS = ['lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf'];
+
+/**
+ * Upright function names that take an argument.
+ */
+const FUNCTION_NAMES = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+    'sinh', 'cosh', 'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'det', 'gcd', 'deg', 'arg', 'dim', 'ker',
+];
+
+/**
+ * Accent commands mapped to combining characters.
+ */
+const ACCENTS = {
+    '\\hat': '̂', '\\widehat': '̂', '\\tilde': '̃', '\\widetilde': '̃',
+    '\\bar': '̅', '\\vec': '⃗', '\\overrightarrow': '⃗', '\\overleftarrow': '⃖',
+    '\\dot': '̇', '\\ddot': '̈', '\\check': '̌', '\\breve': '̆',
+    '\\acute': '́', '\\grave': '̀',
+};
+
+/**
+ * Font style commands mapped to math variants.
+ */
+const FONT_STYLES = {
+    '\\mathbb': 'double-struck', '\\mathcal': 'script', '\\mathscr': 'script',
+    '\\mathfrak': 'fraktur', '\\mathbf': 'bold', '\\boldsymbol': 'bold-italic',
+    '\\mathit': 'italic', '\\mathrm': 'normal', '\\mathsf': 'sans-serif', '\\mathtt': 'monospace',
+};
+
+/**
+ * Opening/closing characters accepted after \left and \right.
+ */
+const DELIMITERS = {
+    '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '.': '',
+    '\\{': '{', '\\}': '}', '\\|': '‖', '\\langle': '⟨', '\\rangle': '⟩',
+    '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉',
+    '\\vert': '|', '\\lvert': '|', '\\rvert': '|', '\\Vert': '‖', '\\lVert': '‖', '\\rVert': '‖',
+};
+
+/**
+ * Supported \begin{...} environments and how they are laid out.
+ */
+const ENVIRONMENTS = {
+    'matrix': { kind: 'matrix', open: '', close: '' },
+    'smallmatrix': { kind: 'matrix', open: '', close: '' },
+    'array': { kind: 'matrix', open: '', close: '' },
+    'pmatrix': { kind: 'matrix', open: '(', close: ')' },
+    'bmatrix': { kind: 'matrix', open: '[', close: ']' },
+    'Bmatrix': { kind: 'matrix', open: '{', close: '}' },
+    'vmatrix': { kind: 'matrix', open: '|', close: '|' },
+    'Vmatrix': { kind: 'matrix', open: '‖', close: '‖' },
+    'cases': { kind: 'cases', open: '{', close: '' },
+    'rcases': { kind: 'cases', open: '', close: '}' },
+    'aligned': { kind: 'aligned', open: '', close: '' },
+    'align': { kind: 'aligned', open: '', close: '' },
+    'align*': { kind: 'aligned', open: '', close: '' },
+    'gathered': { kind: 'aligned', open: '', close: '' },
+    'split': { kind: 'aligned', open: '', close: '' },
+};
+
+/**
+ * Characters that end the body of an n-ary operator.
+ */
+const RELATIONS = new Set(['=', '<', '>', '≠', '≤', '≥', '≈', '≡', '≅', '→', '⇒', '⇔', '⟹', '⟺', ',']);
+
+/**
+ * Splits a LaTeX string into tokens.
+ * @param {string} latex
+ * @returns {Array<{type: string, value: string, index: number}>}
+ */
+export function tokenizeLatex(latex) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < latex.length) {
+        const char = latex[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '\\') {
+            let end = i + 1;
+            while (end < latex.length && /[a-zA-Z]/.test(latex[end])) {
+                end++;
+            }
+            // Control symbols like \{ or \, consist of a single non-letter
+            if (end === i + 1 && end < latex.length) end++;
+            tokens.push({ type: 'command', value: latex.slice(i, end), index: i });
+            i = end;
+            continue;
+        }
+
+        if (char === '~') {
+            // Non-breaking space behaves like an explicit space command
+            tokens.push({ type: 'command', value: '\\ ', index: i });
+        } else {
+            const type = { '{': 'open', '}': 'close', '^': 'sup', '_': 'sub', '&': 'align' }[char] || 'char';
+            tokens.push({ type, value: char, index: i });
+        }
+        i++;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses a LaTeX math string into an array of AST nodes.
+ *
+ * Node types: text, unknown, group, frac, sqrt, scripts, nary, limit,
+ * function, delimited, accent, bar, style, plaintext, environment.
+ *
+ * @param {string} latex
+ * @returns {Array<Object>}
+ */
+export function parseLatex(latex) {
+    const parser = new Parser(latex || '');
+    const nodes = parser.parseUntil(() => false);
+    // Stray closing braces are skipped so one typo does not end the formula
+    while (parser.peek()) {
+        parser.next();
+        nodes.push(...parser.parseUntil(() => false));
+    }
+    return nodes;
+}
+
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenizeLatex(source);
+        this.pos = 0;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    /**
+     * Whether the token ends the current operand: a closing brace, a cell or
+     * row separator, or the end of a \left or environment.
+     * @param {Object} token
+     * @returns {boolean}
+     */
+    isBoundary(token) {
+        if (!token) return true;
+        if (token.type === 'close' || token.type === 'align') return true;
+        return token.type === 'command' && ['\\right', '\\end', '\\\\'].includes(token.value);
+    }
+
+    /**
+     * Consumes the next token if it matches the predicate.
+     * @param {(token: Object) => boolean} matches
+     */
+    expect(matches) {
+        if (this.peek() && matches(this.peek())) this.next();
+    }
+
+    /**
+     * Parses nodes until the stop predicate matches, a closing brace is
+     * reached or input runs out.
+     * @param {(token: Object) => boolean} isStop
+     * @returns {Array<Object>}
+     */
+    parseUntil(isStop) {
+        const nodes = [];
+        while (this.pos < this.tokens.length) {
+            const token = this.peek();
+            if (token.type === 'close' || isStop(token)) break;
+            const node = this.parseScripted();
+            if (node) nodes.push(node);
+        }
+        return nodes;
+    }
+
+    /**
+     * Parses an atom followed by any ^ and _ scripts.
+     * @returns {Object|null}
+     */
+    parseScripted() {
+        const base = this.parseAtom();
+        if (!base || base.type === 'nary' || base.type === 'limit' || base.type === 'function') {
+            return base;
+        }
+        const { sub, sup } = this.parseScripts();
+        if (!sub && !sup) return base;
+        return { type: 'scripts', base: [base], sub, sup };
+    }
+
+    /**
+     * Consumes a run of ^{...} and _{...} in any order.
+     * @returns {{sub: Array|null, sup: Array|null}}
+     */
+    parseScripts() {
+        let sub = null;
+        let sup = null;
+        while (this.peek() && (this.peek().type === 'sub' || this.peek().type === 'sup')) {
+            const token = this.next();
+            const arg = this.parseArgument();
+            if (token.type === 'sub') sub = arg;
+            else sup = arg;
+        }
+        // A prime directly after the base reads as a superscript (f'(x))
+        while (this.peek() && this.peek().value === "'") {
+            this.next();
+            sup = [...(sup || []), { type: 'text', value: '′' }];
+        }
+        return { sub, sup };
+    }
+
+    /**
+     * Parses a required argument: a braced group or a single atom.
+     * A missing argument yields an empty list instead of throwing.
+     * @returns {Array<Object>}
+     */
+    parseArgument() {
+        const token = this.peek();
+        if (this.isBoundary(token)) return [];
+        if (token.type === 'open') {
+            this.next();
+            const children = this.parseUntil(() => false);
+            this.expect(t => t.type === 'close');
+            return children;
+        }
+        const atom = this.parseAtom();
+        return atom ? [atom] : [];
+    }
+
+    /**
+     * Parses an optional [..] argument, e.g. the degree of \sqrt[3]{x}.
+     * @returns {Array<Object>|null}
+     */
+    parseOptionalArgument() {
+        if (!this.peek() || this.peek().value !== '[') return null;
+        this.next();
+        const isBracket = t => t.type === 'char' && t.value === ']';
+        const children = this.parseUntil(isBracket);
+        this.expect(isBracket);
+        return children;
+    }
+
+    /**
+     * Reads the raw source text of a braced group, e.g. for \text{...}.
+     * @returns {string}
+     */
+    parseRawArgument() {
+        if (!this.peek() || this.peek().type !== 'open') return '';
+        const start = this.next().index + 1;
+        let end = this.source.length;
+        let depth = 1;
+        while (this.pos < this.tokens.length) {
+            const token = this.next();
+            if (token.type === 'open') depth++;
+            else if (token.type === 'close' && --depth === 0) {
+                end = token.index;
+                break;
+            }
+        }
+        // Whitespace is dropped by the tokenizer, so read the source directly
+        return this.source.slice(start, end);
+    }
+
+    /**
+     * @returns {Object|null}
+     */
+    parseAtom() {
+        const token = this.next();
+        if (!token) return null;
+
+        switch (token.type) {
+            case 'open': {
+                const children = this.parseUntil(() => false);
+                this.expect(t => t.type === 'close');
+                return { type: 'group', children };
+            }
+            case 'sub':
+            case 'sup': {
+                // Script without a base, e.g. "^2" at the start of a formula
+                this.pos--;
+                const { sub, sup } = this.parseScripts();
+                return { type: 'scripts', base: [], sub, sup };
+            }
+            case 'command':
+                return this.parseCommand(token.value);
+            case 'align':
+                return null;
+            default:
+                return { type: 'text', value: token.value === '-' ? '−' : token.value };
+        }
+    }
+
+    /**
+     * @param {string} cmd - Command including the leading backslash.
+     * @returns {Object|null}
+     */
+    parseCommand(cmd) {
+        const name = cmd.slice(1);
+
+        if (cmd === '\\frac' || cmd === '\\binom') {
+            const numerator = this.parseArgument();
+            const denominator = this.parseArgument();
+            return { type: 'frac', numerator, denominator, noBar: cmd === '\\binom' };
+        }
+
+        if (cmd === '\\sqrt') {
+            const degree = this.parseOptionalArgument();
+            return { type: 'sqrt', degree, body: this.parseArgument() };
+        }
+
+        if (NARY_OPERATORS[cmd]) {
+            const { sub, sup } = this.parseScripts();
+            return { type: 'nary', operator: NARY_OPERATORS[cmd], sub, sup, body: this.parseNaryBody() };
+        }
+
+        if (LIMIT_OPERATORS.includes(name)) {
+            const { sub, sup } = this.parseScripts();
+            return { type: 'limit', name, below: sub, sup };
+        }
+
+        if (FUNCTION_NAMES.includes(name) || cmd === '\\operatorname') {
+            const fnName = cmd === '\\operatorname' ? this.parseRawArgument() : name;
+            const { sub, sup } = this.parseScripts();
+            return { type: 'function', name: fnName, sub, sup, argument: this.parseFunctionArgument() };
+        }
+
+        if (cmd === '\\left') {
+            const open = this.parseDelimiter();
+            const isRight = t => t.type === 'command' && t.value === '\\right';
+            const children = this.parseUntil(isRight);
+            this.expect(isRight);
+            const close = this.parseDelimiter();
+            return { type: 'delimited', open, close, children };
+        }
+
+        if (cmd === '\\begin') {
+            return this.parseEnvironment(this.parseRawArgument().trim());
+        }
+
+        if (cmd === '\\\\') {
+            // Line breaks only carry meaning inside environments
+            return null;
+        }
+
+        if (ACCENTS[cmd]) {
+            return { type: 'accent', accent: ACCENTS[cmd], body: this.parseArgument() };
+        }
+
+        if (cmd === '\\overline' || cmd === '\\underline') {
+            return { type: 'bar', position: cmd === '\\overline' ? 'top' : 'bottom', body: this.parseArgument() };
+        }
+
+        if (FONT_STYLES[cmd]) {
+            return { type: 'style', variant: FONT_STYLES[cmd], children: this.parseArgument() };
+        }
+
+        if (cmd === '\\text' || cmd === '\\textrm' || cmd === '\\mbox') {
+            return { type: 'plaintext', value: this.parseRawArgument() };
+        }
+
+        if (cmd in LATEX_SPACES) {
+            return LATEX_SPACES[cmd] ? { type: 'text', value: LATEX_SPACES[cmd] } : null;
+        }
+
+        if (LATEX_SYMBOLS[cmd]) {
+            return { type: 'text', value: LATEX_SYMBOLS[cmd] };
+        }
+
+        return { type: 'unknown', value: cmd };
+    }
+
+    /**
+     * Parses the body of \begin{name} ... \end{name} into rows of cells.
+     * @param {string} name
+     * @returns {Object}
+     */
+    parseEnvironment(name) {
+        // Column spec of \begin{array}{cc} carries no content
+        if (name === 'array') this.parseRawArgument();
+
+        const layout = ENVIRONMENTS[name] || ENVIRONMENTS.matrix;
+        const isSeparator = t => t.type === 'align' || (t.type === 'command' && ['\\\\', '\\end'].includes(t.value));
+        const rows = [];
+        let cells = [];
+
+        while (this.pos < this.tokens.length) {
+            cells.push(this.parseUntil(isSeparator));
+            const token = this.peek();
+            if (!token || !isSeparator(token)) break;
+            this.next();
+            if (token.type === 'align') continue;
+
+            rows.push(cells);
+            cells = [];
+            if (token.value === '\\end') {
+                this.parseRawArgument();
+                break;
+            }
+        }
+        if (cells.length) rows.push(cells);
+
+        // A trailing \\ before \end leaves an empty last row
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0].length === 0) rows.pop();
+
+        return { type: 'environment', name, ...layout, rows };
+    }
+
+    /**
+     * Reads the delimiter character following \left or \right.
+     * @returns {string}
+     */
+    parseDelimiter() {
+        const token = this.peek();
+        if (!token || !(token.value in DELIMITERS)) return '';
+        this.next();
+        return DELIMITERS[token.value];
+    }
+
+    /**
+     * The body of a sum or integral runs until the next relation at the
+     * same nesting level, e.g. "\sum_{i=1}^n i^2 = ..." has body "i^2".
+     * @returns {Array<Object>}
+     */
+    parseNaryBody() {
+        const nodes = [];
+        let parenDepth = 0;
+        while (this.pos < this.tokens.length) {
+            const token = this.peek();
+            if (this.isBoundary(token)) break;
+            if (token.type === 'char') {
+                if (token.value === '(' || token.value === '[') parenDepth++;
+                if (token.value === ')' || token.value === ']') {
+                    if (parenDepth === 0) break;
+                    parenDepth--;
+                }
+                if (parenDepth === 0 && RELATIONS.has(token.value)) break;
+            }
+            if (token.type === 'command' && parenDepth === 0 && RELATIONS.has(LATEX_SYMBOLS[token.value])) break;
+            const node = this.parseScripted();
+            if (node) nodes.push(node);
+        }
+        return nodes;
+    }
+
+    /**
+     * The argument of sin, log, etc.: a parenthesised expression or a single
+     * (possibly scripted) atom.
+     * @returns {Array<Object>}
+     */
+    parseFunctionArgument() {
+        const token = this.peek();
+        if (this.isBoundary(token)) return [];
+        if (token.type === 'char' && token.value === '(') {
+            const nodes = [];
+            let depth = 0;
+            while (this.pos < this.tokens.length) {
+                const current = this.peek();
+                if (current.type === 'close') break;
+                if (current.value === '(') depth++;
+                if (current.value === ')') depth--;
+                const node = this.parseScripted();
+                if (node) nodes.push(node);
+                if (depth === 0) break;
+            }
+            return nodes;
+        }
+        if (token.type === 'char' && RELATIONS.has(token.value)) return [];
+        if (token.type === 'char' && /[+−\-*/)\]|]/.test(token.value)) return [];
+        const node = this.parseScripted();
+        return node ? [node] : [];
+    }
+}
+
+/**
+ * Structural commands handled by the parser itself rather than through a lookup table.
+ */
+const STRUCTURAL_COMMANDS = new Set([
+    '\\frac', '\\binom', '\\sqrt', '\\left', '\\right', '\\begin', '\\end', '\\\\',
+    '\\text', '\\textrm', '\\mbox', '\\operatorname', '\\overline', '\\underline',
+]);
+
+/**
+ * Whether the parser maps a command onto a math construct instead of
+ * leaving it as an unknown node.
+ * @param {string} cmd - Command including the leading backslash.
+ * @returns {boolean}
+ */
+export function isSupportedCommand(cmd) {
+    const name = cmd.slice(1);
+    return STRUCTURAL_COMMANDS.has(cmd) || LIMIT_OPERATORS.includes(name) || FUNCTION_NAMES.includes(name)
+        || [NARY_OPERATORS, ACCENTS, FONT_STYLES, LATEX_SPACES, LATEX_SYMBOLS, DELIMITERS].some(table => cmd in table);
+}
+
+/**
+ * Number of required arguments a command takes, 0 for symbols and the like.
+ * @param {string} cmd - Command including the leading backslash.
+ * @returns {number}
+ */
+export function requiredArguments(cmd) {
+    if (cmd === '\\frac' || cmd === '\\binom') return 2;
+    const takesOne = ['\\sqrt', '\\overline', '\\underline', '\\text', '\\textrm', '\\mbox', '\\operatorname'];
+    return takesOne.includes(cmd) || cmd in ACCENTS || cmd in FONT_STYLES ? 1 : 0;
+}
+
+/**
+ * Finds where the argument starting at a token ends: after the matching
+ * closing brace of a group, or after a single token.
+ * @param {Array<{type: string, value: string}>} tokens - From tokenizeLatex.
+ * @param {number} index - Token the argument starts at.
+ * @returns {number} Index of the token after the argument, or -1 if there is no argument there.
+ */
+export function argumentEnd(tokens, index) {
+    const token = tokens[index];
+    if (!token || ['close', 'align', 'sub', 'sup'].includes(token.type)) return -1;
+    if (token.type === 'command' && ['\\right', '\\end', '\\\\'].includes(token.value)) return -1;
+    if (token.type !== 'open') return index + 1;
+
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+        if (tokens[i].type === 'open') depth++;
+        else if (tokens[i].type === 'close' && --depth === 0) return i + 1;
+    }
+    return tokens.length;
+}
+
+/**
+ * Skips the optional [..] argument of \sqrt, if there is one.
+ * @param {Array<{type: string, value: string}>} tokens
+ * @param {number} index - Token after the command.
+ * @returns {number} Index of the first required argument.
+ */
+export function skipOptionalArgument(tokens, index) {
+    if (tokens[index]?.value !== '[') return index;
+    const close = tokens.findIndex((token, i) => i > index && token.type === 'char' && token.value === ']');
+    return close === -1 ? tokens.length : close + 1;
+}
+
+/**
+ * Finds the parts of a formula the parser cannot render faithfully:
+ * unsupported commands and environments, unbalanced braces, unpaired
+ * \left or \right, and commands or scripts missing an argument.
+ * @param {string} latex
+ * @returns {Array<{index: number, message: string}>} Sorted by position in the source
+ */
+export function findLatexProblems(latex) {
+    const problems = [];
+    const openBraces = [];
+    const openLefts = [];
+    const tokens = tokenizeLatex(latex);
+
+    tokens.forEach((token, i) => {
+        if (token.type === 'sub' || token.type === 'sup') {
+            if (argumentEnd(tokens, i + 1) === -1) {
+                problems.push({ index: token.index, message: `Missing ${token.type === 'sub' ? 'subscript' : 'superscript'} after ${token.value}` });
+            }
+        } else if (token.type === 'command' && requiredArguments(token.value)) {
+            let next = token.value === '\\sqrt' ? skipOptionalArgument(tokens, i + 1) : i + 1;
+            for (let n = 0; n < requiredArguments(token.value) && next !== -1; n++) next = argumentEnd(tokens, next);
+            if (next === -1) problems.push({ index: token.index, message: `Missing argument for ${token.value}` });
+        }
+
+        if (token.type === 'open') {
+            openBraces.push(token);
+        } else if (token.type === 'close') {
+            if (!openBraces.pop()) problems.push({ index: token.index, message: "Unmatched }" });
+        } else if (token.type === 'command') {
+            if (token.value === '\\left') {
+                openLefts.push(token);
+            } else if (token.value === '\\right') {
+                if (!openLefts.pop()) problems.push({ index: token.index, message: "\\right without \\left" });
+            } else if (token.value === '\\begin') {
+                const name = latex.slice(token.index + token.value.length).match(/^\s*\{([^}]*)\}/);
+                if (name && !ENVIRONMENTS[name[1].trim()]) {
+                    problems.push({ index: token.index, message: `Unsupported environment ${name[1].trim()}` });
+                }
+            } else if (!isSupportedCommand(token.value)) {
+                problems.push({ index: token.index, message: `Unsupported command ${token.value}` });
+            }
+        }
+    });
+
+    openBraces.forEach(token => problems.push({ index: token.index, message: "Unclosed {" }));
+    openLefts.forEach(token => problems.push({ index: token.index, message: "\\left without \\right" }));
+    return problems.sort((a, b) => a.index - b.index);
+}
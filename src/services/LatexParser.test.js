@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { findLatexProblems, parseLatex, tokenizeLatex } from './LatexParser';
+
+describe('tokenizeLatex', () => {
+    it('splits commands, control symbols and characters', () => {
+        const values = tokenizeLatex('\\frac{a}{b}\\,x^2').map(t => t.value);
+        expect(values).toEqual(['\\frac', '{', 'a', '}', '{', 'b', '}', '\\,', 'x', '^', '2']);
+    });
+});
+
+describe('parseLatex', () => {
+    it('parses fractions and scripts', () => {
+        const [frac] = parseLatex('\\frac{x^2}{2}');
+        expect(frac.type).toBe('frac');
+        expect(frac.numerator[0]).toMatchObject({ type: 'scripts', base: [{ value: 'x' }], sup: [{ value: '2' }] });
+        expect(frac.denominator).toEqual([{ type: 'text', value: '2' }]);
+    });
+
+    it('attaches limits and body to n-ary operators', () => {
+        const [sum, equals] = parseLatex('\\sum_{i=1}^{n} i^2 = 0');
+        expect(sum).toMatchObject({ type: 'nary', operator: '∑' });
+        expect(sum.sub).toHaveLength(3);
+        expect(sum.body).toHaveLength(1);
+        expect(equals.value).toBe('=');
+    });
+
+    it('parses limits, delimiters, radical degrees, accents and font styles', () => {
+        expect(parseLatex('\\lim_{x\\to 0}')[0]).toMatchObject({ type: 'limit', name: 'lim' });
+        expect(parseLatex('\\left( x \\right]')[0]).toMatchObject({ type: 'delimited', open: '(', close: ']' });
+        expect(parseLatex('\\sqrt[3]{x}')[0].degree).toEqual([{ type: 'text', value: '3' }]);
+        expect(parseLatex('\\vec{v}')[0]).toMatchObject({ type: 'accent', accent: '⃗' });
+        expect(parseLatex('\\overline{AB}')[0]).toMatchObject({ type: 'bar', position: 'top' });
+        expect(parseLatex('\\mathbb{R}')[0]).toMatchObject({ type: 'style', variant: 'double-struck' });
+    });
+
+    it('keeps whitespace inside \\text', () => {
+        expect(parseLatex('\\text{ if }')[0]).toEqual({ type: 'plaintext', value: ' if ' });
+    });
+
+    it('tolerates missing arguments and unknown commands', () => {
+        expect(parseLatex('\\frac{1}')[0]).toMatchObject({ type: 'frac', denominator: [] });
+        expect(parseLatex('\\foo')[0]).toEqual({ type: 'unknown', value: '\\foo' });
+    });
+});
+
+describe('parseLatex environments', () => {
+    it('splits matrix environments into rows and cells', () => {
+        const [matrix] = parseLatex('\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\\\ \\end{pmatrix}');
+        expect(matrix).toMatchObject({ type: 'environment', kind: 'matrix', open: '(', close: ')' });
+        expect(matrix.rows).toHaveLength(2);
+        expect(matrix.rows[1][1]).toEqual([{ type: 'text', value: '4' }]);
+    });
+
+    it('parses cases and continues after \\end', () => {
+        const nodes = parseLatex('\\begin{cases} x & \\text{if } x > 0 \\\\ 0 & \\text{otherwise} \\end{cases} + 1');
+        expect(nodes[0]).toMatchObject({ kind: 'cases', open: '{' });
+        expect(nodes[0].rows[0][1][0]).toEqual({ type: 'plaintext', value: 'if ' });
+        expect(nodes.slice(1).map(n => n.value)).toEqual(['+', '1']);
+    });
+});
+
+describe('findLatexProblems', () => {
+    it('reports unsupported commands and environments with their position', () => {
+        expect(findLatexProblems('x + \\dfrac{1}{2}')).toEqual([{ index: 4, message: 'Unsupported command \\dfrac' }]);
+        expect(findLatexProblems('\\begin{tabular} a \\end{tabular}')[0].message).toBe('Unsupported environment tabular');
+        expect(findLatexProblems('\\frac{1}{2} \\left( x \\right)')).toEqual([]);
+    });
+
+    it('reports unbalanced braces and delimiters', () => {
+        expect(findLatexProblems('\\frac{1}{2').map(p => p.message)).toEqual(['Unclosed {']);
+        expect(findLatexProblems('x} \\left( y').map(p => p.message)).toEqual(['Unmatched }', '\\left without \\right']);
+    });
+});
@@ -0,0 +1,245 @@
+import { argumentEnd, isSupportedCommand, requiredArguments, skipOptionalArgument, tokenizeLatex } from './LatexParser';
+import { findMathProblems, isCurrencyDollar, LATEX_MARKERS, mapBlocks, serializeContent, serializeQuestionPaper } from './QuestionModel';
+
+/**
+ * Automatic fixes for the LaTeX mistakes models commonly make, applied to
+ * a paper before any document is generated. What cannot be fixed safely
+ * is left alone and reported, with its line in the text form.
+ *
+ * @typedef {{line: number|null, text: string, message: string}} MathFix - text is the repaired block in text form.
+ * @typedef {Object} MathReport
+ * @property {import('./QuestionModel').QuestionPaper} paper - The repaired paper.
+ * @property {string} text - Its text form, which the line numbers refer to.
+ * @property {MathFix[]} fixes
+ * @property {ReturnType<typeof findMathProblems>} problems - What is still wrong after repair.
+ */
+
+/**
+ * Commands the parser knows under another name.
+ */
+const COMMAND_ALIASES = {
+    '\\dfrac': '\\frac', '\\tfrac': '\\frac', '\\cfrac': '\\frac',
+    '\\dbinom': '\\binom', '\\tbinom': '\\binom',
+    '\\lt': '<', '\\gt': '>', '\\bm': '\\boldsymbol',
+};
+
+/**
+ * Commands that only change size or spacing, which Word handles itself.
+ */
+const DROPPED_COMMANDS = new Set([
+    '\\displaystyle', '\\textstyle', '\\scriptstyle', '\\limits', '\\nolimits', '\\middle',
+    '\\big', '\\Big', '\\bigg', '\\Bigg', '\\bigl', '\\bigr', '\\Bigl', '\\Bigr', '\\biggl', '\\biggr', '\\Biggl', '\\Biggr',
+]);
+
+/**
+ * Commands whose bare single-token arguments are braced: \frac12 is
+ * valid LaTeX, but easy to misread and to break when edited.
+ */
+const BRACED_COMMANDS = ['\\frac', '\\binom', '\\sqrt'];
+
+/**
+ * Repairs a single formula: renames and drops commands, braces bare
+ * arguments (\frac12 becomes \frac{1}{2}), drops unpaired \left and \right
+ * and balances braces.
+ * @param {string} latex
+ * @returns {{latex: string, fixes: string[]}} fixes describe each kind of change once.
+ */
+export function repairLatex(latex) {
+    const fixes = [];
+    let repaired = applyEdits(latex, renamedCommands(latex), fixes);
+    repaired = applyEdits(repaired, bareArguments(repaired), fixes);
+    repaired = applyEdits(repaired, unpairedDelimiters(repaired), fixes);
+    repaired = balanceBraces(repaired, fixes);
+    return { latex: repaired, fixes: [...new Set(fixes)] };
+}
+
+/**
+ * @typedef {{start: number, end: number, text: string, message: string}} Edit
+ */
+
+/**
+ * Applies non-overlapping edits to a formula.
+ * @param {string} latex
+ * @param {Edit[]} edits
+ * @param {string[]} fixes - Receives the message of each edit.
+ * @returns {string}
+ */
+function applyEdits(latex, edits, fixes) {
+    edits.forEach(edit => fixes.push(edit.message));
+    return [...edits].sort((a, b) => b.start - a.start)
+        .reduce((source, edit) => `${source.slice(0, edit.start)}${edit.text}${source.slice(edit.end)}`, latex);
+}
+
+/**
+ * @param {string} latex
+ * @returns {Edit[]}
+ */
+function renamedCommands(latex) {
+    return tokenizeLatex(latex)
+        .filter(token => token.type === 'command' && (COMMAND_ALIASES[token.value] || DROPPED_COMMANDS.has(token.value)))
+        .map(token => {
+            const alias = COMMAND_ALIASES[token.value];
+            return {
+                start: token.index,
+                end: token.index + token.value.length,
+                text: alias ?? '',
+                message: alias ? `${token.value} → ${alias}` : `Removed ${token.value}`
+            };
+        });
+}
+
+/**
+ * Single-token arguments of \frac, \binom and \sqrt, to be wrapped in
+ * braces. Missing arguments are left for the validator to report.
+ * @param {string} latex
+ * @returns {Edit[]}
+ */
+function bareArguments(latex) {
+    const tokens = tokenizeLatex(latex);
+    const edits = [];
+    tokens.forEach((token, i) => {
+        if (token.type !== 'command' || !BRACED_COMMANDS.includes(token.value)) return;
+        let next = token.value === '\\sqrt' ? skipOptionalArgument(tokens, i + 1) : i + 1;
+        for (let n = 0; n < requiredArguments(token.value) && next !== -1; n++) {
+            const argument = tokens[next];
+            const end = argumentEnd(tokens, next);
+            const isAtom = argument?.type === 'char' || (argument?.type === 'command' && isSupportedCommand(argument.value) && !requiredArguments(argument.value));
+            if (end !== -1 && isAtom) {
+                // Space before the argument goes too: \sqrt x becomes \sqrt{x}
+                const previous = tokens[next - 1];
+                edits.push({ start: previous.index + previous.value.length, end: argument.index + argument.value.length, text: `{${argument.value}}`, message: `Braced the arguments of ${token.value}` });
+            }
+            next = end;
+        }
+    });
+    return edits;
+}
+
+/**
+ * \left without \right and the other way round, removed together with a
+ * "." delimiter (which only stands in for a missing side).
+ * @param {string} latex
+ * @returns {Edit[]}
+ */
+function unpairedDelimiters(latex) {
+    const tokens = tokenizeLatex(latex);
+    const open = [];
+    const unpaired = [];
+    tokens.forEach((token, i) => {
+        if (token.value === '\\left') open.push(i);
+        else if (token.value === '\\right') {
+            if (open.length) open.pop();
+            else unpaired.push(i);
+        }
+    });
+    return [...unpaired, ...open].map(i => {
+        const token = tokens[i];
+        const dot = tokens[i + 1]?.value === '.';
+        return {
+            start: token.index,
+            end: dot ? tokens[i + 1].index + 1 : token.index + token.value.length,
+            text: '',
+            message: `Removed an unpaired ${token.value}`
+        };
+    });
+}
+
+/**
+ * Removes closing braces with no opening one and closes groups left open
+ * at the end.
+ * @param {string} latex
+ * @param {string[]} fixes
+ * @returns {string}
+ */
+function balanceBraces(latex, fixes) {
+    const stray = [];
+    let depth = 0;
+    tokenizeLatex(latex).forEach(token => {
+        if (token.type === 'open') depth++;
+        else if (token.type === 'close') {
+            if (depth) depth--;
+            else stray.push({ start: token.index, end: token.index + 1, text: '', message: 'Removed an unmatched }' });
+        }
+    });
+    if (depth) fixes.push(`Closed ${depth === 1 ? 'an open {' : `${depth} open {`}`);
+    return `${applyEdits(latex, stray, fixes)}${'}'.repeat(depth)}`;
+}
+
+/**
+ * Repairs the formulas of a paragraph and the dollar signs left in its
+ * text: a doubled delimiter next to a formula is dropped, and math whose
+ * closing dollar is missing is closed at the end of the text.
+ * @param {import('./QuestionModel').Run[]} runs
+ * @param {function(string): void} fix - Records a fix.
+ * @returns {import('./QuestionModel').Run[]}
+ */
+function repairRuns(runs, fix) {
+    return runs.flatMap((run, i) => {
+        if (run.type === 'math') return [{ ...run, latex: repairFormula(run.latex, fix) }];
+
+        let text = run.text;
+        if (text.startsWith('$') && runs[i - 1]?.type === 'math') text = text.slice(1);
+        if (text.endsWith('$') && !text.endsWith('\\$') && runs[i + 1]?.type === 'math') text = text.slice(0, -1);
+        if (text !== run.text) fix('Removed a stray $');
+
+        const stray = text.search(/(^|[^\\])\$/);
+        const found = stray === -1 ? -1 : text.indexOf('$', stray);
+        // A currency amount ("$5") stays text
+        const dollar = found !== -1 && isCurrencyDollar(text, found) ? -1 : found;
+        const before = text.slice(0, dollar);
+        const after = text.slice(dollar + 1);
+        if (dollar !== -1 && !after.trim()) {
+            fix('Removed a stray $');
+            text = before;
+        } else if (dollar !== -1 && LATEX_MARKERS.test(after) && !after.includes('$')) {
+            fix('Closed a formula missing its $');
+            return [...(before ? [{ ...run, text: before }] : []), { type: 'math', latex: repairFormula(after.trim(), fix) }];
+        }
+        // Any other dollar is left for the reviewer
+        if (text === run.text) return [run];
+        return text ? [{ ...run, text }] : [];
+    });
+}
+
+/**
+ * @param {string} latex
+ * @param {function(string): void} fix
+ * @returns {string}
+ */
+function repairFormula(latex, fix) {
+    const repaired = repairLatex(latex);
+    repaired.fixes.forEach(fix);
+    return repaired.latex;
+}
+
+/**
+ * Repairs every formula of a paper and reports the fixes and what is still
+ * wrong, both with their line in the text form.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @returns {MathReport}
+ */
+export function repairQuestionPaper(paper) {
+    const changed = [];
+    const repaired = mapBlocks(paper, block => {
+        const messages = [];
+        let result = block;
+        if (block.type === 'display') result = { ...block, latex: repairFormula(block.latex, message => messages.push(message)) };
+        if (block.type === 'paragraph') result = { ...block, runs: repairRuns(block.runs, message => messages.push(message)) };
+        if (!messages.length) return block;
+        changed.push({ block: result, messages: [...new Set(messages)] });
+        return result;
+    });
+
+    // Blocks are visited in the order they are written out, so each is looked for after the previous one
+    const text = serializeQuestionPaper(repaired);
+    let offset = 0;
+    const fixes = changed.flatMap(({ block, messages }) => {
+        const blockText = serializeContent([block])[0];
+        const found = text.indexOf(blockText, offset);
+        if (found !== -1) offset = found;
+        const line = found === -1 ? null : text.slice(0, found).split('\n').length;
+        return messages.map(message => ({ line, text: blockText, message }));
+    });
+
+    return { paper: repaired, text, fixes, problems: findMathProblems(text) };
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { repairLatex, repairQuestionPaper } from './LatexRepair';
+import { findLatexProblems } from './LatexParser';
+import { parseQuestionPaper } from './QuestionModel';
+
+describe('LaTeX repair', () => {
+    it('fixes the common model mistakes in a formula', () => {
+        expect(repairLatex('\\dfrac12 + \\tfrac\\pi 4 + \\sqrt2')).toEqual({
+            latex: '\\frac{1}{2} + \\frac{\\pi}{4} + \\sqrt{2}',
+            fixes: ['\\dfrac → \\frac', '\\tfrac → \\frac', 'Braced the arguments of \\frac', 'Braced the arguments of \\sqrt']
+        });
+        expect(repairLatex('\\displaystyle\\left( x + \\big[ y').latex).toBe('( x + [ y');
+        expect(repairLatex('x \\right) + \\frac{1}{2').latex).toBe('x ) + \\frac{1}{2}');
+        expect(repairLatex('a} + b').fixes).toEqual(['Removed an unmatched }']);
+        expect(repairLatex('\\frac{1}{2} \\left| x \\right|')).toEqual({ latex: '\\frac{1}{2} \\left| x \\right|', fixes: [] });
+    });
+
+    it('reports missing arguments it cannot make up', () => {
+        expect(findLatexProblems('{x^} + \\frac{1}').map(p => p.message)).toEqual(['Missing superscript after ^', 'Missing argument for \\frac']);
+        expect(repairLatex('\\frac{1}').latex).toBe('\\frac{1}');
+    });
+
+    it('repairs stray dollar signs and reports what is left by line', () => {
+        const paper = parseQuestionPaper(JSON.stringify({
+            sections: [{
+                questions: [
+                    { number: '1', text: 'Find $x$ if $\\dfrac{x}{2} = 3' },
+                    { number: '2', text: 'Simplify $\\sqrt x + \\foo$$' },
+                    { number: '3', text: 'It costs $5.' }
+                ]
+            }]
+        }));
+        const report = repairQuestionPaper(paper);
+        expect(report.text).toBe('1. Find $x$ if $\\frac{x}{2} = 3$\n2. Simplify $\\sqrt{x} + \\foo$\n3. It costs $5.');
+        expect(report.fixes.map(fix => [fix.line, fix.message])).toEqual([
+            [1, 'Closed a formula missing its $'],
+            [1, '\\dfrac → \\frac'],
+            [2, 'Braced the arguments of \\sqrt'],
+            [2, 'Removed a stray $']
+        ]);
+        expect(report.problems.map(problem => [problem.line, problem.message])).toEqual([
+            [2, 'Unsupported command \\foo']
+        ]);
+    });
+});
@@ -0,0 +1,184 @@
+import { parseLatex } from "./LatexParser";
+
+/**
+ * MathML rendering of the LaTeX subset understood by the parser.
+ * Used by the live preview, so the browser shows the same structure
+ * DocxGenerator writes to Word.
+ */
+
+/**
+ * Combining accents from the parser mapped to spacing characters,
+ * which render reliably as MathML operators.
+ */
+const ACCENT_CHARACTERS = {
+    '̂': '^', '̃': '~', '̅': '¯', '⃗': '→', '⃖': '←',
+    '̇': '˙', '̈': '¨', '̌': 'ˇ', '̆': '˘', '́': '´', '̀': '`',
+};
+
+/**
+ * Column alignment per environment kind.
+ */
+const COLUMN_ALIGN = { matrix: 'center', cases: 'left', aligned: 'right left' };
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * @param {string} tag
+ * @param {string} content
+ * @param {Object} [attributes]
+ * @returns {string}
+ */
+const element = (tag, content, attributes = {}) => {
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`)
+        .join('');
+    return `<${tag}${attrs}>${content}</${tag}>`;
+};
+
+/**
+ * @param {string} content
+ * @returns {string}
+ */
+const row = (content) => element('mrow', content);
+
+/**
+ * Renders a delimiter as a stretchy fence; an empty delimiter renders nothing.
+ * @param {string} char
+ * @returns {string}
+ */
+const fence = (char) => (char ? element('mo', escapeXml(char), { fence: 'true', stretchy: 'true' }) : '');
+
+/**
+ * Converts a list of nodes, merging consecutive digits into one number.
+ * @param {Array<Object>} nodes
+ * @param {string|undefined} variant - Inherited math variant (e.g. double-struck).
+ * @returns {string}
+ */
+const renderNodes = (nodes, variant) => {
+    let output = '';
+    let digits = '';
+
+    const flushDigits = () => {
+        if (digits) output += element('mn', digits, { mathvariant: variant });
+        digits = '';
+    };
+
+    nodes.forEach(node => {
+        if (node.type === 'text' && (/^[0-9]$/.test(node.value) || (digits && node.value === '.'))) {
+            digits += node.value;
+            return;
+        }
+        flushDigits();
+        output += renderNode(node, variant);
+    });
+    flushDigits();
+
+    return output;
+};
+
+/**
+ * @param {Array<Object>|null} nodes
+ * @param {string|undefined} variant
+ * @returns {string}
+ */
+const renderRow = (nodes, variant) => row(renderNodes(nodes || [], variant));
+
+/**
+ * Wraps a base with optional subscript and superscript.
+ * @param {string} base - Rendered base.
+ * @param {Array<Object>|null} sub
+ * @param {Array<Object>|null} sup
+ * @param {boolean} [under] - Place scripts under and over the base instead of to its right.
+ * @param {string} [variant]
+ * @returns {string}
+ */
+const withScripts = (base, sub, sup, under = false, variant) => {
+    if (sub && sup) return element(under ? 'munderover' : 'msubsup', base + renderRow(sub, variant) + renderRow(sup, variant));
+    if (sub) return element(under ? 'munder' : 'msub', base + renderRow(sub, variant));
+    if (sup) return element(under ? 'mover' : 'msup', base + renderRow(sup, variant));
+    return base;
+};
+
+/**
+ * @param {Object} node
+ * @param {string|undefined} variant
+ * @returns {string}
+ */
+const renderNode = (node, variant) => {
+    switch (node.type) {
+        case 'text':
+            if (/^\s+$/.test(node.value)) return element('mspace', '', { width: `${0.25 * node.value.length}em` });
+            if (/^\p{L}$/u.test(node.value)) return element('mi', escapeXml(node.value), { mathvariant: variant });
+            return element('mo', escapeXml(node.value));
+        case 'unknown':
+            return element('merror', element('mtext', escapeXml(node.value)), { title: `Unsupported command ${node.value}` });
+        case 'group':
+            return renderRow(node.children, variant);
+        case 'plaintext':
+            return element('mtext', escapeXml(node.value));
+        case 'style':
+            return renderRow(node.children, node.variant);
+        case 'frac': {
+            const fraction = element('mfrac', renderRow(node.numerator, variant) + renderRow(node.denominator, variant),
+                node.noBar ? { linethickness: '0' } : {});
+            return node.noBar ? row(fence('(') + fraction + fence(')')) : fraction;
+        }
+        case 'sqrt':
+            return node.degree
+                ? element('mroot', renderRow(node.body, variant) + renderRow(node.degree, variant))
+                : element('msqrt', renderNodes(node.body, variant));
+        case 'scripts':
+            return withScripts(renderRow(node.base, variant), node.sub, node.sup, false, variant);
+        case 'nary': {
+            // Integrals keep their limits beside the sign, like Word's default
+            const operator = element('mo', node.operator, { largeop: 'true' });
+            const under = !'∫∬∭∮'.includes(node.operator);
+            return row(withScripts(operator, node.sub, node.sup, under, variant) + renderNodes(node.body, variant));
+        }
+        case 'limit':
+            return withScripts(element('mi', escapeXml(node.name)), node.below, node.sup, true, variant);
+        case 'function': {
+            const name = withScripts(element('mi', escapeXml(node.name), { mathvariant: 'normal' }), node.sub, node.sup, false, variant);
+            return row(name + element('mo', '&#x2061;') + renderNodes(node.argument, variant));
+        }
+        case 'delimited':
+            return row(fence(node.open) + renderNodes(node.children, variant) + fence(node.close));
+        case 'accent':
+            return element('mover', renderRow(node.body, variant) + element('mo', escapeXml(ACCENT_CHARACTERS[node.accent] || node.accent), { stretchy: 'true' }), { accent: 'true' });
+        case 'bar':
+            return node.position === 'top'
+                ? element('mover', renderRow(node.body, variant) + element('mo', '¯', { stretchy: 'true' }), { accent: 'true' })
+                : element('munder', renderRow(node.body, variant) + element('mo', '_', { stretchy: 'true' }), { accentunder: 'true' });
+        case 'environment': {
+            const rows = node.rows.map(cells => element('mtr', cells.map(cell => element('mtd', renderNodes(cell, variant))).join('')));
+            const table = element('mtable', rows.join(''), { columnalign: COLUMN_ALIGN[node.kind] });
+            return row(fence(node.open) + table + fence(node.close));
+        }
+        default:
+            return '';
+    }
+};
+
+/**
+ * Renders LaTeX as a MathML <math> element.
+ * @param {string} latex
+ * @param {boolean} [display] - Block (display) math instead of inline.
+ * @returns {string} MathML markup
+ */
+export function latexToMathML(latex, display = false) {
+    const content = renderRow(parseLatex(latex));
+    const annotation = element('annotation', escapeXml(latex), { encoding: 'application/x-tex' });
+    return element('math', element('semantics', content + annotation), {
+        xmlns: 'http://www.w3.org/1998/Math/MathML',
+        display: display ? 'block' : 'inline'
+    });
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { latexToMathML } from './MathMLRenderer';
+
+describe('latexToMathML', () => {
+    it('renders fractions, scripts and numbers', () => {
+        const mathml = latexToMathML('\\frac{x^2}{12}');
+        expect(mathml).toContain('<mfrac><mrow><msup><mrow><mi>x</mi></mrow><mrow><mn>2</mn></mrow></msup></mrow><mrow><mn>12</mn></mrow></mfrac>');
+        expect(mathml).toContain('display="inline"');
+    });
+
+    it('renders environments as tables and unknown commands as errors', () => {
+        const mathml = latexToMathML('\\begin{pmatrix} 1 & 2 \\end{pmatrix} \\foo', true);
+        expect(mathml).toContain('<mtable columnalign="center"><mtr><mtd><mn>1</mn></mtd><mtd><mn>2</mn></mtd></mtr></mtable>');
+        expect(mathml).toContain('<merror title="Unsupported command \\foo"><mtext>\\foo</mtext></merror>');
+    });
+
+    it('escapes markup in text', () => {
+        expect(latexToMathML('a < b \\text{<b>}')).toContain('<mo>&lt;</mo><mi>b</mi><mtext>&lt;b&gt;</mtext>');
+    });
+});
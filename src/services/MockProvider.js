@@ -0,0 +1,67 @@
+import { createProvider } from './AIProvider';
+import { sleep } from './RetryPolicy';
+import questionPaperFixture from './fixtures/questionPaper.json';
+import tablesFixture from './fixtures/tables.json';
+import verificationFixture from './fixtures/verification.json';
+
+/**
+ * Replays recorded responses instead of calling an API, so the app can be
+ * run offline (VITE_AI_PROVIDER=mock) and the whole upload, extract and
+ * generate flow can be tested without network. The files sent are ignored.
+ *
+ * @typedef {Object} Fixture
+ * @property {string} [model] - Model the response was recorded from.
+ * @property {Object|string} [response] - Response body, as parsed JSON or raw text.
+ * @property {string} [error] - Replays a failed request instead.
+ * @property {number} [status] - HTTP status of the failed request.
+ * @property {import('./AIProvider').TokenUsage} [usage]
+ */
+
+/**
+ * @type {{docx: Fixture[], excel: Fixture[], verify: Fixture[]}}
+ */
+export const DEFAULT_FIXTURES = { docx: [questionPaperFixture], excel: [tablesFixture], verify: [verificationFixture] };
+
+/**
+ * Characters per streamed piece of a replayed response.
+ */
+const PIECE_LENGTH = 200;
+
+/**
+ * @param {Object} [options]
+ * @param {{docx?: Fixture[], excel?: Fixture[], verify?: Fixture[]}} [options.fixtures] - Responses per request kind, replayed in
+ *   order across requests and models, then from the start again.
+ * @param {string[]} [options.models]
+ * @param {number} [options.delay] - Milliseconds each response takes to stream in, to watch progress in the UI.
+ * @returns {import('./AIProvider').AIProvider}
+ */
+export function createMockProvider({ fixtures = DEFAULT_FIXTURES, models = ['mock'], delay = 0 } = {}) {
+    const played = { docx: 0, excel: 0, verify: 0 };
+
+    return createProvider({
+        name: 'Mock',
+        models,
+        async generate(model, { format, signal, onText }) {
+            const responses = fixtures[format] || [];
+            if (!responses.length) throw new Error(`No ${format} fixtures recorded`);
+            const fixture = responses[played[format]++ % responses.length];
+
+            if (fixture.error) {
+                await sleep(delay, signal);
+                throw Object.assign(new Error(fixture.error), { status: fixture.status });
+            }
+
+            const text = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+            const pieces = Math.ceil(text.length / PIECE_LENGTH);
+            for (let piece = 1; piece <= pieces; piece++) {
+                await sleep(delay / pieces, signal);
+                onText?.(text.slice(0, piece * PIECE_LENGTH));
+            }
+            return {
+                text,
+                usage: { promptTokens: null, outputTokens: null, totalTokens: null, ...fixture.usage }
+            };
+        },
+        listModels: async () => models.map(name => ({ name }))
+    });
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import JSZip from 'jszip';
+import { createMockProvider, DEFAULT_FIXTURES } from './MockProvider';
+import { extractInChunks } from './ChunkedExtraction';
+import { createOutputFiles } from './OutputFiles';
+import { parseTablesJson } from './TableModel';
+import { loadUsageLog } from './UsageLog';
+
+const page = (name) => new File(['not really an image'], name, { type: 'image/png' });
+
+// jsdom's Blob has no text()
+const readText = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+describe('mock provider', () => {
+    beforeEach(() => sessionStorage.clear());
+
+    it('runs upload, extraction and Word generation offline', async () => {
+        const files = [page('p1.png'), page('p2.png')];
+        const paper = await extractInChunks(createMockProvider(), files, 'docx', { pagesPerRequest: 1 });
+
+        // Each page replays the recorded paper; the second continues neither section, so both are kept
+        expect(paper.title).toBe('Mathematics Unit Test');
+        expect(paper.sections.map(section => section.heading)).toEqual(['Section A', 'Section B', 'Section A', 'Section B']);
+        expect(loadUsageLog().map(entry => entry.promptTokens)).toEqual([2841, 2841]);
+
+        const [output] = await createOutputFiles(paper, 'Unit Test', { format: 'docx', output: 'docx', numberEquations: false, includeAnswerKey: true });
+        const document = await (await JSZip.loadAsync(output.blob)).file('word/document.xml').async('string');
+        expect(output.name).toBe('Unit Test.docx');
+        expect(document).toContain('Section B');
+        expect(document).toContain('m:oMath');
+    });
+
+    it('runs table extraction to CSV and falls back to the next model after a failure', async () => {
+        const provider = createMockProvider({
+            models: ['flaky', 'steady'],
+            fixtures: { excel: [{ error: 'Model not found', status: 404 }, ...DEFAULT_FIXTURES.excel] }
+        });
+        const text = await provider.extract([page('results.png')], 'excel');
+        const tables = parseTablesJson(text, ['results.png']);
+
+        expect(loadUsageLog().map(entry => entry.model)).toEqual(['steady']);
+        expect(tables.map(table => [table.name, table.headerRows, table.source])).toEqual([['Class 10 Results', 2, 'results.png'], ['Attendance', 1, 'results.png']]);
+
+        const outputs = await createOutputFiles(tables, 'Results', { format: 'excel', output: 'csv', csvOptions: { delimiter: ',', bom: false } });
+        expect(outputs.map(output => output.name)).toEqual(['Results - Class 10 Results.csv', 'Results - Attendance.csv']);
+        expect(await readText(outputs[1].blob)).toBe('Month,Days\r\nJune,22\r\nJuly,25\r\n');
+    });
+
+    it('stops waiting when the request is aborted', async () => {
+        const controller = new AbortController();
+        const pending = createMockProvider({ delay: 10000 }).extract([page('p1.png')], 'docx', { signal: controller.signal });
+        controller.abort();
+        await expect(pending).rejects.toThrow('Request aborted');
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * The models to try and their order, chosen by the user in the connection
+ * panel. The order is kept in localStorage per provider, so switching
+ * providers in .env does not carry over model names the other one lacks.
+ */
+
+const STORAGE_PREFIX = 'model_order_';
+
+/**
+ * @param {string} providerName
+ * @returns {string[]|null} The saved order, or null when the provider's defaults apply.
+ */
+export function loadModelOrder(providerName) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + providerName));
+        return Array.isArray(saved) && saved.every(name => typeof name === 'string') ? saved : null;
+    } catch (error) {
+        console.warn("Ignoring unreadable saved model order:", error);
+        return null;
+    }
+}
+
+/**
+ * @param {string} providerName
+ * @param {string[]|null} models - Null forgets the saved order.
+ */
+export function saveModelOrder(providerName, models) {
+    if (models) {
+        localStorage.setItem(STORAGE_PREFIX + providerName, JSON.stringify(models));
+    } else {
+        localStorage.removeItem(STORAGE_PREFIX + providerName);
+    }
+}
+
+/**
+ * Keeps the models the key can use, in the preferred order.
+ * @param {string[]} preferred
+ * @param {import('./AIProvider').ModelInfo[]|null} available - Null while unknown, which keeps them all.
+ * @returns {string[]}
+ */
+export function usableModels(preferred, available) {
+    if (!available) return preferred;
+    const names = new Set(available.map(model => model.name));
+    return preferred.filter(name => names.has(name));
+}
+
+/**
+ * Moves a model one place up or down.
+ * @param {string[]} models
+ * @param {number} index
+ * @param {-1|1} direction
+ * @returns {string[]}
+ */
+export function moveModel(models, index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= models.length) return models;
+    const moved = [...models];
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+}
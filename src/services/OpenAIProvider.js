@@ -0,0 +1,118 @@
+import { createProvider } from './AIProvider';
+
+/**
+ * Any server speaking the OpenAI chat completions API with image input:
+ * OpenAI itself, or self-hosted vision models behind vLLM, Ollama,
+ * LM Studio and the like. Such servers rarely enforce a response schema,
+ * so the schema is spelled out in the prompt and JSON mode is requested.
+ */
+
+/**
+ * Reads a server-sent event stream, passing each "data:" payload on as parsed JSON.
+ * @param {Response} response
+ * @param {function(Object): void} onEvent
+ * @returns {Promise<void>}
+ */
+async function readEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let done = false;
+    try {
+        while (!done) {
+            const chunk = await reader.read();
+            done = chunk.done;
+            buffer += decoder.decode(chunk.value, { stream: !done });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            for (const line of lines) {
+                const data = line.match(/^data:\s*(.*)$/)?.[1].trim();
+                if (data && data !== '[DONE]') onEvent(JSON.parse(data));
+            }
+        }
+    } finally {
+        // Leaving early, e.g. on a malformed event or an error event, would keep the body locked and the connection open
+        if (!done) await reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * @param {Object} config
+ * @param {string} config.baseUrl - API root, e.g. "https://api.openai.com/v1" or "http://localhost:11434/v1".
+ * @param {string} [config.apiKey] - Sent as a bearer token; local servers often need none.
+ * @param {string[]} config.models
+ * @returns {import('./AIProvider').AIProvider}
+ */
+export function createOpenAIProvider({ baseUrl, apiKey, models }) {
+    const request = async (path, { signal, body } = {}) => {
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: body && JSON.stringify(body),
+            signal
+        });
+        if (!response.ok) {
+            // The body usually says why, e.g. which limit was exceeded
+            const detail = (await response.json().catch(() => null))?.error?.message;
+            throw Object.assign(new Error(`HTTP Error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`), {
+                status: response.status,
+                retryAfter: Number(response.headers.get('Retry-After')) || null
+            });
+        }
+        return response;
+    };
+
+    return createProvider({
+        name: 'OpenAI-compatible',
+        models,
+        async generate(model, { prompt, schema, images, signal, onText }) {
+            const response = await request('/chat/completions', {
+                signal,
+                body: {
+                    model,
+                    stream: true,
+                    stream_options: { include_usage: true },
+                    response_format: { type: 'json_object' },
+                    messages: [{
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: `${prompt}\n\nRespond with JSON matching this schema:\n${JSON.stringify(schema)}` },
+                            ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+                        ]
+                    }]
+                }
+            });
+            let text = '';
+            let finishReason = null;
+            let usage = null;
+            await readEvents(response, (event) => {
+                if (event.error) throw new Error(event.error.message || "Error in response stream");
+                const choice = event.choices?.[0];
+                if (choice?.delta?.content) {
+                    text += choice.delta.content;
+                    onText?.(text);
+                }
+                finishReason = choice?.finish_reason || finishReason;
+                // Sent in a last event without choices
+                usage = event.usage || usage;
+            });
+            if (finishReason === 'content_filter') throw new Error("Response was blocked by the content filter");
+            if (!text) throw new Error("Empty response from model");
+            return {
+                text,
+                usage: {
+                    promptTokens: usage?.prompt_tokens ?? null,
+                    outputTokens: usage?.completion_tokens ?? null,
+                    totalTokens: usage?.total_tokens ?? null
+                }
+            };
+        },
+        async listModels() {
+            const data = await (await request('/models')).json();
+            return (data.data || []).map(model => ({ name: model.id }));
+        }
+    });
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createOpenAIProvider } from './OpenAIProvider';
+
+/**
+ * A streaming response whose body hands out the given server-sent event lines.
+ */
+const eventStream = (lines) => {
+    const chunks = lines.map(line => new TextEncoder().encode(`${line}\n\n`));
+    const reader = {
+        read: vi.fn(async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true, value: undefined })),
+        cancel: vi.fn(async () => {})
+    };
+    return { reader, response: { ok: true, headers: new Headers(), body: { getReader: () => reader } } };
+};
+
+describe('OpenAI-compatible provider', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        sessionStorage.clear();
+    });
+
+    it('releases the response body when the stream reports an error', async () => {
+        const { reader, response } = eventStream([
+            'data: {"choices": [{"delta": {"content": "{\\"title\\": "}}]}',
+            'data: {"error": {"message": "Model crashed"}}',
+            'data: {"choices": [{"delta": {"content": "null}"}}]}'
+        ]);
+        vi.stubGlobal('fetch', vi.fn(async () => response));
+
+        const provider = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1', models: ['llava'] });
+        await expect(provider.extract([], 'excel')).rejects.toThrow('Model crashed');
+        expect(reader.cancel).toHaveBeenCalledTimes(1);
+        expect(reader.read).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,89 @@
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { createWordDocument } from './DocxGenerator';
+import { createExcelWorkbook } from './ExcelGenerator';
+import { createDelimitedFiles, createJsonBlob } from './DataExporter';
+import { toHtmlDocument } from './HtmlGenerator';
+import { toLatexDocument, toMarkdown } from './PaperExporter';
+import { cropPaperFigures } from './FigureCropper';
+import { repairQuestionPaper } from './LatexRepair';
+
+/**
+ * Builds the files for the output chosen in the format selector, so a
+ * single download and every entry of a batch zip go through the same
+ * generators with the same settings.
+ *
+ * @typedef {{name: string, blob: Blob}} OutputFile
+ * @typedef {Object} OutputSettings
+ * @property {'docx'|'excel'} format - Extraction format.
+ * @property {string} output - 'docx' | 'html' | 'tex' | 'md' for papers, 'xlsx' | 'csv' | 'tsv' | 'json' for tables.
+ * @property {boolean} [numberEquations]
+ * @property {boolean} [includeAnswerKey]
+ * @property {import('./ExamTemplate').ExamTemplate} [template]
+ * @property {boolean} [summary] - Summary sheet in XLSX output.
+ * @property {{delimiter: string, bom: boolean}} [csvOptions]
+ */
+
+/**
+ * @param {import('./QuestionModel').QuestionPaper|import('./TableModel').Table[]} content - Question paper or tables.
+ * @param {string} baseName - File name without extension.
+ * @param {OutputSettings} settings
+ * @param {File[]} [files] - Uploaded files the content came from, to crop figures.
+ * @returns {Promise<OutputFile[]>}
+ */
+export async function createOutputFiles(content, baseName, settings, files = []) {
+    const { output } = settings;
+
+    if (settings.format === 'excel') {
+        if (output === 'json') return [{ name: `${baseName}.json`, blob: createJsonBlob(content) }];
+        if (output === 'csv' || output === 'tsv') return createDelimitedFiles(content, baseName, { type: output, ...settings.csvOptions });
+        return [{ name: `${baseName}.xlsx`, blob: await createExcelWorkbook(content, { summary: settings.summary }) }];
+    }
+
+    // Edits since the preview was repaired, and batch results, get the same fixes
+    const paper = repairQuestionPaper(content).paper;
+    const options = { numberEquations: settings.numberEquations, includeAnswerKey: settings.includeAnswerKey };
+    if (output === 'tex') return [textFile(toLatexDocument(paper, options), `${baseName}.tex`, 'application/x-tex')];
+    if (output === 'md') return [textFile(toMarkdown(paper, options), `${baseName}.md`, 'text/markdown')];
+
+    const figures = await cropPaperFigures(paper, files);
+    const withLayout = { ...options, template: settings.template, figures };
+    if (output === 'html') return [textFile(toHtmlDocument(paper, withLayout), `${baseName}.html`, 'text/html')];
+    return [{ name: `${baseName}.docx`, blob: await createWordDocument(paper, withLayout) }];
+}
+
+/**
+ * @param {string} text
+ * @param {string} name
+ * @param {string} mimeType
+ * @returns {OutputFile}
+ */
+const textFile = (text, name, mimeType) => ({ name, blob: new Blob([text], { type: `${mimeType};charset=utf-8` }) });
+
+/**
+ * Downloads each file.
+ * @param {OutputFile[]} outputs
+ */
+export function saveOutputFiles(outputs) {
+    outputs.forEach(({ name, blob }) => saveAs(blob, name));
+}
+
+/**
+ * Packs files into a zip, numbering repeated names ("Sheet (2).docx").
+ * @param {OutputFile[]} outputs
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(outputs) {
+    const zip = new JSZip();
+    const used = new Set();
+
+    outputs.forEach(({ name, blob }) => {
+        const [, stem, extension = ''] = name.match(/^(.*?)(\.[^.]+)?$/);
+        let candidate = name;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${stem} (${n})${extension}`;
+        used.add(candidate.toLowerCase());
+        zip.file(candidate, blob);
+    });
+
+    return zip.generateAsync({ type: 'blob' });
+}
@@ -0,0 +1,255 @@
+import { collectAnswers, isMultipleChoice, optionLabel } from './QuestionModel';
+
+/**
+ * Text exports of a question paper: a standalone LaTeX document and
+ * Markdown with $/$$ math, rendered from the same QuestionPaper as
+ * createWordDocument. Figures are left as placeholders, since neither
+ * format can carry the cropped images in a single file.
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {boolean} [numberEquations] - Number every display equation.
+ * @property {boolean} [includeAnswerKey=true] - Append captured MCQ answers.
+ */
+
+/**
+ * Whether a display block gets an equation number, matching the Word output.
+ * @param {Object} block
+ * @param {ExportOptions} options
+ * @returns {boolean}
+ */
+const isNumbered = (block, options) => block.numbered || (!!options.numberEquations && block.tag === null);
+
+// --- LaTeX ----------------------------------------------------------------
+
+/**
+ * Text-mode special characters and their LaTeX spelling.
+ */
+const LATEX_ESCAPES = {
+    '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '#': '\\#',
+    '%': '\\%', '_': '\\_', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}'
+};
+
+/**
+ * Escapes text outside math for LaTeX.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeLatex = (text) => text.replace(/[\\{}$&#%_^~]/g, char => LATEX_ESCAPES[char]);
+
+/**
+ * Label enumerate prints by default at each depth, for the item at index.
+ */
+const DEFAULT_LABELS = [
+    (index) => String(index + 1),
+    (index) => String.fromCharCode(97 + index)
+];
+
+/**
+ * Builds a standalone LaTeX document using amsmath. Questions are enumerate
+ * items; printed numbers that differ from enumerate's own count (a paper
+ * starting at 5, or sub-parts numbered (i), (ii)) are given as item labels.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @param {ExportOptions} [options]
+ * @returns {string}
+ */
+export function toLatexDocument(paper, options = {}) {
+    const lines = [
+        '\\documentclass[12pt]{article}',
+        '\\usepackage[utf8]{inputenc}',
+        '\\usepackage[T1]{fontenc}',
+        '\\usepackage{amsmath,amssymb}',
+        '\\usepackage[margin=2.5cm]{geometry}',
+        '',
+        '\\begin{document}',
+        ''
+    ];
+
+    if (paper.title) lines.push('\\begin{center}', `{\\Large\\bfseries ${escapeLatex(paper.title)}}`, '\\end{center}', '');
+
+    paper.sections.forEach(section => {
+        if (section.heading) lines.push(`\\section*{${escapeLatex(section.heading)}}`, '');
+        section.content.forEach(block => lines.push(...latexBlock(block, options), ''));
+        if (section.questions.length) lines.push(...latexQuestionList(section.questions, 0, options), '');
+    });
+
+    const answers = collectAnswers(paper);
+    if (options.includeAnswerKey !== false && answers.length) {
+        lines.push(
+            '\\newpage',
+            '\\section*{Answer Key}',
+            '\\begin{center}',
+            '\\begin{tabular}{cc}',
+            '\\textbf{Question} & \\textbf{Answer} \\\\',
+            '\\hline',
+            ...answers.map(({ number, answer }) => `${escapeLatex(number)} & ${escapeLatex(answer)} \\\\`),
+            '\\end{tabular}',
+            '\\end{center}',
+            ''
+        );
+    }
+
+    lines.push('\\end{document}', '');
+    return lines.join('\n');
+}
+
+/**
+ * @param {Array<{type: string, text?: string, latex?: string}>} runs
+ * @returns {string}
+ */
+const latexRuns = (runs) => runs.map(run => (run.type === 'math' ? `$${run.latex}$` : escapeLatex(run.text))).join('');
+
+/**
+ * @param {Object} block - Block from the question model.
+ * @param {ExportOptions} options
+ * @returns {string[]}
+ */
+const latexBlock = (block, options) => {
+    if (block.type === 'display') {
+        if (block.tag !== null) return ['\\begin{equation*}', `${block.latex} \\tag{${block.tag}}`, '\\end{equation*}'];
+        if (isNumbered(block, options)) return ['\\begin{equation}', block.latex, '\\end{equation}'];
+        return ['\\[', block.latex, '\\]'];
+    }
+    if (block.type === 'figure') {
+        const caption = block.caption ? [`\\\\ \\emph{${escapeLatex(block.caption)}}`] : [];
+        return ['\\begin{center}', `\\fbox{Figure (image ${block.source + 1})}`, ...caption, '\\end{center}'];
+    }
+    return [latexRuns(block.runs)];
+};
+
+/**
+ * Renders questions or parts as an enumerate list.
+ * @param {Object[]} questions
+ * @param {number} depth - 0 for questions, 1 for parts, 2 for sub-parts.
+ * @param {ExportOptions} options
+ * @returns {string[]}
+ */
+const latexQuestionList = (questions, depth, options) => {
+    const defaultLabel = DEFAULT_LABELS[depth];
+    const useDefault = !!defaultLabel && questions.every((question, index) => question.number === defaultLabel(index));
+    const lines = ['\\begin{enumerate}'];
+
+    questions.forEach(question => {
+        const label = depth === 0 ? `${question.number}.` : `(${question.number})`;
+        const [first, ...rest] = question.content;
+        const lead = first?.type === 'paragraph' ? latexRuns(first.runs) : '';
+        const marks = question.marks !== null ? ` \\hfill \\textbf{[${question.marks}]}` : '';
+
+        lines.push(`\\item${useDefault ? '' : `[${escapeLatex(label)}]`} ${lead}${marks}`.trimEnd());
+        (first?.type === 'paragraph' ? rest : question.content).forEach(block => lines.push(...latexBlock(block, options)));
+
+        if (isMultipleChoice(question)) {
+            lines.push('\\begin{enumerate}');
+            question.options.forEach((option, index) => {
+                const content = option.content.flatMap(block => latexBlock(block, options));
+                lines.push(`\\item[(${optionLabel(index)})] ${content.join('\n')}`.trimEnd());
+            });
+            lines.push('\\end{enumerate}');
+        }
+        if (question.parts.length) lines.push(...latexQuestionList(question.parts, depth + 1, options));
+    });
+
+    lines.push('\\end{enumerate}');
+    return lines;
+};
+
+// --- Markdown -------------------------------------------------------------
+
+/**
+ * Escapes characters Markdown (and $-math renderers) would otherwise interpret.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<$]/g, char => `\\${char}`);
+
+/**
+ * Builds Markdown with inline $...$ and display $$...$$ math, as rendered by
+ * MathJax or KaTeX in most wikis. Parts and options are nested lists.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @param {ExportOptions} [options]
+ * @returns {string}
+ */
+export function toMarkdown(paper, options = {}) {
+    const context = { equationCount: 0, ...options };
+    const lines = [];
+
+    if (paper.title) lines.push(`# ${escapeMarkdown(paper.title)}`, '');
+
+    paper.sections.forEach(section => {
+        if (section.heading) lines.push(`## ${escapeMarkdown(section.heading)}`, '');
+        section.content.forEach(block => lines.push(...markdownBlock(block, context), ''));
+        section.questions.forEach(question => lines.push(...markdownQuestion(question, 0, context)));
+    });
+
+    const answers = collectAnswers(paper);
+    if (options.includeAnswerKey !== false && answers.length) {
+        lines.push(
+            '## Answer Key',
+            '',
+            '| Question | Answer |',
+            '| :---: | :---: |',
+            ...answers.map(({ number, answer }) => `| ${escapeMarkdown(number)} | ${escapeMarkdown(answer)} |`),
+            ''
+        );
+    }
+
+    return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * @param {Array<{type: string, text?: string, latex?: string}>} runs
+ * @returns {string}
+ */
+const markdownRuns = (runs) => runs.map(run => (run.type === 'math' ? `$${run.latex}$` : escapeMarkdown(run.text))).join('');
+
+/**
+ * @param {Object} block - Block from the question model.
+ * @param {ExportOptions & {equationCount: number}} context
+ * @returns {string[]}
+ */
+const markdownBlock = (block, context) => {
+    if (block.type === 'display') {
+        // Markdown has no equation counter, so numbers are written as tags
+        const number = block.tag ?? (isNumbered(block, context) ? String(++context.equationCount) : null);
+        return ['$$', number !== null ? `${block.latex} \\tag{${number}}` : block.latex, '$$'];
+    }
+    if (block.type === 'figure') {
+        return [`*[Figure${block.caption ? `: ${escapeMarkdown(block.caption)}` : ''}]*`];
+    }
+    return [markdownRuns(block.runs)];
+};
+
+/**
+ * Renders a question as a paragraph with a bold label, and its options and
+ * parts as list items indented under it.
+ * @param {Object} question
+ * @param {number} depth
+ * @param {ExportOptions & {equationCount: number}} context
+ * @returns {string[]}
+ */
+const markdownQuestion = (question, depth, context) => {
+    const label = depth === 0 ? `${question.number}.` : `(${question.number})`;
+    // Parts are list items; their continuation lines are indented to stay inside the item
+    const indent = depth === 0 ? '' : '  '.repeat(depth);
+    const bullet = depth === 0 ? '' : `${'  '.repeat(depth - 1)}- `;
+    const [first, ...rest] = question.content;
+    const lead = first?.type === 'paragraph' ? markdownRuns(first.runs) : '';
+    const marks = question.marks !== null ? ` **[${question.marks}]**` : '';
+
+    const lines = [`${bullet}**${escapeMarkdown(label)}** ${lead}${marks}`.trimEnd()];
+    (first?.type === 'paragraph' ? rest : question.content).forEach(block => {
+        lines.push('', ...markdownBlock(block, context).map(line => indent + line));
+    });
+
+    if (isMultipleChoice(question)) {
+        lines.push('');
+        question.options.forEach((option, index) => {
+            const content = option.content.flatMap(block => markdownBlock(block, context)).join(' ');
+            lines.push(`${indent}- **(${optionLabel(index)})** ${content}`.trimEnd());
+        });
+    }
+    lines.push('');
+    question.parts.forEach(part => lines.push(...markdownQuestion(part, depth + 1, context)));
+    return lines;
+};
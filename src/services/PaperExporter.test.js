@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { escapeLatex, toLatexDocument, toMarkdown } from './PaperExporter';
+import { parseQuestionPaperText } from './QuestionModel';
+
+const paper = parseQuestionPaperText([
+    '# Unit Test #3',
+    '## Section A',
+    '5. Find 50% of $\\frac{1}{2}$ & more [2 marks]',
+    '$$ x^2 = 4 $$',
+    '(A) $2$ (B) $4$',
+    'Answer: B',
+    '6. Solve for x_1',
+    '(a) $x + 1 = 2$',
+    '(b) $2x = 4$'
+].join('\n'));
+
+describe('toLatexDocument', () => {
+    it('escapes text outside math and keeps printed numbering', () => {
+        expect(escapeLatex('50% of $5 & {x}_1 ~ \\')).toBe('50\\% of \\$5 \\& \\{x\\}\\_1 \\textasciitilde{} \\textbackslash{}');
+
+        const tex = toLatexDocument(paper, { numberEquations: true });
+        expect(tex).toContain('\\usepackage{amsmath,amssymb}');
+        expect(tex).toContain('{\\Large\\bfseries Unit Test \\#3}');
+        expect(tex).toContain('\\item[5.] Find 50\\% of $\\frac{1}{2}$ \\& more \\hfill \\textbf{[2]}');
+        expect(tex).toContain('\\begin{equation}\nx^2 = 4\n\\end{equation}');
+        expect(tex).toContain('\\item[(A)] $2$');
+        expect(tex).toContain('\\item $x + 1 = 2$');
+        expect(tex).toContain('B \\\\\n\\end{tabular}');
+        expect(tex.trim().endsWith('\\end{document}')).toBe(true);
+    });
+});
+
+describe('toMarkdown', () => {
+    it('writes $ math, nested parts and the answer key', () => {
+        const md = toMarkdown(paper, { includeAnswerKey: true });
+        expect(md).toContain('# Unit Test #3');
+        expect(md).toContain('**5.** Find 50% of $\\frac{1}{2}$ & more **[2]**\n\n$$\nx^2 = 4\n$$');
+        expect(md).toContain('- **(B)** $4$');
+        expect(md).toContain('**6.** Solve for x\\_1\n\n- **(a)** $x + 1 = 2$');
+        expect(md).toContain('| 5 | B |');
+    });
+});
@@ -0,0 +1,211 @@
+import { parseQuestionPaper } from './QuestionModel';
+import { parseTablesJson } from './TableModel';
+
+/**
+ * Makes sense of a response that is still streaming in, or was stopped
+ * half way: the JSON is closed off at the last point it can be, so the
+ * preview shows everything received so far and stopping keeps it.
+ */
+
+/**
+ * Opening and closing delimiters of math in question text, longest first
+ * so "$$" is not taken for two "$".
+ */
+const MATH_DELIMITERS = [['$$', '$$'], ['\\[', '\\]'], ['$', '$']];
+
+/**
+ * Cuts off math that has started but not finished arriving, so a half
+ * received "$\frac{1}{" is neither rendered nor shown as raw LaTeX.
+ * @param {string} text
+ * @returns {string}
+ */
+export function holdBackOpenMath(text) {
+    let close = null;
+    let depth = 0; // Bare \begin...\end environments
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === '$') {
+            i++;
+            continue;
+        }
+        if (close) {
+            if (text.startsWith(close, i)) {
+                i += close.length - 1;
+                close = null;
+            }
+            continue;
+        }
+        if (text.startsWith('\\begin{', i)) {
+            if (depth++ === 0) start = i;
+            continue;
+        }
+        if (text.startsWith('\\end{', i)) {
+            depth = Math.max(0, depth - 1);
+            continue;
+        }
+        if (depth) continue;
+
+        const delimiter = MATH_DELIMITERS.find(([opening]) => text.startsWith(opening, i));
+        if (delimiter) {
+            start = i;
+            close = delimiter[1];
+            i += delimiter[0].length - 1;
+        }
+    }
+
+    return close || depth ? text.slice(0, start).trimEnd() : text;
+}
+
+/**
+ * Ways to close off truncated JSON, most complete first: the whole text
+ * with an unfinished string ended, then the text up to the end of each
+ * complete object or array, latest first.
+ * @param {string} text
+ * @param {function(string): string} closeString - Applied to an unfinished string value before it is ended.
+ * @returns {Generator<string>}
+ */
+function* completions(text, closeString) {
+    const closers = [];
+    const cuts = [];
+    let inString = false;
+    let escaped = false;
+    let stringStart = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+            stringStart = i;
+        } else if (char === '{' || char === '[') {
+            closers.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            closers.pop();
+            cuts.push({ end: i + 1, closing: [...closers].reverse().join('') });
+        }
+    }
+
+    const closing = [...closers].reverse().join('');
+    if (inString) {
+        // A dangling escape or a partial \u sequence cannot be decoded yet
+        const raw = text.slice(stringStart + 1, escaped ? -1 : undefined).replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+        try {
+            yield `${text.slice(0, stringStart)}${JSON.stringify(closeString(JSON.parse(`"${raw}"`)))}${closing}`;
+        } catch {
+            // Not decodable yet; fall back to the last complete object
+        }
+    } else {
+        yield `${text.replace(/,\s*$/, '')}${closing}`;
+    }
+    for (let i = cuts.length - 1; i >= 0; i--) yield `${text.slice(0, cuts[i].end)}${cuts[i].closing}`;
+}
+
+/**
+ * Number of shorter prefixes tried before giving up on a preview.
+ */
+const MAX_ATTEMPTS = 25;
+
+/**
+ * Parses as much of a truncated JSON response as the parser accepts.
+ * @template T
+ * @param {string} text - Response received so far.
+ * @param {function(string): T} parse - Throws if a completion is not acceptable.
+ * @param {function(string): string} [closeString]
+ * @returns {T|null} Null until enough has arrived.
+ */
+export function parsePartialJson(text, parse, closeString = (value) => value) {
+    const body = text.replace(/^\s*```(?:json)?/, '');
+    let attempts = 0;
+    for (const candidate of completions(body, closeString)) {
+        if (attempts++ === MAX_ATTEMPTS) break;
+        try {
+            return parse(candidate);
+        } catch {
+            // Something in it is unfinished; try a shorter prefix
+        }
+    }
+    return null;
+}
+
+/**
+ * What has arrived of an extraction, in the shape of the finished result.
+ * @param {string} text
+ * @param {'docx'|'excel'} format
+ * @returns {import('./QuestionModel').QuestionPaper|string|null} A question paper, or tables JSON for 'excel'.
+ */
+export function parsePartialResponse(text, format) {
+    if (format === 'excel') {
+        return parsePartialJson(text, (candidate) => {
+            parseTablesJson(candidate);
+            return candidate;
+        });
+    }
+    return parsePartialJson(text, parseQuestionPaper, holdBackOpenMath);
+}
+
+/**
+ * The tables of an Excel job's partial result, for the preview shown while
+ * it streams in.
+ * @param {import('./TableModel').Table[]|string|null} partial - Tables JSON, or tables already parsed (batch jobs).
+ * @param {string[]} [fileNames] - Names of the uploaded files, to record each table's source.
+ * @returns {import('./TableModel').Table[]|null} Null until a table has arrived.
+ */
+export function partialTables(partial, fileNames = []) {
+    if (typeof partial !== 'string') return partial?.length ? partial : null;
+    try {
+        return parseTablesJson(partial, fileNames);
+    } catch {
+        // Stitched previews of several requests are not checked as they arrive
+        return null;
+    }
+}
+
+/**
+ * Characters that must arrive before a growing response is parsed again: a
+ * tenth of what has arrived, within these bounds. Every parse reads the
+ * whole response, so parsing each chunk as it comes would cost the square
+ * of its length.
+ */
+const MIN_PARSE_STEP = 400;
+const MAX_PARSE_STEP = 4000;
+
+/**
+ * Parses a response as it streams in, skipping updates that add too little
+ * to be worth a parse. Stopping keeps the preview on screen, which is the
+ * last one parsed.
+ * @param {'docx'|'excel'} format
+ * @returns {function(string): (import('./QuestionModel').QuestionPaper|string|null|undefined)} Undefined for a
+ *   skipped update, otherwise as parsePartialResponse.
+ */
+export function createPartialParser(format) {
+    let parsedLength = 0;
+    return (text) => {
+        // A retry or the next model starts the response over
+        if (text.length < parsedLength) parsedLength = 0;
+        const step = Math.min(MAX_PARSE_STEP, Math.max(MIN_PARSE_STEP, parsedLength / 10));
+        if (parsedLength && text.length - parsedLength < step) return undefined;
+        parsedLength = text.length;
+        return parsePartialResponse(text, format);
+    };
+}
+
+/**
+ * Short account of a partial result for progress displays: "3 questions".
+ * @param {import('./QuestionModel').QuestionPaper|import('./TableModel').Table[]|string} partial - Tables
+ *   either as JSON or parsed.
+ * @param {'docx'|'excel'} format
+ * @returns {string}
+ */
+export function describePartial(partial, format) {
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+    if (format === 'excel') {
+        const tables = (typeof partial === 'string' ? JSON.parse(partial).tables : partial) || [];
+        const rows = tables.reduce((sum, table) => sum + (Array.isArray(table?.rows) ? table.rows.length : 0), 0);
+        return `${count(tables.length, 'table')}, ${count(rows, 'row')}`;
+    }
+    return count(partial.sections.reduce((sum, section) => sum + section.questions.length, 0), 'question');
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createPartialParser, describePartial, holdBackOpenMath, parsePartialResponse, partialTables } from './PartialResponse';
+import { extractInChunks } from './ChunkedExtraction';
+import { createMockProvider, DEFAULT_FIXTURES } from './MockProvider';
+import { createJobQueue } from './JobQueue';
+
+const paperJson = JSON.stringify(DEFAULT_FIXTURES.docx[0].response);
+
+/**
+ * The response as received up to just before a piece of it.
+ */
+const upTo = (text, marker) => text.slice(0, text.indexOf(marker));
+
+describe('partial responses', () => {
+    it('holds back math that has not finished arriving', () => {
+        expect(holdBackOpenMath('If $x = 2$, find $\\frac{1}{')).toBe('If $x = 2$, find');
+        expect(holdBackOpenMath('Evaluate $$\\int_0^1 x')).toBe('Evaluate');
+        expect(holdBackOpenMath('Costs \\$5 and \\begin{cases} x')).toBe('Costs \\$5 and');
+        expect(holdBackOpenMath('Done: $a$ and $$b$$')).toBe('Done: $a$ and $$b$$');
+    });
+
+    it('closes off a question paper cut mid-string or mid-key', () => {
+        const midMath = parsePartialResponse(upTo(paperJson, '{4}'), 'docx');
+        const question = midMath.sections[0].questions[1];
+        expect(midMath.sections[0].questions).toHaveLength(2);
+        expect(question.content).toEqual([{ type: 'paragraph', runs: [{ type: 'text', text: 'The value of' }] }]);
+
+        // An unfinished key cannot be closed, so the question before it is the last one kept
+        const midKey = parsePartialResponse(upTo(paperJson, 'swer": null'), 'docx');
+        expect(midKey.sections[0].questions.map(q => q.options.length)).toEqual([4, 2]);
+
+        expect(parsePartialResponse('{"title": "Mathem', 'docx')).toBeNull();
+        expect(parsePartialResponse('{"tables": [{"name": "Marks", "rows": [["Name", "Score"], ["Asha", "4', 'excel'))
+            .toBe('{"tables": [{"name": "Marks", "rows": [["Name", "Score"], ["Asha", "4"]]}]}');
+    });
+
+    it('parses a growing response only every so often', async () => {
+        const parse = createPartialParser('docx');
+        const parsedAt = [];
+        for (let end = 1; end <= paperJson.length; end++) {
+            if (parse(paperJson.slice(0, end)) !== undefined) parsedAt.push(end);
+        }
+        expect(parsedAt).toEqual([1, 401]);
+        // The next model starts over
+        expect(parse('{"title": "Mathem')).toBeNull();
+
+        const progress = [];
+        const paper = await extractInChunks(createMockProvider(), [new File(['x'], 'p1.png', { type: 'image/png' })], 'docx', {
+            onPartial: (partial) => progress.push(describePartial(partial, 'docx'))
+        });
+        expect(progress).toEqual(['3 questions']);
+        expect(describePartial(paper, 'docx')).toBe('3 questions');
+    });
+
+    it('previews the tables of an Excel job as they stream in', async () => {
+        const previews = [];
+        const finished = await new Promise(resolve => createJobQueue({
+            concurrency: 1,
+            run: (job, signal, report) => extractInChunks(createMockProvider(), job.files, 'excel', { signal, onPartial: report }),
+            onUpdate: (job) => {
+                if (job.status === 'running' && job.partial) previews.push(partialTables(job.partial, job.files.map(file => file.name)));
+            },
+            onIdle: resolve
+        }).add([{ id: 0, name: 'marks', files: [new File(['x'], 'marks.png', { type: 'image/png' })] }]));
+
+        expect(previews.length).toBeGreaterThan(0);
+        const [first] = previews[0];
+        expect(first.source).toBe('marks.png');
+        expect(first.rows.length).toBeGreaterThan(0);
+        expect(finished[0].status).toBe('done');
+        expect(partialTables(null)).toBeNull();
+        expect(partialTables('{"tables": []}')).toBeNull();
+    });
+});
@@ -0,0 +1,185 @@
+import { fileStem } from './FileNames';
+
+/**
+ * PDFs are split in the browser: each selected page is rendered to a PNG
+ * and extracted like an uploaded image, so large papers fit the request
+ * size limit, cover pages can be skipped and figures can be cropped.
+ */
+
+/**
+ * Scale pages are rendered at for extraction; 2 gives about 190 dpi, enough for small print.
+ */
+const PAGE_SCALE = 2;
+
+/**
+ * Width of a page thumbnail, in pixels.
+ */
+const THUMBNAIL_WIDTH = 120;
+
+/**
+ * @type {WeakMap<File, Promise<import('pdfjs-dist').PDFDocumentProxy>>}
+ */
+const documents = new WeakMap();
+
+/**
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isPdf = (file) => file.type === 'application/pdf';
+
+/**
+ * Opens a PDF once per file. pdf.js is loaded on first use, so image-only
+ * sessions never download it.
+ * @param {File} file
+ * @returns {Promise<import('pdfjs-dist').PDFDocumentProxy>}
+ */
+function loadPdf(file) {
+    if (!documents.has(file)) {
+        documents.set(file, (async () => {
+            const [pdfjs, { default: workerSrc }] = await Promise.all([
+                import('pdfjs-dist'),
+                import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+            ]);
+            pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+            return pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        })());
+    }
+    return documents.get(file);
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<number>}
+ */
+export async function getPageCount(file) {
+    return (await loadPdf(file)).numPages;
+}
+
+/**
+ * Size a page is rendered at for extraction.
+ * @param {File} file
+ * @param {number} pageNumber - Counting from 1.
+ * @returns {Promise<{width: number, height: number}>} In pixels.
+ */
+export async function getRenderedPageSize(file, pageNumber) {
+    const page = await (await loadPdf(file)).getPage(pageNumber);
+    const { width, height } = page.getViewport({ scale: PAGE_SCALE });
+    return { width: Math.ceil(width), height: Math.ceil(height) };
+}
+
+/**
+ * Draws one page onto a new canvas.
+ * @param {File} file
+ * @param {number} pageNumber - Counting from 1.
+ * @param {function(number): number} scaleFor - Scale for the page's width at scale 1.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderPage(file, pageNumber, scaleFor) {
+    const page = await (await loadPdf(file)).getPage(pageNumber);
+    const viewport = page.getViewport({ scale: scaleFor(page.getViewport({ scale: 1 }).width) });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const context = canvas.getContext('2d');
+    // Pages without a background would otherwise encode as transparent
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+    page.cleanup();
+    return canvas;
+}
+
+/**
+ * @param {File} file
+ * @param {number} pageNumber - Counting from 1.
+ * @returns {Promise<string>} PNG data URL of a small rendering of the page.
+ */
+export async function renderThumbnail(file, pageNumber) {
+    const canvas = await renderPage(file, pageNumber, width => THUMBNAIL_WIDTH / width);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Renders one page as an image file named after the PDF: "paper p3.png".
+ * @param {File} file
+ * @param {number} pageNumber - Counting from 1.
+ * @returns {Promise<File>}
+ */
+async function renderPageFile(file, pageNumber) {
+    const canvas = await renderPage(file, pageNumber, () => PAGE_SCALE);
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error(`Could not render page ${pageNumber} of ${file.name}`))), 'image/png');
+    });
+    return new File([blob], `${fileStem(file.name)} p${pageNumber}.png`, { type: 'image/png' });
+}
+
+/**
+ * Replaces each PDF with images of its selected pages, in page order.
+ * Other files are kept as they are.
+ * @param {File[]} files
+ * @param {Map<File, number[]>} selections - Pages chosen per PDF; all pages when missing.
+ * @returns {Promise<File[]>}
+ */
+export async function expandPdfPages(files, selections) {
+    const expanded = [];
+    for (const file of files) {
+        if (!isPdf(file)) {
+            expanded.push(file);
+            continue;
+        }
+        const pages = selections.get(file) ?? allPages(await getPageCount(file));
+        for (const pageNumber of pages) expanded.push(await renderPageFile(file, pageNumber));
+    }
+    return expanded;
+}
+
+/**
+ * @param {number} pageCount
+ * @returns {number[]} 1 to pageCount.
+ */
+export const allPages = (pageCount) => Array.from({ length: pageCount }, (_, i) => i + 1);
+
+/**
+ * Parses a page range such as "2-5, 8, 10-" into sorted page numbers.
+ * An open end runs to the last page; a blank range selects every page.
+ * @param {string} text
+ * @param {number} pageCount
+ * @returns {number[]}
+ * @throws {Error} If a part is not a page or range, or is outside the document.
+ */
+export function parsePageRange(text, pageCount) {
+    if (!text.trim()) return allPages(pageCount);
+
+    const pages = new Set();
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^(\d*)\s*(?:(-)\s*(\d*))?$/);
+        if (!match || (!match[1] && !match[3])) throw new Error(`"${part}" is not a page or range`);
+
+        const first = match[1] ? Number(match[1]) : 1;
+        const last = match[2] ? (match[3] ? Number(match[3]) : pageCount) : first;
+        if (first < 1 || last > pageCount) throw new Error(`"${part}" is outside pages 1-${pageCount}`);
+        if (first > last) throw new Error(`"${part}" runs backwards`);
+        for (let page = first; page <= last; page++) pages.add(page);
+    });
+
+    if (!pages.size) throw new Error("No pages selected");
+    return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Writes sorted page numbers as a compact range: [1, 2, 3, 5] -> "1-3, 5".
+ * @param {number[]} pages
+ * @returns {string}
+ */
+export function formatPageRange(pages) {
+    const parts = [];
+    pages.forEach((page, i) => {
+        if (i > 0 && page === pages[i - 1] + 1) {
+            parts[parts.length - 1][1] = page;
+        } else {
+            parts.push([page, page]);
+        }
+    });
+    return parts.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(', ');
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { formatPageRange, parsePageRange } from './PdfPages';
+
+describe('parsePageRange', () => {
+    it('reads pages, ranges and open ends in page order', () => {
+        expect(parsePageRange('8, 2-4, 10-, 3', 11)).toEqual([2, 3, 4, 8, 10, 11]);
+        expect(parsePageRange('-2', 5)).toEqual([1, 2]);
+        expect(parsePageRange(' ', 3)).toEqual([1, 2, 3]);
+    });
+
+    it('rejects ranges outside the document or that cannot be read', () => {
+        expect(() => parsePageRange('2-12', 10)).toThrow('"2-12" is outside pages 1-10');
+        expect(() => parsePageRange('5-2', 10)).toThrow('runs backwards');
+        expect(() => parsePageRange('1, two', 10)).toThrow('"two" is not a page or range');
+    });
+});
+
+describe('formatPageRange', () => {
+    it('collapses consecutive pages', () => {
+        expect(formatPageRange([1, 2, 3, 5, 7, 8])).toBe('1-3, 5, 7-8');
+    });
+});
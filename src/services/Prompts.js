@@ -0,0 +1,242 @@
+/**
+ * Instructions and response schemas for extraction. They describe the
+ * output rather than any one API, so every provider sends the same prompt.
+ * Schemas use the OpenAPI subset of JSON Schema with lowercase type names
+ * ('object', 'string', ...); a backend that wants another form translates them.
+ */
+
+/**
+ * @param {'docx'|'excel'} format
+ * @returns {string} Instructions sent ahead of the files.
+ */
+export const getPrompt = (format) => (format === 'excel' ? getExcelPrompt() : getMathPrompt());
+
+const optionSchema = {
+    type: "object",
+    properties: {
+        label: { type: "string", description: "Option label without brackets, e.g. A" },
+        text: { type: "string", description: "Option text with LaTeX math in $...$" }
+    },
+    required: ["label", "text"]
+};
+
+const figureSchema = {
+    type: "object",
+    properties: {
+        image: { type: "integer", description: "Position of the uploaded file containing the figure, starting at 1" },
+        box_2d: {
+            type: "array",
+            items: { type: "integer" },
+            description: "Bounding box of the figure as [ymin, xmin, ymax, xmax], normalized to 0-1000"
+        },
+        caption: { type: "string", nullable: true, description: "Caption printed with the figure, if any" }
+    },
+    required: ["image", "box_2d"]
+};
+
+/**
+ * Builds the schema of a question or sub-part. The response schema cannot be
+ * recursive, so nesting is spelled out to a fixed depth.
+ * @param {number} depth - Levels of sub-parts still allowed below this one.
+ * @returns {Object}
+ */
+const questionSchema = (depth) => ({
+    type: "object",
+    properties: {
+        number: { type: "string", description: "Number or label as printed, without brackets or dots, e.g. 1, a, ii" },
+        text: { type: "string", description: "Question text with LaTeX math in $...$ and display math in $$...$$" },
+        marks: { type: "number", nullable: true, description: "Marks allotted, if printed" },
+        options: { type: "array", items: optionSchema },
+        figures: { type: "array", items: figureSchema, description: "Diagrams, graphs or pictures belonging to this question" },
+        answer: { type: "string", nullable: true, description: "Label of the correct option, only if it is marked or given in an answer key" },
+        ...(depth > 0 ? { parts: { type: "array", items: questionSchema(depth - 1) } } : {})
+    },
+    required: ["number", "text"]
+});
+
+/**
+ * Response schema requested from the model for math extraction.
+ */
+export const QUESTION_PAPER_SCHEMA = {
+    type: "object",
+    properties: {
+        title: { type: "string", nullable: true },
+        sections: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    heading: { type: "string", nullable: true },
+                    instructions: { type: "string", nullable: true },
+                    questions: { type: "array", items: questionSchema(2) }
+                },
+                required: ["questions"]
+            }
+        }
+    },
+    required: ["sections"]
+};
+
+/**
+ * Response schema requested from the model for table extraction.
+ */
+export const TABLES_SCHEMA = {
+    type: "object",
+    properties: {
+        tables: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string", description: "Short descriptive name, e.g. the table caption or heading" },
+                    image: { type: "integer", nullable: true, description: "Position of the uploaded file containing the table, starting at 1" },
+                    rows: {
+                        type: "array",
+                        items: { type: "array", items: { type: "string" } },
+                        description: "Rows of cells, header rows first, every row with one cell per grid column"
+                    },
+                    headerRows: { type: "integer", nullable: true, description: "Number of heading rows at the top, usually 1" },
+                    merges: {
+                        type: "array",
+                        nullable: true,
+                        items: {
+                            type: "object",
+                            properties: {
+                                row: { type: "integer", description: "Row of the top-left cell, starting at 1" },
+                                col: { type: "integer", description: "Column of the top-left cell, starting at 1" },
+                                rowSpan: { type: "integer", description: "Number of rows the cell spans" },
+                                colSpan: { type: "integer", description: "Number of columns the cell spans" }
+                            },
+                            required: ["row", "col", "rowSpan", "colSpan"]
+                        },
+                        description: "Cells spanning several rows or columns"
+                    }
+                },
+                required: ["name", "rows"]
+            }
+        }
+    },
+    required: ["tables"]
+};
+
+/**
+ * Response schema requested from the model for the verification pass.
+ */
+export const VERIFICATION_SCHEMA = {
+    type: "object",
+    properties: {
+        questions: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    number: { type: "string", description: "Top-level question number as in the text, e.g. 3" },
+                    confidence: { type: "number", description: "How sure you are that the text matches the image exactly, from 0 to 1" },
+                    issues: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                excerpt: { type: "string", description: "The suspect span, copied exactly from the text" },
+                                problem: { type: "string", description: "What differs from the image, e.g. missing minus sign" },
+                                suggestion: { type: "string", nullable: true, description: "Corrected span, if you can read it" }
+                            },
+                            required: ["excerpt", "problem"]
+                        }
+                    }
+                },
+                required: ["number", "confidence", "issues"]
+            }
+        }
+    },
+    required: ["questions"]
+};
+
+/**
+ * @param {'docx'|'excel'} format
+ * @returns {Object} Response schema requested from the model.
+ */
+export const getResponseSchema = (format) => (format === 'excel' ? TABLES_SCHEMA : QUESTION_PAPER_SCHEMA);
+
+function getExcelPrompt() {
+    return `
+    You are an expert Data Entry assistant. Your task is to extract tabular data and text from provided images into a structured JSON format.
+
+    Rules:
+    1. Identify tables, lists, or structured data in the images. Keep separate tables separate; do NOT combine tables
+       from different images, or different tables on the same image, into one.
+    2. Return JSON matching the response schema, with one entry in "tables" per table:
+       - "name": a short, meaningful name such as the table's caption or heading (e.g. "Class 10 Results").
+       - "image": the position of the uploaded file the table appears in, counting from 1 in the order the files were given.
+       - "rows": an array of arrays representing rows and columns, header rows first.
+       - "headerRows": how many rows at the top are headings (2 or more for multi-level headers, otherwise 1).
+       - "merges": every cell that spans several rows or columns, as { "row", "col", "rowSpan", "colSpan" } with "row" and "col"
+         the top-left cell counting from 1.
+       Example: { "tables": [ { "name": "Results", "image": 1, "rows": [ ["Header 1", "Header 2"], ["Row 1 Col 1", "Row 1 Col 2"] ], "headerRows": 1, "merges": [] } ] }
+    3. Every row must have one cell per grid column, even where cells are merged: put a merged cell's value in its top-left
+       position and an empty string "" in each position it covers. For example a "Marks" heading spanning the "Theory" and
+       "Practical" columns under it gives rows [ ["Name", "Marks", ""], ["", "Theory", "Practical"], ... ] with "headerRows": 2
+       and "merges": [ { "row": 1, "col": 1, "rowSpan": 2, "colSpan": 1 }, { "row": 1, "col": 2, "rowSpan": 1, "colSpan": 2 } ].
+    4. Do NOT include complex mathematical equations. If minor math is present, treat it as plain text.
+    5. If there is no clear table, try to structure the text logically into rows.
+    6. Do NOT output markdown code fences. Just raw JSON.
+    `;
+}
+
+function getMathPrompt() {
+    return `
+    You are an expert Math assistant. Your task is to extract questions and mathematical equations entirely and accurately from the provided images of question papers.
+    
+    Rules:
+    1. Return JSON matching the response schema:
+       - "title": the paper title, if printed.
+       - "sections": one entry per printed section (e.g. "Section A"), with its "heading" and any "instructions".
+         Use a single section with a null heading if the paper has none.
+       - "questions": one entry per numbered question, with its printed "number", "text" and "marks" (null if not printed).
+       - Sub-parts such as (a), (b) or (i), (ii) go into "parts", NOT into the question text.
+       - Multiple-choice options such as (A)...(D) go into "options", NOT into the question text.
+       - Set "answer" to the option label only if the correct option is ticked/circled or given in an answer key; otherwise null.
+    2. Extract all text exactly as it appears.
+    3. For mathematical equations, represent them in standard LaTeX format enclosed in single dollar signs like $E = mc^2$.
+       - USE standard LaTeX commands: \\frac{a}{b}, x^2, x_i, \\sqrt{x}, \\sqrt[3]{x}, \\sum_{i=1}^{n}, \\int_a^b, \\lim_{x \\to 0}, \\left( \\right), \\vec{v}, \\overline{AB}, \\mathbb{R}, etc.
+       - For standalone equations and derivation steps that sit on their own line, use display math on its own line: $$ ... $$.
+       - Keep math that is part of a sentence inline with single dollar signs.
+    4. For fractions, ALWAYS use \\frac{numerator}{denominator}.
+    5. For matrices, determinants, piecewise functions and multi-line derivations use LaTeX environments inside the dollar signs (prefer $$ ... $$ for multi-line derivations):
+       \\begin{pmatrix}, \\begin{bmatrix}, \\begin{vmatrix}, \\begin{cases} and \\begin{aligned}.
+       Separate columns with & and rows with \\\\, e.g. $\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}$.
+    6. For every diagram, graph, circuit or picture that belongs to a question, add an entry to that question's "figures":
+       - "image": the position of the uploaded file it appears in, counting from 1 in the order the files were given.
+       - "box_2d": a tight bounding box around the whole figure, including its labels, as [ymin, xmin, ymax, xmax] normalized to 0-1000.
+       - "caption": the printed caption (e.g. "Fig. 2"), if any.
+       Do NOT describe the figure in the question text.
+    7. Do NOT output markdown code fences. Just raw JSON.
+    `;
+}
+
+/**
+ * Instructions for the verification pass, sent with the same images as the extraction.
+ * @param {string} paperText - The extracted paper in its text form.
+ * @returns {string}
+ */
+export function getVerificationPrompt(paperText) {
+    return `
+    You are proofreading an OCR extraction of a question paper. The images are the original pages; the text below is
+    what was extracted from them, with math in LaTeX between $...$ or $$...$$.
+
+    Compare the text with the images, question by question, looking for misread content: a dropped or added minus sign,
+    a wrong digit, exponent or subscript, a swapped numerator and denominator, a missing term, bracket or option, a wrong variable.
+    Ignore differences in layout, spacing or LaTeX style that do not change the meaning.
+
+    Return JSON matching the response schema, with one entry in "questions" per top-level question of the text:
+    - "number": the question number as written in the text, e.g. "3".
+    - "confidence": from 0 to 1, how sure you are that the question (including its parts and options) matches the image exactly.
+    - "issues": every suspected discrepancy, each with "excerpt" copied character for character from the text so it can be found,
+      as short as possible while still unique within the question; "problem" saying what differs; and "suggestion" with the
+      corrected excerpt if you can read it. Leave "issues" empty if the question matches.
+    Do NOT output markdown code fences. Just raw JSON.
+
+    Extracted text:
+    ${paperText}
+    `;
+}
@@ -0,0 +1,35 @@
+import { createGeminiProvider } from './GeminiService';
+import { createOpenAIProvider } from './OpenAIProvider';
+import { createMockProvider } from './MockProvider';
+
+/**
+ * Chooses the AI provider from the environment:
+ *
+ * - VITE_AI_PROVIDER: "gemini" (default), "openai" or "mock".
+ * - gemini: VITE_GEMINI_API_KEY.
+ * - openai: VITE_OPENAI_BASE_URL, VITE_OPENAI_MODELS (comma-separated, in order of priority)
+ *   and, unless the server needs none, VITE_OPENAI_API_KEY.
+ * - mock: VITE_MOCK_DELAY_MS, optional.
+ *
+ * @param {Record<string, string>} env - import.meta.env
+ * @returns {import('./AIProvider').AIProvider}
+ * @throws {Error} If the chosen provider is not fully configured.
+ */
+export function createConfiguredProvider(env) {
+    const kind = (env.VITE_AI_PROVIDER || 'gemini').trim().toLowerCase();
+
+    if (kind === 'gemini') {
+        if (!env.VITE_GEMINI_API_KEY) throw new Error("Please configure VITE_GEMINI_API_KEY in .env file.");
+        return createGeminiProvider(env.VITE_GEMINI_API_KEY);
+    }
+    if (kind === 'openai') {
+        const models = (env.VITE_OPENAI_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+        if (!env.VITE_OPENAI_BASE_URL) throw new Error("Please configure VITE_OPENAI_BASE_URL in .env file.");
+        if (!models.length) throw new Error("Please configure VITE_OPENAI_MODELS in .env file.");
+        return createOpenAIProvider({ baseUrl: env.VITE_OPENAI_BASE_URL, apiKey: env.VITE_OPENAI_API_KEY, models });
+    }
+    if (kind === 'mock') {
+        return createMockProvider({ delay: Number(env.VITE_MOCK_DELAY_MS) || 0 });
+    }
+    throw new Error(`Unknown VITE_AI_PROVIDER "${kind}"; use gemini, openai or mock.`);
+}
@@ -0,0 +1,654 @@
+import { findLatexProblems } from "./LatexParser";
+
+/**
+ * Structured representation of an extracted question paper.
+ * Extraction produces it, the preview serializes it to text and every
+ * document generator renders from it.
+ *
+ * @typedef {{type: 'text', text: string} | {type: 'math', latex: string}} Run
+ * @typedef {{top: number, left: number, bottom: number, right: number}} Box - Edges in thousandths of the image size.
+ * @typedef {{type: 'figure', source: number, box: Box, caption: string|null}} FigureBlock - source is the index of the uploaded file.
+ * @typedef {{type: 'paragraph', runs: Run[]} | {type: 'display', latex: string, tag: string|null, numbered: boolean} | FigureBlock} Block
+ * @typedef {{label: string, content: Block[]}} Option
+ * @typedef {{number: string, marks: number|null, content: Block[], options: Option[], answer: string|null, parts: Question[]}} Question
+ * @typedef {{heading: string|null, content: Block[], questions: Question[]}} Section
+ * @typedef {{title: string|null, sections: Section[]}} QuestionPaper
+ */
+
+/**
+ * Parses and validates the JSON returned by the model into a QuestionPaper.
+ * @param {string} jsonString
+ * @returns {QuestionPaper}
+ * @throws {Error} If the JSON is malformed or does not match the schema.
+ */
+export function parseQuestionPaper(jsonString) {
+    let data;
+    try {
+        // Remove potential markdown fences from AI response
+        data = JSON.parse(jsonString.replace(/```json/g, '').replace(/```/g, '').trim());
+    } catch (e) {
+        throw new Error(`Invalid JSON from AI: ${e.message}`);
+    }
+
+    // Tolerate a bare list of questions
+    if (Array.isArray(data)) data = { sections: [{ questions: data }] };
+    if (!data || !Array.isArray(data.sections)) {
+        throw new Error("Invalid question paper: 'sections' must be an array");
+    }
+
+    return {
+        title: optionalString(data.title),
+        sections: data.sections.map((section, i) => {
+            const path = `sections[${i}]`;
+            if (!section || typeof section !== 'object') throw new Error(`Invalid question paper: ${path} must be an object`);
+            if (section.questions !== undefined && !Array.isArray(section.questions)) {
+                throw new Error(`Invalid question paper: ${path}.questions must be an array`);
+            }
+            return {
+                heading: optionalString(section.heading),
+                content: parseContent(optionalString(section.instructions) || ''),
+                questions: (section.questions || []).map((q, j) => normalizeQuestion(q, `${path}.questions[${j}]`))
+            };
+        })
+    };
+}
+
+/**
+ * @param {Object} question - Raw question from the model.
+ * @param {string} path - Location used in error messages.
+ * @returns {Question}
+ */
+function normalizeQuestion(question, path) {
+    if (!question || typeof question !== 'object') throw new Error(`Invalid question paper: ${path} must be an object`);
+
+    const text = optionalString(question.text) || '';
+    const options = Array.isArray(question.options) ? question.options : [];
+    const parts = Array.isArray(question.parts) ? question.parts : [];
+    const figures = Array.isArray(question.figures) ? question.figures : [];
+    if (!text.trim() && options.length === 0 && parts.length === 0 && figures.length === 0) {
+        throw new Error(`Invalid question paper: ${path} has no text, options, figures or parts`);
+    }
+
+    const marks = question.marks === null || question.marks === undefined || question.marks === ''
+        ? null
+        : Number(question.marks);
+    if (marks !== null && Number.isNaN(marks)) {
+        throw new Error(`Invalid question paper: ${path}.marks must be a number`);
+    }
+
+    const normalized = options.length
+        ? {
+            content: parseContent(text),
+            options: options.map((option, i) => ({
+                label: stripLabel(String(option?.label ?? optionLabel(i))),
+                content: parseContent(optionalString(option?.text) || '')
+            }))
+        }
+        // Options the model left inside the question text
+        : extractOptions(parseContent(text));
+
+    // Figures follow the question text, before the options
+    normalized.content.push(...figures.map((figure, i) => normalizeFigure(figure, `${path}.figures[${i}]`)));
+
+    return {
+        number: stripLabel(String(question.number ?? '')),
+        marks,
+        ...normalized,
+        answer: question.answer ? stripLabel(String(question.answer)) : null,
+        parts: parts.map((part, i) => normalizeQuestion(part, `${path}.parts[${i}]`))
+    };
+}
+
+/**
+ * @param {Object} figure - Raw figure from the model.
+ * @param {string} path - Location used in error messages.
+ * @returns {FigureBlock}
+ */
+function normalizeFigure(figure, path) {
+    const image = Number(figure?.image);
+    if (!Number.isInteger(image) || image < 1) {
+        throw new Error(`Invalid question paper: ${path}.image must be a positive integer`);
+    }
+    const box = figure.box_2d;
+    if (!Array.isArray(box) || box.length !== 4 || box.some(value => Number.isNaN(Number(value)))) {
+        throw new Error(`Invalid question paper: ${path}.box_2d must be four numbers`);
+    }
+    return createFigure(image - 1, box.map(Number), optionalString(figure.caption));
+}
+
+/**
+ * Builds a figure block, clamping the box to the image and putting its edges in order.
+ * @param {number} source - Index of the uploaded file.
+ * @param {number[]} edges - [ymin, xmin, ymax, xmax] in thousandths.
+ * @param {string|null} caption
+ * @returns {FigureBlock}
+ */
+const createFigure = (source, [ymin, xmin, ymax, xmax], caption) => {
+    const clamp = (value) => Math.min(1000, Math.max(0, Math.round(value)));
+    return {
+        type: 'figure',
+        source,
+        box: {
+            top: clamp(Math.min(ymin, ymax)),
+            left: clamp(Math.min(xmin, xmax)),
+            bottom: clamp(Math.max(ymin, ymax)),
+            right: clamp(Math.max(xmin, xmax))
+        },
+        caption: caption || null
+    };
+};
+
+/**
+ * @param {any} value
+ * @returns {string|null}
+ */
+const optionalString = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * Consistent option label for a position: 0 -> "A".
+ * @param {number} index
+ * @returns {string}
+ */
+export const optionLabel = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Whether a question is multiple choice.
+ * @param {Question} question
+ * @returns {boolean}
+ */
+export const isMultipleChoice = (question) => question.options.length >= 2;
+
+/**
+ * Collects the captured answers of every question and sub-part, in order.
+ * Answers are reported with the consistent label of the matching option.
+ * @param {QuestionPaper} paper
+ * @returns {Array<{number: string, answer: string}>} number is e.g. "2" or "2(a)"
+ */
+export function collectAnswers(paper) {
+    const answers = [];
+    const visit = (question, prefix) => {
+        const number = prefix ? `${prefix}(${question.number})` : question.number;
+        if (question.answer) {
+            const index = question.options.findIndex(o => o.label.toUpperCase() === question.answer.toUpperCase());
+            answers.push({ number, answer: index >= 0 ? optionLabel(index) : question.answer });
+        }
+        question.parts.forEach(part => visit(part, number));
+    };
+    paper.sections.forEach(section => section.questions.forEach(q => visit(q, '')));
+    return answers;
+}
+
+/**
+ * Applies a function to every block of the paper, including option and sub-part content.
+ * @param {QuestionPaper} paper
+ * @param {(block: Block) => Block} transform
+ * @returns {QuestionPaper} A new paper; blocks the transform returns unchanged are shared.
+ */
+export function mapBlocks(paper, transform) {
+    const mapQuestion = (question) => ({
+        ...question,
+        content: question.content.map(transform),
+        options: question.options.map(option => ({ ...option, content: option.content.map(transform) })),
+        parts: question.parts.map(mapQuestion)
+    });
+    return {
+        ...paper,
+        sections: paper.sections.map(section => ({
+            ...section,
+            content: section.content.map(transform),
+            questions: section.questions.map(mapQuestion)
+        }))
+    };
+}
+
+/**
+ * Collects every figure of the paper with the number of the question it belongs to.
+ * @param {QuestionPaper} paper
+ * @returns {Array<{number: string|null, figure: FigureBlock}>} number is e.g. "2(a)", null for section content
+ */
+export function collectFigures(paper) {
+    const figures = [];
+    const collect = (blocks, number) => blocks.forEach(block => {
+        if (block.type === 'figure') figures.push({ number, figure: block });
+    });
+    const visit = (question, prefix) => {
+        const number = prefix ? `${prefix}(${question.number})` : question.number;
+        collect(question.content, number);
+        question.options.forEach(option => collect(option.content, number));
+        question.parts.forEach(part => visit(part, number));
+    };
+    paper.sections.forEach(section => {
+        collect(section.content, null);
+        section.questions.forEach(q => visit(q, ''));
+    });
+    return figures;
+}
+
+/**
+ * Joins papers extracted from consecutive chunks of pages, in order. A chunk
+ * that starts without a heading, or repeats the heading of the section
+ * before it, continues that section across the page break.
+ * @param {QuestionPaper[]} papers
+ * @returns {QuestionPaper}
+ */
+export function mergeQuestionPapers(papers) {
+    const sections = [];
+    papers.forEach(paper => paper.sections.forEach((section, i) => {
+        const previous = sections[sections.length - 1];
+        if (i === 0 && previous && (section.heading === null || section.heading === previous.heading)) {
+            sections[sections.length - 1] = {
+                ...previous,
+                content: [...previous.content, ...section.content],
+                questions: [...previous.questions, ...section.questions]
+            };
+        } else {
+            sections.push(section);
+        }
+    }));
+    return { title: papers.find(paper => paper.title)?.title ?? null, sections };
+}
+
+/**
+ * Removes brackets, dots and a "Q" prefix from a printed label: "Q1." -> "1", "(a)" -> "a".
+ * @param {string} label
+ * @returns {string}
+ */
+const stripLabel = (label) => label.trim().replace(/^Q\.?\s*(?=\d)/i, '').replace(/^\(|[.)]$/g, '').trim();
+
+// --- Inline content -------------------------------------------------------
+
+/**
+ * Splits content into logical lines. A display block ($$ ... $$, \[ ... \])
+ * or an environment such as \begin{pmatrix} ... \end{pmatrix} that spans
+ * several lines is joined back onto one line so it becomes a single math object.
+ * @param {string} content
+ * @returns {Array<{text: string, line: number}>} line is the 1-based line the logical line starts on
+ */
+const splitLogicalLines = (content) => {
+    const lines = [];
+    let pending = null;
+    let start = 1;
+
+    content.split('\n').forEach((line, index) => {
+        if (pending === null) start = index + 1;
+        pending = pending === null ? line : `${pending} ${line.trim()}`;
+        if (!hasOpenBlock(pending)) {
+            lines.push({ text: pending, line: start });
+            pending = null;
+        }
+    });
+    if (pending !== null) lines.push({ text: pending, line: start });
+
+    return lines;
+};
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether a \begin, \[ or $$ is still waiting for its closing counterpart
+ */
+const hasOpenBlock = (text) => {
+    const count = (pattern) => (text.match(pattern) || []).length;
+    return count(/\\begin\{/g) > count(/\\end\{/g)
+        || count(/\\\[/g) > count(/\\\]/g)
+        || count(/\$\$/g) % 2 === 1;
+};
+
+/**
+ * Matches display math: $$...$$, \[...\] and the equation environment.
+ */
+const DISPLAY_MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\begin\{(equation\*?)\}([\s\S]*?)\\end\{\3\}/g;
+
+/**
+ * Splits a line into paragraphs and display equations.
+ * Display equations carry an explicit \tag{...} or, for the unstarred
+ * equation environment, a request for an automatic number.
+ * @param {string} line
+ * @returns {Block[]}
+ */
+const splitDisplayMath = (line) => {
+    const blocks = [];
+    let lastIndex = 0;
+
+    const pushText = (text) => {
+        // Text left around a display equation is usually just whitespace
+        if (text.trim()) blocks.push({ type: 'paragraph', runs: splitMathRuns(text.trim()) });
+    };
+
+    for (const match of line.matchAll(DISPLAY_MATH_PATTERN)) {
+        pushText(line.slice(lastIndex, match.index));
+
+        let latex = match[1] ?? match[2] ?? match[4];
+        const tag = latex.match(/\\tag\*?\{([^}]*)\}/);
+        const suppressed = /\\(notag|nonumber)\b/.test(latex);
+        latex = latex.replace(/\\tag\*?\{[^}]*\}|\\notag\b|\\nonumber\b/g, '').trim();
+
+        blocks.push({
+            type: 'display',
+            latex,
+            tag: tag ? tag[1] : null,
+            numbered: !suppressed && (!!tag || match[3] === 'equation')
+        });
+        lastIndex = match.index + match[0].length;
+    }
+    pushText(line.slice(lastIndex));
+
+    return blocks;
+};
+
+/**
+ * Splits a line into text and math runs. Math is either inline $...$ or a
+ * bare environment the model emitted without dollar signs.
+ * @param {string} line
+ * @returns {Run[]}
+ */
+const splitMathRuns = (line) => {
+    return line.split(/\$([^$]+)\$/g).flatMap((part, index) => {
+        // Odd indices are math content
+        if (index % 2 === 1) return [{ type: 'math', latex: part }];
+
+        return part.split(/(\\begin\{([a-zA-Z*]+)\}[\s\S]*?\\end\{\2\})/g)
+            .filter((_, i) => i % 3 !== 2)
+            .map((value, i) => (i % 2 === 1 ? { type: 'math', latex: value } : { type: 'text', text: value }))
+            .filter(run => run.type === 'math' || run.text);
+    });
+};
+
+/**
+ * A figure on a line of its own: "[Figure: image 1, 120,80,400,520] Caption".
+ * The box is top, left, bottom, right in thousandths of the image size.
+ */
+const FIGURE_PATTERN = /^\[Figure:\s*image\s+(\d+),\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\](?:\s+(.*))?$/i;
+
+/**
+ * Parses text with inline ($...$) and display ($$...$$) math into blocks.
+ * @param {string} text
+ * @returns {Block[]}
+ */
+export function parseContent(text) {
+    return splitLogicalLines(text).flatMap(({ text: line }) => {
+        const figure = line.trim().match(FIGURE_PATTERN);
+        if (!figure) return splitDisplayMath(line);
+        const [, image, top, left, bottom, right, caption] = figure;
+        return [createFigure(Number(image) - 1, [top, left, bottom, right].map(Number), caption?.trim())];
+    });
+}
+
+/**
+ * Marks of LaTeX in text; after a stray dollar sign they show math whose
+ * closing dollar was left off.
+ */
+export const LATEX_MARKERS = /\\[a-zA-Z]|[\^_{}]/;
+
+/**
+ * Whether the dollar sign at index is a currency amount ("It costs $5."):
+ * followed by a digit, with no LaTeX after it.
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+export const isCurrencyDollar = (text, index) => /\d/.test(text.charAt(index + 1)) && !LATEX_MARKERS.test(text.slice(index + 1));
+
+/**
+ * Finds math the document generators cannot render faithfully: unsupported
+ * LaTeX (see findLatexProblems) and unmatched dollar signs other than
+ * currency amounts.
+ * @param {string} text - Content or a whole question paper in text form.
+ * @returns {Array<{line: number, latex: string|null, index: number|null, message: string}>}
+ *   index is the offset of the problem within latex
+ */
+export function findMathProblems(text) {
+    const problems = [];
+
+    splitLogicalLines(text).forEach(({ text: line, line: number }) => {
+        const blocks = line.trim().match(FIGURE_PATTERN) ? [] : splitDisplayMath(line);
+        const formulas = blocks.flatMap(block => {
+            if (block.type === 'display') return [block.latex];
+            return block.runs.filter(run => run.type === 'math').map(run => run.latex);
+        });
+        formulas.forEach(latex => findLatexProblems(latex).forEach(({ index, message }) => {
+            problems.push({ line: number, latex, index, message });
+        }));
+
+        const textRuns = blocks.flatMap(block => (block.type === 'paragraph' ? block.runs.filter(run => run.type === 'text') : []));
+        const unmatched = textRuns.some(run => [...run.text.matchAll(/(^|[^\\])\$/g)]
+            .some(match => !isCurrencyDollar(run.text, match.index + match[1].length)));
+        if (unmatched) {
+            problems.push({ line: number, latex: null, index: null, message: "Unmatched $" });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Serializes blocks back to text with $...$ and $$...$$ math.
+ * @param {Block[]} blocks
+ * @returns {string[]} One entry per block.
+ */
+export function serializeContent(blocks) {
+    return blocks.map(block => {
+        if (block.type === 'figure') {
+            const { top, left, bottom, right } = block.box;
+            const caption = block.caption ? ` ${block.caption}` : '';
+            return `[Figure: image ${block.source + 1}, ${top},${left},${bottom},${right}]${caption}`;
+        }
+        if (block.type === 'display') {
+            const tag = block.tag ? ` \\tag{${block.tag}}` : '';
+            const latex = `${block.latex}${tag}`;
+            return block.numbered && !block.tag ? `\\begin{equation} ${latex} \\end{equation}` : `$$ ${latex} $$`;
+        }
+        return block.runs.map(run => (run.type === 'math' ? `$${run.latex}$` : run.text)).join('');
+    });
+}
+
+// --- Plain text form ------------------------------------------------------
+
+const SECTION_PATTERN = /^##\s+(.*)$/;
+const TITLE_PATTERN = /^#\s+(.*)$/;
+const QUESTION_PATTERN = /^(?:Q\.?\s*)?(\d+)[.)](?:\s+(.*))?$/i;
+const PART_PATTERN = /^\(([a-z]|[ivx]+)\)(?:\s+(.*))?$/;
+const OPTION_PATTERN = /^\(([A-E])\)\s*/;
+const INLINE_OPTIONS_PATTERN = /\(A\)\s*\S.*\(B\)/;
+const ANSWER_PATTERN = /^Answer:\s*\(?([A-Za-z0-9]+)\)?\s*$/i;
+const MARKS_PATTERN = /\s*(?:\[(\d+(?:\.\d+)?)\s*(?:marks?)?\]|\((\d+(?:\.\d+)?)\s*marks?\))\s*$/i;
+
+/**
+ * Builds a QuestionPaper from free text: "#" title, "##" section headings,
+ * "1." questions, "(a)"/"(i)" sub-parts, "(A)" options and "[2 marks]" at
+ * the end of a line. This is the inverse of serializeQuestionPaper and also
+ * reads the plain text older extraction prompts produced.
+ * @param {string} text
+ * @returns {QuestionPaper}
+ */
+export function parseQuestionPaperText(text) {
+    const paper = { title: null, sections: [] };
+    let section = null;
+    let question = null;
+    let part = null;
+    let subPart = null;
+
+    const currentSection = () => {
+        if (!section) {
+            section = { heading: null, content: [], questions: [] };
+            paper.sections.push(section);
+        }
+        return section;
+    };
+    const current = () => subPart || part || question;
+
+    for (const { text: rawLine } of splitLogicalLines(text)) {
+        const isIndented = /^\s{2,}/.test(rawLine);
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const title = line.match(TITLE_PATTERN);
+        if (title && !paper.title && paper.sections.length === 0) {
+            paper.title = title[1].trim();
+            continue;
+        }
+
+        const heading = line.match(SECTION_PATTERN);
+        if (heading) {
+            section = { heading: heading[1].trim(), content: [], questions: [] };
+            paper.sections.push(section);
+            question = part = subPart = null;
+            continue;
+        }
+
+        const questionMatch = line.match(QUESTION_PATTERN);
+        if (questionMatch) {
+            question = createQuestion(questionMatch[1], questionMatch[2]);
+            currentSection().questions.push(question);
+            part = subPart = null;
+            continue;
+        }
+
+        const partMatch = question && line.match(PART_PATTERN);
+        if (partMatch) {
+            const label = partMatch[1];
+            if (part && isSubPartLabel(label, part, subPart, isIndented)) {
+                subPart = createQuestion(label, partMatch[2]);
+                part.parts.push(subPart);
+            } else {
+                part = createQuestion(label, partMatch[2]);
+                question.parts.push(part);
+                subPart = null;
+            }
+            continue;
+        }
+
+        const answerMatch = current() && line.match(ANSWER_PATTERN);
+        if (answerMatch) {
+            current().answer = answerMatch[1];
+            continue;
+        }
+
+        if (current() && OPTION_PATTERN.test(line)) {
+            current().options.push(...splitOptions(line));
+            continue;
+        }
+
+        const blocks = parseContent(line);
+        if (current()) current().content.push(...blocks);
+        else currentSection().content.push(...blocks);
+    }
+
+    return paper;
+}
+
+/**
+ * Roman labels are sub-parts once a lettered part is open, except for an
+ * "(i)" that simply follows "(h)".
+ * @param {string} label
+ * @param {Question} part
+ * @param {Question|null} subPart
+ * @param {boolean} isIndented
+ * @returns {boolean}
+ */
+const isSubPartLabel = (label, part, subPart, isIndented) => {
+    if (!/^[ivx]+$/.test(label)) return false;
+    if (subPart || isIndented) return true;
+    return label === 'i' && part.number !== 'h';
+};
+
+/**
+ * @param {string} number
+ * @param {string} text - Rest of the line, possibly ending in a marks annotation.
+ * @returns {Question}
+ */
+const createQuestion = (number, text = '') => {
+    const marksMatch = text.match(MARKS_PATTERN);
+    const body = marksMatch ? text.slice(0, marksMatch.index) : text;
+
+    return {
+        number,
+        marks: marksMatch ? Number(marksMatch[1] ?? marksMatch[2]) : null,
+        // Options written on the question line: "Choose: (A) 1 (B) 2"
+        ...extractOptions(parseContent(body)),
+        answer: null,
+        parts: []
+    };
+};
+
+/**
+ * Detects multiple-choice options written as part of the question text,
+ * either as trailing "(A) ..." paragraphs or inline after the question.
+ * @param {Block[]} blocks
+ * @returns {{content: Block[], options: Option[]}}
+ */
+const extractOptions = (blocks) => {
+    const texts = serializeContent(blocks);
+
+    let start = texts.length;
+    while (start > 0 && blocks[start - 1].type === 'paragraph' && OPTION_PATTERN.test(texts[start - 1].trim())) {
+        start--;
+    }
+    const remaining = texts.slice(0, start);
+    let optionText = texts.slice(start).join(' ');
+
+    if (!optionText && remaining.length) {
+        const last = remaining[remaining.length - 1];
+        const index = last.search(INLINE_OPTIONS_PATTERN);
+        if (index >= 0) {
+            optionText = last.slice(index);
+            remaining[remaining.length - 1] = last.slice(0, index).trim();
+        }
+    }
+
+    const options = optionText ? splitOptions(optionText) : [];
+    if (options.length < 2) return { content: blocks, options: [] };
+    return { content: parseContent(remaining.filter(Boolean).join('\n')), options };
+};
+
+/**
+ * Splits "(A) 1 (B) 2" into separate options.
+ * @param {string} line
+ * @returns {Option[]}
+ */
+const splitOptions = (line) => {
+    const pieces = line.split(/\(([A-E])\)\s*/).slice(1);
+    const options = [];
+    for (let i = 0; i < pieces.length; i += 2) {
+        options.push({ label: pieces[i], content: parseContent(pieces[i + 1].trim()) });
+    }
+    return options;
+};
+
+/**
+ * Serializes a QuestionPaper to the plain text form read by parseQuestionPaperText.
+ * @param {QuestionPaper} paper
+ * @returns {string}
+ */
+export function serializeQuestionPaper(paper) {
+    const lines = [];
+    if (paper.title) lines.push(`# ${paper.title}`, '');
+
+    paper.sections.forEach(section => {
+        if (section.heading) lines.push(`## ${section.heading}`);
+        lines.push(...serializeContent(section.content));
+        section.questions.forEach(question => serializeQuestion(question, 0, lines));
+        lines.push('');
+    });
+
+    return lines.join('\n').trim();
+}
+
+/**
+ * @param {Question} question
+ * @param {number} depth - 0 for questions, 1 for parts, 2 for sub-parts.
+ * @param {string[]} lines - Output lines, appended to.
+ */
+function serializeQuestion(question, depth, lines) {
+    const indent = '    '.repeat(Math.max(0, depth - 1));
+    const label = depth === 0 ? `${question.number}.` : `(${question.number})`;
+    const [first = '', ...rest] = serializeContent(question.content);
+    const marks = question.marks !== null ? ` [${question.marks} ${question.marks === 1 ? 'mark' : 'marks'}]` : '';
+
+    lines.push(`${indent}${label} ${first}${marks}`);
+    rest.forEach(line => lines.push(`${indent}${line}`));
+    if (question.options.length) {
+        lines.push(indent + question.options.map(o => `(${o.label}) ${serializeContent(o.content).join(' ')}`).join(' '));
+    }
+    if (question.answer) lines.push(`${indent}Answer: ${question.answer}`);
+    question.parts.forEach(part => serializeQuestion(part, depth + 1, lines));
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuestionPaper, parseQuestionPaperText, serializeQuestionPaper, parseContent, collectAnswers, collectFigures, findMathProblems } from './QuestionModel';
+
+const SAMPLE = {
+    title: 'Unit Test',
+    sections: [{
+        heading: 'Section A',
+        instructions: 'All questions are compulsory.',
+        questions: [
+            { number: 'Q1.', text: 'Solve $x^2 = 4$.', marks: 2 },
+            {
+                number: '2', text: 'Answer the following:', marks: '5',
+                parts: [
+                    { number: '(a)', text: 'Evaluate $$\\int_0^1 x\\,dx$$' },
+                    { number: 'b', text: 'Prove it.', parts: [{ number: 'i', text: 'Part one' }] }
+                ]
+            },
+            { number: '3', text: 'Pick one', options: [{ label: 'A', text: '$1$' }, { label: '(B)', text: '2' }], answer: 'A' }
+        ]
+    }]
+};
+
+describe('parseQuestionPaper', () => {
+    it('normalizes numbers, marks and labels', () => {
+        const paper = parseQuestionPaper('```json\n' + JSON.stringify(SAMPLE) + '\n```');
+        const [q1, q2, q3] = paper.sections[0].questions;
+        expect(q1).toMatchObject({ number: '1', marks: 2 });
+        expect(q1.content[0].runs).toEqual([
+            { type: 'text', text: 'Solve ' },
+            { type: 'math', latex: 'x^2 = 4' },
+            { type: 'text', text: '.' }
+        ]);
+        expect(q2.marks).toBe(5);
+        expect(q2.parts[0].number).toBe('a');
+        expect(q2.parts[0].content[1]).toMatchObject({ type: 'display', latex: '\\int_0^1 x\\,dx' });
+        expect(q3.options.map(o => o.label)).toEqual(['A', 'B']);
+    });
+
+    it('rejects malformed responses', () => {
+        expect(() => parseQuestionPaper('not json')).toThrow(/Invalid JSON/);
+        expect(() => parseQuestionPaper('{"sections": {}}')).toThrow(/sections/);
+        expect(() => parseQuestionPaper('{"sections": [{"questions": [{"number": "1"}]}]}')).toThrow(/questions\[0\]/);
+    });
+});
+
+describe('question paper text form', () => {
+    it('round-trips through serializeQuestionPaper', () => {
+        const paper = parseQuestionPaper(JSON.stringify(SAMPLE));
+        expect(parseQuestionPaperText(serializeQuestionPaper(paper))).toEqual(paper);
+    });
+
+    it('reads free text with parts, options and marks', () => {
+        const paper = parseQuestionPaperText([
+            '## Section B',
+            'Q4. Find $y$ (3 marks)',
+            '(a) first',
+            '(i) nested',
+            '(ii) nested again',
+            '(b) second',
+            '5. Choose: (A) one (B) two',
+        ].join('\n'));
+        const [q4, q5] = paper.sections[0].questions;
+        expect(q4.marks).toBe(3);
+        expect(q4.parts.map(p => p.number)).toEqual(['a', 'b']);
+        expect(q4.parts[0].parts.map(p => p.number)).toEqual(['i', 'ii']);
+        expect(q5.options).toHaveLength(2);
+    });
+});
+
+describe('parseContent', () => {
+    it('keeps multi-line environments in one math run', () => {
+        const [block] = parseContent('$\\begin{pmatrix} 1 \\\\\n 2 \\end{pmatrix}$');
+        expect(block.runs).toHaveLength(1);
+        expect(block.runs[0].type).toBe('math');
+    });
+});
+
+describe('findMathProblems', () => {
+    it('reports problems with the line they start on', () => {
+        const problems = findMathProblems('1. Fine $x^2$\n$$\\begin{cases} a \\\\\n b \\end{cases}$$\n2. Bad $\\dfrac{1}{2}$ and $y');
+        expect(problems).toEqual([
+            { line: 4, latex: '\\dfrac{1}{2}', index: 0, message: 'Unsupported command \\dfrac' },
+            { line: 4, latex: null, index: null, message: 'Unmatched $' }
+        ]);
+        expect(findMathProblems('1. It costs $5.')).toEqual([]);
+        expect(findMathProblems('1. Then $5^2').map(problem => problem.message)).toEqual(['Unmatched $']);
+    });
+});
+
+describe('multiple choice', () => {
+    it('detects options left in the question text and captures answers', () => {
+        const paper = parseQuestionPaper(JSON.stringify({
+            sections: [{ questions: [{ number: '1', text: 'Pick $x$ (A) $1$ (B) $2$', answer: '(b)' }] }]
+        }));
+        const [question] = paper.sections[0].questions;
+        expect(question.content[0].runs).toEqual([{ type: 'text', text: 'Pick ' }, { type: 'math', latex: 'x' }]);
+        expect(question.options.map(o => o.label)).toEqual(['A', 'B']);
+        expect(collectAnswers(paper)).toEqual([{ number: '1', answer: 'B' }]);
+    });
+});
+
+describe('figures', () => {
+    it('places figures after the question text and keeps them in the text form', () => {
+        const paper = parseQuestionPaper(JSON.stringify({
+            sections: [{
+                questions: [{
+                    number: '1', text: 'Find $\\angle ABC$.', options: [{ label: 'A', text: '30' }, { label: 'B', text: '60' }],
+                    figures: [{ image: 2, box_2d: [400, 1200, 100, 50], caption: 'Fig. 1' }]
+                }]
+            }]
+        }));
+        const [question] = paper.sections[0].questions;
+        expect(question.content[1]).toEqual({
+            type: 'figure', source: 1, box: { top: 100, left: 50, bottom: 400, right: 1000 }, caption: 'Fig. 1'
+        });
+        expect(collectFigures(paper)).toEqual([{ number: '1', figure: question.content[1] }]);
+        expect(parseQuestionPaperText(serializeQuestionPaper(paper))).toEqual(paper);
+    });
+
+    it('rejects figures without a usable box', () => {
+        const json = JSON.stringify({ sections: [{ questions: [{ number: '1', figures: [{ image: 1, box_2d: [1, 2] }] }] }] });
+        expect(() => parseQuestionPaper(json)).toThrow(/figures\[0\]\.box_2d/);
+    });
+});
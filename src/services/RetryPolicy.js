@@ -0,0 +1,115 @@
+/**
+ * Decides what to do when a model request fails. Some failures are the
+ * same for every model (a rejected key, an oversized payload, blocked
+ * content), so trying the next model only wastes time; rate limits and
+ * server hiccups usually pass, so the same model is retried after a
+ * growing, randomised delay before moving on.
+ *
+ * @typedef {'auth'|'too-large'|'safety'|'quota'|'transient'|'unknown'} ErrorKind
+ */
+
+/**
+ * @type {Record<ErrorKind, {retry: boolean, nextModel: boolean, label: string}>}
+ */
+export const ERROR_POLICIES = {
+    auth: { retry: false, nextModel: false, label: 'The API key was rejected' },
+    'too-large': { retry: false, nextModel: false, label: 'The request is too large; send fewer pages per request or lower the image size' },
+    safety: { retry: false, nextModel: false, label: 'The response was blocked by the safety filter' },
+    quota: { retry: true, nextModel: true, label: 'Rate limit or quota exceeded' },
+    transient: { retry: true, nextModel: true, label: 'The service is temporarily unavailable' },
+    unknown: { retry: false, nextModel: true, label: 'Request failed' }
+};
+
+/**
+ * Retries of the same model after the first attempt.
+ */
+export const MAX_RETRIES = 2;
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 16000;
+
+/**
+ * HTTP status of a failed request: the SDK's fetch errors and the
+ * OpenAI-compatible provider set `status`; otherwise it is read from the
+ * message ("[429 Too Many Requests]", "HTTP Error: 503").
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function errorStatus(error) {
+    if (Number.isInteger(error?.status)) return error.status;
+    const match = String(error?.message).match(/\[(\d{3}) [^\]]*\]|HTTP Error: (\d{3})/);
+    return match ? Number(match[1] || match[2]) : null;
+}
+
+/**
+ * @param {Error} error
+ * @returns {ErrorKind}
+ */
+export function classifyError(error) {
+    const status = errorStatus(error);
+    const message = String(error?.message);
+
+    if (status === 401 || status === 403 || /API key not valid|PERMISSION_DENIED|unauthori[sz]ed/i.test(message)) return 'auth';
+    if (status === 413 || /payload size|too large|context.length/i.test(message)) return 'too-large';
+    if (status === 429 || /RESOURCE_EXHAUSTED|quota|rate.limit/i.test(message)) return 'quota';
+    if (/blocked due to|content.filter/i.test(message)) return 'safety';
+    if (status === 408 || (status >= 500 && status < 600) || /failed to fetch|fetch failed|network ?error|timed? ?out|UNAVAILABLE|overloaded/i.test(message)) return 'transient';
+    return 'unknown';
+}
+
+/**
+ * Delay the server asked for, in milliseconds: Gemini's RetryInfo detail
+ * ("27s") or a Retry-After header in seconds.
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function requestedDelay(error) {
+    const retryInfo = (error?.errorDetails || []).find(detail => detail?.retryDelay);
+    const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : error?.retryAfter;
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * How long to wait before retrying the same model, or null to give up on
+ * it. Delays double with each attempt and are randomised so parallel jobs
+ * do not retry in lockstep; a delay requested by the server is honoured
+ * unless it is too long to be worth waiting for.
+ * @param {Error} error
+ * @param {number} attempt - Retries already made, from 0.
+ * @param {function(): number} [random]
+ * @returns {number|null} Milliseconds.
+ */
+export function retryDelay(error, attempt, random = Math.random) {
+    if (attempt >= MAX_RETRIES || !ERROR_POLICIES[classifyError(error)].retry) return null;
+
+    const requested = requestedDelay(error);
+    if (requested !== null) return requested <= MAX_DELAY ? requested : null;
+
+    const ceiling = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * The error with a plain explanation of its kind in front.
+ * @param {Error} error
+ * @returns {Error}
+ */
+export function describeError(error) {
+    const kind = classifyError(error);
+    return kind === 'unknown' ? error : new Error(`${ERROR_POLICIES[kind].label}: ${error.message}`);
+}
+
+/**
+ * Resolves after a delay, or rejects as soon as the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Request aborted"));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error("Request aborted"));
+    }, { once: true });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { classifyError, retryDelay } from './RetryPolicy';
+import { createMockProvider, DEFAULT_FIXTURES } from './MockProvider';
+import { loadUsageLog } from './UsageLog';
+
+const sdkError = (status, text) => Object.assign(
+    new Error(`[GoogleGenerativeAI Error]: Error fetching from https://generativelanguage.googleapis.com: [${status}] ${text}`),
+    { status: Number.parseInt(status, 10) }
+);
+
+describe('retry policy', () => {
+    beforeEach(() => sessionStorage.clear());
+    afterEach(() => vi.useRealTimers());
+
+    it('classifies SDK and HTTP failures', () => {
+        expect([
+            sdkError('400 Bad Request', 'API key not valid. Please pass a valid API key.'),
+            sdkError('400 Bad Request', 'Request payload size exceeds the limit: 20971520 bytes.'),
+            sdkError('429 Too Many Requests', 'Resource has been exhausted'),
+            new Error('[GoogleGenerativeAI Error]: Candidate was blocked due to SAFETY'),
+            new Error('HTTP Error: 503 Service Unavailable'),
+            new TypeError('Failed to fetch'),
+            new Error('Invalid JSON from AI')
+        ].map(classifyError)).toEqual(['auth', 'too-large', 'quota', 'safety', 'transient', 'transient', 'unknown']);
+    });
+
+    it('backs off exponentially with jitter, honouring short server delays', () => {
+        const busy = sdkError('503 Service Unavailable', 'The model is overloaded.');
+        expect([0, 1].map(attempt => [retryDelay(busy, attempt, () => 0), retryDelay(busy, attempt, () => 1)])).toEqual([[500, 1000], [1000, 2000]]);
+        expect(retryDelay(busy, 2)).toBeNull();
+        expect(retryDelay(sdkError('401 Unauthorized', ''), 0)).toBeNull();
+
+        const limited = (delay) => Object.assign(sdkError('429 Too Many Requests', ''), { errorDetails: [{ retryDelay: delay }] });
+        expect(retryDelay(limited('3s'), 0)).toBe(3000);
+        expect(retryDelay(limited('3600s'), 0)).toBeNull();
+    });
+
+    it('retries a busy model, but stops at once on a rejected key', async () => {
+        vi.useFakeTimers();
+        const paper = DEFAULT_FIXTURES.docx[0];
+
+        const busy = createMockProvider({ models: ['first', 'second'], fixtures: { docx: [{ error: 'Service Unavailable', status: 503 }, paper] } });
+        const pending = busy.extract([], 'docx');
+        await vi.advanceTimersByTimeAsync(2000);
+        await pending;
+        expect(loadUsageLog().map(entry => entry.model)).toEqual(['first']);
+        vi.useRealTimers();
+
+        const rejected = createMockProvider({ models: ['first', 'second'], fixtures: { docx: [{ error: 'API key not valid', status: 400 }, paper] } });
+        await expect(rejected.extract([], 'docx')).rejects.toThrow('The API key was rejected: API key not valid');
+        expect(loadUsageLog()).toHaveLength(1);
+    });
+});
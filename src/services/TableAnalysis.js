@@ -0,0 +1,265 @@
+import { columnName } from "./TableModel";
+
+/**
+ * Type inference and total checking for extracted tables.
+ * Cells arrive as text; ExcelGenerator writes them with the types, number
+ * formats and SUM formulas worked out here, and the grid editor shows the
+ * totals that disagree with what was printed.
+ *
+ * @typedef {'empty'|'text'|'number'|'percent'|'currency'|'date'|'boolean'} CellType
+ * @typedef {{type: CellType, value: any, decimals?: number, grouped?: boolean, symbol?: string}} ParsedCell
+ * @typedef {{type: CellType, numFmt: string|null, symbol?: string}} ColumnType
+ * @typedef {{row: number, col: number, formula: string, computed: number, extracted: number, mismatch: boolean}} TotalCell
+ */
+
+const NUMBER = String.raw`[+\-−]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|[+\-−]?\.\d+`;
+const NUMBER_PATTERN = new RegExp(`^(${NUMBER})$`);
+const PERCENT_PATTERN = new RegExp(`^(${NUMBER})\\s*%$`);
+const CURRENCY_PATTERN = new RegExp(`^(?:([$€£¥₹]|Rs\\.?|INR|USD)\\s*(${NUMBER})|(${NUMBER})\\s*([$€£¥₹]|Rs\\.?|INR|USD))$`, 'i');
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const NAMED_DATE_PATTERN = /^(\d{1,2})\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})$|^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/;
+const BOOLEANS = { true: true, yes: true, false: false, no: false };
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Currency markers mapped to the symbol used in the number format.
+ */
+const CURRENCY_SYMBOLS = { '$': '$', 'usd': '$', '€': '€', '£': '£', '¥': '¥', '₹': '₹', 'rs': '₹', 'rs.': '₹', 'inr': '₹' };
+
+/**
+ * Matches the label of a total row: "Total", "Grand Total", "Sub-total", ...
+ */
+const TOTAL_LABEL_PATTERN = /^(grand\s+)?(sub[\s-]?)?totals?\b/i;
+
+/**
+ * @param {string} text
+ * @returns {{value: number, decimals: number, grouped: boolean}}
+ */
+const parseNumber = (text) => ({
+    value: Number(text.replace(/,/g, '').replace('−', '-')),
+    decimals: (text.split('.')[1] || '').length,
+    grouped: text.includes(',')
+});
+
+/**
+ * @param {number} year
+ * @param {number} month - 1-based.
+ * @param {number} day
+ * @returns {Date|null} UTC midnight, or null for an impossible date
+ */
+const createDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * @param {string} text
+ * @returns {Date|null}
+ */
+const parseDate = (text) => {
+    const iso = text.match(ISO_DATE_PATTERN);
+    if (iso) return createDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+    const numeric = text.match(NUMERIC_DATE_PATTERN);
+    if (numeric) {
+        const [first, second, year] = numeric.slice(1).map(Number);
+        // Day first unless that is impossible, as on most printed tables outside the US
+        return second > 12 ? createDate(year, first, second) : createDate(year, second, first);
+    }
+
+    const named = text.match(NAMED_DATE_PATTERN);
+    if (named) {
+        const [day, monthName, year] = named[1] ? [named[1], named[2], named[3]] : [named[5], named[4], named[6]];
+        const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+        return month >= 0 ? createDate(Number(year), month + 1, Number(day)) : null;
+    }
+    return null;
+};
+
+/**
+ * Detects the type of a single cell from its text.
+ * @param {string} text
+ * @returns {ParsedCell}
+ */
+export function parseCellValue(text) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) return { type: 'empty', value: null };
+
+    if (NUMBER_PATTERN.test(trimmed)) return { type: 'number', ...parseNumber(trimmed) };
+
+    const percent = trimmed.match(PERCENT_PATTERN);
+    if (percent) {
+        const { value, decimals } = parseNumber(percent[1]);
+        return { type: 'percent', value: value / 100, decimals };
+    }
+
+    const currency = trimmed.match(CURRENCY_PATTERN);
+    if (currency) {
+        const marker = (currency[1] || currency[4]).toLowerCase();
+        return { type: 'currency', symbol: CURRENCY_SYMBOLS[marker], ...parseNumber(currency[2] || currency[3]) };
+    }
+
+    const date = parseDate(trimmed);
+    if (date) return { type: 'date', value: date };
+
+    const lower = trimmed.toLowerCase();
+    if (lower in BOOLEANS) return { type: 'boolean', value: BOOLEANS[lower] };
+
+    return { type: 'text', value: trimmed };
+}
+
+/**
+ * Whether a row is a total or subtotal row, judged by its first labelled cell.
+ * @param {string[]} cells
+ * @returns {'total'|'subtotal'|null}
+ */
+export function totalRowKind(cells) {
+    const label = cells.find(cell => cell.trim() && parseCellValue(cell).type === 'text');
+    const match = label?.trim().match(TOTAL_LABEL_PATTERN);
+    if (!match) return null;
+    return match[2] ? 'subtotal' : 'total';
+}
+
+/**
+ * Builds the Excel number format for a column.
+ * @param {CellType} type
+ * @param {ParsedCell[]} cells - Parsed body cells of the column.
+ * @param {string} [symbol]
+ * @returns {string|null}
+ */
+const numberFormat = (type, cells, symbol) => {
+    const decimals = Math.max(0, ...cells.map(cell => cell.decimals || 0));
+    const fraction = decimals ? `.${'0'.repeat(decimals)}` : '';
+    // Thousands separators only when the source used them, so years stay "2024"
+    const integer = cells.some(cell => cell.grouped) || type === 'currency' ? '#,##0' : '0';
+
+    switch (type) {
+        case 'number': return `${integer}${fraction}`;
+        case 'percent': return `0${fraction}%`;
+        case 'currency': return `"${symbol}"${integer}${fraction}`;
+        case 'date': return 'dd-mmm-yyyy';
+        default: return null;
+    }
+};
+
+/**
+ * Infers the type of each column from its body cells (rows below the header,
+ * excluding total rows). A column takes a type only if every non-empty cell
+ * agrees; plain numbers are accepted in a currency column.
+ * @param {import('./TableModel').Table} table
+ * @param {number} [headerRows] - Rows at the top that hold headings; defaults to the table's own.
+ * @returns {ColumnType[]}
+ */
+export function inferColumnTypes(table, headerRows = table.headerRows ?? 1) {
+    const body = table.rows.slice(headerRows).filter(cells => !totalRowKind(cells));
+
+    return (table.rows[0] || []).map((_, col) => {
+        const cells = body.map(cells => parseCellValue(cells[col])).filter(cell => cell.type !== 'empty');
+        const types = new Set(cells.map(cell => cell.type));
+
+        let type = 'text';
+        if (types.size === 1) type = [...types][0];
+        else if (types.size === 2 && types.has('currency') && types.has('number')) type = 'currency';
+        if (!cells.length) type = 'empty';
+
+        const symbol = cells.find(cell => cell.symbol)?.symbol;
+        return { type, numFmt: numberFormat(type, cells, symbol), ...(symbol ? { symbol } : {}) };
+    });
+}
+
+/**
+ * Converts a cell to the value written to Excel under its column's type.
+ * Cells that do not fit the column type stay text.
+ * @param {string} text
+ * @param {ColumnType} columnType
+ * @returns {string|number|boolean|Date|null}
+ */
+export function typedCellValue(text, columnType) {
+    const parsed = parseCellValue(text);
+    if (parsed.type === 'empty') return null;
+    const fits = parsed.type === columnType.type || (columnType.type === 'currency' && parsed.type === 'number');
+    return fits ? parsed.value : String(text).trim();
+}
+
+/**
+ * Works out a SUM formula for every printed value in a numeric column of
+ * each total row and compares the two. A subtotal adds the body rows since
+ * the previous total; a total adds the subtotals above it, or the body rows
+ * when there are none.
+ * @param {import('./TableModel').Table} table
+ * @param {number} [headerRows]
+ * @returns {TotalCell[]}
+ */
+export function findTotals(table, headerRows = table.headerRows ?? 1) {
+    const columnTypes = inferColumnTypes(table, headerRows);
+    const numericColumns = columnTypes
+        .map((columnType, col) => (['number', 'currency', 'percent'].includes(columnType.type) ? col : -1))
+        .filter(col => col >= 0);
+    const totals = [];
+
+    let bodyRows = [];
+    let subtotalRows = [];
+    table.rows.forEach((cells, row) => {
+        if (row < headerRows) return;
+        const kind = totalRowKind(cells);
+        if (!kind) {
+            bodyRows.push(row);
+            return;
+        }
+
+        const summed = kind === 'total' && subtotalRows.length ? subtotalRows : bodyRows;
+        if (summed.length) {
+            numericColumns.forEach(col => {
+                // Only printed totals become formulas; a blank cell stays blank
+                const extracted = typedCellValue(cells[col], columnTypes[col]);
+                if (typeof extracted !== 'number') return;
+
+                const values = summed.map(r => typedCellValue(table.rows[r][col], columnTypes[col]));
+                const computed = roundSum(values.filter(value => typeof value === 'number'));
+                totals.push({
+                    row, col,
+                    formula: `SUM(${rangeList(summed, col)})`,
+                    computed,
+                    extracted,
+                    mismatch: Math.abs(extracted - computed) > 0.005
+                });
+            });
+        }
+
+        if (kind === 'subtotal') {
+            subtotalRows.push(row);
+        } else {
+            subtotalRows = [];
+        }
+        bodyRows = [];
+    });
+
+    return totals;
+}
+
+/**
+ * Adds numbers without binary floating point noise (0.1 + 0.2).
+ * @param {number[]} values
+ * @returns {number}
+ */
+const roundSum = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) * 1e6) / 1e6;
+
+/**
+ * Cell references for rows of one column, collapsing consecutive rows into
+ * ranges: rows 1-4 and 7 of column B give "B2:B5,B8".
+ * @param {number[]} rows - Zero-based, ascending.
+ * @param {number} col
+ * @returns {string}
+ */
+const rangeList = (rows, col) => {
+    const name = columnName(col);
+    const parts = [];
+    for (let i = 0; i < rows.length; i++) {
+        let end = i;
+        while (end + 1 < rows.length && rows[end + 1] === rows[end] + 1) end++;
+        parts.push(end > i ? `${name}${rows[i] + 1}:${name}${rows[end] + 1}` : `${name}${rows[i] + 1}`);
+        i = end;
+    }
+    return parts.join(',');
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { findTotals, inferColumnTypes, parseCellValue } from './TableAnalysis';
+import { createTable } from './TableModel';
+
+describe('parseCellValue', () => {
+    it('detects numbers, percentages, currency, dates and booleans', () => {
+        expect(parseCellValue('1,234.50')).toEqual({ type: 'number', value: 1234.5, decimals: 2, grouped: true });
+        expect(parseCellValue('12.5 %')).toMatchObject({ type: 'percent', value: 0.125 });
+        expect(parseCellValue('Rs. 1,200')).toMatchObject({ type: 'currency', value: 1200, symbol: '₹' });
+        expect(parseCellValue('5.99$')).toMatchObject({ type: 'currency', value: 5.99, symbol: '$' });
+        expect(parseCellValue('25/12/2024').value).toEqual(new Date(Date.UTC(2024, 11, 25)));
+        expect(parseCellValue('Mar 3, 2024').value).toEqual(new Date(Date.UTC(2024, 2, 3)));
+        expect(parseCellValue('31/02/2024').type).toBe('text');
+        expect(parseCellValue('Yes')).toEqual({ type: 'boolean', value: true });
+    });
+});
+
+describe('inferColumnTypes', () => {
+    it('types a column only when its body cells agree', () => {
+        const table = createTable([['Item', 'Year', 'Price', 'Paid'], ['Pens', '2023', '₹10', 'yes'], ['Ink', '2024', '5.50', 'N/A']]);
+        expect(inferColumnTypes(table)).toEqual([
+            { type: 'text', numFmt: null },
+            { type: 'number', numFmt: '0' },
+            { type: 'currency', numFmt: '"₹"#,##0.00', symbol: '₹' },
+            { type: 'text', numFmt: null }
+        ]);
+    });
+});
+
+describe('findTotals', () => {
+    it('sums body rows into subtotals and subtotals into the total', () => {
+        const table = createTable([
+            ['Item', 'Qty'], ['a', '1'], ['b', '2'], ['Subtotal', '3'],
+            ['c', '4'], ['Sub-total', '4'], ['Grand Total', '8']
+        ]);
+        expect(findTotals(table)).toEqual([
+            { row: 3, col: 1, formula: 'SUM(B2:B3)', computed: 3, extracted: 3, mismatch: false },
+            { row: 5, col: 1, formula: 'SUM(B5)', computed: 4, extracted: 4, mismatch: false },
+            { row: 6, col: 1, formula: 'SUM(B4,B6)', computed: 7, extracted: 8, mismatch: true }
+        ]);
+    });
+});
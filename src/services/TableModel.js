@@ -0,0 +1,329 @@
+/**
+ * Editable tables extracted for Excel export.
+ * The model returns named tables of rows; each is normalized into a
+ * rectangular grid of strings that the grid editor changes through the
+ * pure functions below and ExcelGenerator writes out, one worksheet each.
+ *
+ * @typedef {{row: number, col: number, rowSpan: number, colSpan: number}} Merge - Zero-based top-left cell and size.
+ * @typedef {{name: string, source: string|null, rows: string[][], merges: Merge[], headerRows: number}} Table
+ *   source is the uploaded file name; headerRows is how many rows at the top hold headings (at least 1).
+ */
+
+/**
+ * Parses and validates the JSON returned by the model into tables.
+ * @param {string} jsonString
+ * @param {string[]} [fileNames] - Names of the uploaded files, to record each table's source.
+ * @returns {Table[]}
+ * @throws {Error} If the JSON is malformed or does not contain tables of rows.
+ */
+export function parseTablesJson(jsonString, fileNames = []) {
+    let data;
+    try {
+        // Remove potential markdown fences from AI response
+        data = JSON.parse(jsonString.replace(/```json/g, '').replace(/```/g, '').trim());
+    } catch (e) {
+        throw new Error(`Invalid JSON from AI: ${e.message}`);
+    }
+
+    // Tolerate a bare array of rows, as older prompts produced
+    if (Array.isArray(data)) data = { tables: [{ rows: data }] };
+    if (!data || !Array.isArray(data.tables)) throw new Error("Invalid tables: 'tables' must be an array");
+    if (data.tables.length === 0) throw new Error("Invalid tables: no tables found");
+
+    return data.tables.map((table, i) => {
+        const path = `tables[${i}]`;
+        if (!table || !Array.isArray(table.rows)) throw new Error(`Invalid tables: ${path}.rows must be an array of rows`);
+        const index = table.rows.findIndex(row => !Array.isArray(row));
+        if (index >= 0) throw new Error(`Invalid tables: ${path} row ${index + 1} is not an array`);
+        if (table.merges != null && !Array.isArray(table.merges)) throw new Error(`Invalid tables: ${path}.merges must be an array`);
+
+        const image = Number(table.image);
+        const created = createTable(table.rows, {
+            name: table.name ? String(table.name).trim() : `Table ${i + 1}`,
+            source: Number.isInteger(image) ? fileNames[image - 1] ?? null : null,
+            headerRows: Number(table.headerRows) || 1
+        });
+        return applyMerges(created, (table.merges || []).map(merge => ({
+            // The model counts rows and columns from 1
+            row: Number(merge?.row) - 1,
+            col: Number(merge?.col) - 1,
+            rowSpan: Number(merge?.rowSpan) || 1,
+            colSpan: Number(merge?.colSpan) || 1
+        })));
+    });
+}
+
+/**
+ * Applies merges reported by the model. Merges that fall outside the grid
+ * are clipped, those overlapping an earlier merge are dropped, and the cells
+ * a merge covers are cleared, keeping the first non-empty value of the
+ * block in its top-left cell (the model often repeats it across the span).
+ * @param {Table} table
+ * @param {Merge[]} merges
+ * @returns {Table}
+ */
+function applyMerges(table, merges) {
+    const width = columnCount(table);
+    const height = table.rows.length;
+    const accepted = [];
+
+    merges.forEach(({ row, col, rowSpan, colSpan }) => {
+        if (![row, col, rowSpan, colSpan].every(Number.isInteger) || row < 0 || col < 0 || row >= height || col >= width) return;
+        const merge = { row, col, rowSpan: Math.min(rowSpan, height - row), colSpan: Math.min(colSpan, width - col) };
+        if (merge.rowSpan * merge.colSpan < 2 || accepted.some(other => overlaps(other, merge))) return;
+        accepted.push(merge);
+    });
+
+    const rows = table.rows.map(cells => [...cells]);
+    accepted.forEach(merge => {
+        const values = rows.slice(merge.row, merge.row + merge.rowSpan)
+            .flatMap(cells => cells.slice(merge.col, merge.col + merge.colSpan));
+        for (let r = merge.row; r < merge.row + merge.rowSpan; r++) {
+            for (let c = merge.col; c < merge.col + merge.colSpan; c++) rows[r][c] = '';
+        }
+        rows[merge.row][merge.col] = values.find(value => value.trim()) || '';
+    });
+
+    return { ...table, rows, merges: accepted };
+}
+
+/**
+ * @param {Merge} a
+ * @param {Merge} b
+ * @returns {boolean}
+ */
+const overlaps = (a, b) => a.row < b.row + b.rowSpan && b.row < a.row + a.rowSpan
+    && a.col < b.col + b.colSpan && b.col < a.col + a.colSpan;
+
+/**
+ * Builds a rectangular table, padding short rows and converting cells to text.
+ * @param {Array<Array<any>>} rows
+ * @param {{name?: string, source?: string|null, merges?: Merge[], headerRows?: number}} [details]
+ * @returns {Table}
+ */
+export function createTable(rows, { name = 'Table 1', source = null, merges = [], headerRows = 1 } = {}) {
+    const width = Math.max(1, ...rows.map(row => row.length));
+    const cells = rows.length ? rows : [[]];
+    return {
+        name,
+        source,
+        rows: cells.map(row => Array.from({ length: width }, (_, i) => cellText(row[i]))),
+        merges,
+        headerRows: clampHeaderRows(headerRows, cells.length)
+    };
+}
+
+/**
+ * @param {number} headerRows
+ * @param {number} rowCount
+ * @returns {number}
+ */
+const clampHeaderRows = (headerRows, rowCount) => Math.min(Math.max(1, Math.floor(headerRows) || 1), rowCount);
+
+/**
+ * Sets how many rows at the top are headings.
+ * @param {Table} table
+ * @param {number} headerRows
+ * @returns {Table}
+ */
+export function setHeaderRows(table, headerRows) {
+    return { ...table, headerRows: clampHeaderRows(headerRows, table.rows.length) };
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const cellText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * @param {Table} table
+ * @returns {number}
+ */
+export const columnCount = (table) => table.rows[0]?.length || 0;
+
+/**
+ * Turns table names into valid, unique worksheet names: at most 31
+ * characters, none of : \ / ? * [ ], and unique ignoring case.
+ * @param {string[]} names
+ * @param {string[]} reserved - Names already taken by other sheets.
+ * @returns {string[]}
+ */
+export function createSheetNames(names, reserved = []) {
+    const used = new Set(reserved.map(name => name.toLowerCase()));
+
+    return names.map((name, i) => {
+        const base = name.replace(/[:\\/?*[\]]/g, ' ').replace(/^'+|'+$/g, '').replace(/\s+/g, ' ').trim().slice(0, 31) || `Table ${i + 1}`;
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, 31 - suffix.length).trim() + suffix;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+/**
+ * Spreadsheet-style column name: 0 -> "A", 26 -> "AA".
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * @param {Table} table
+ * @param {number} row
+ * @param {number} col
+ * @param {string} value
+ * @returns {Table}
+ */
+export function updateCell(table, row, col, value) {
+    return {
+        ...table,
+        rows: table.rows.map((cells, r) => (r === row ? cells.map((cell, c) => (c === col ? value : cell)) : cells))
+    };
+}
+
+/**
+ * Inserts an empty row before the given index.
+ * @param {Table} table
+ * @param {number} index - Use rows.length to append.
+ * @returns {Table}
+ */
+export function insertRow(table, index) {
+    const rows = [...table.rows];
+    rows.splice(index, 0, Array(columnCount(table)).fill(''));
+    return {
+        ...table,
+        rows,
+        merges: shiftMerges(table.merges, 'row', index, 1),
+        // A row inserted between heading rows is a heading too
+        headerRows: index < table.headerRows ? table.headerRows + 1 : table.headerRows
+    };
+}
+
+/**
+ * @param {Table} table
+ * @param {number} index
+ * @returns {Table}
+ */
+export function deleteRow(table, index) {
+    if (table.rows.length <= 1) return table;
+    return {
+        ...table,
+        rows: table.rows.filter((_, r) => r !== index),
+        merges: shiftMerges(table.merges, 'row', index, -1),
+        headerRows: index < table.headerRows ? Math.max(1, table.headerRows - 1) : table.headerRows
+    };
+}
+
+/**
+ * Inserts an empty column before the given index.
+ * @param {Table} table
+ * @param {number} index - Use the column count to append.
+ * @returns {Table}
+ */
+export function insertColumn(table, index) {
+    return {
+        ...table,
+        rows: table.rows.map(cells => [...cells.slice(0, index), '', ...cells.slice(index)]),
+        merges: shiftMerges(table.merges, 'col', index, 1)
+    };
+}
+
+/**
+ * @param {Table} table
+ * @param {number} index
+ * @returns {Table}
+ */
+export function deleteColumn(table, index) {
+    if (columnCount(table) <= 1) return table;
+    return {
+        ...table,
+        rows: table.rows.map(cells => cells.filter((_, c) => c !== index)),
+        merges: shiftMerges(table.merges, 'col', index, -1)
+    };
+}
+
+/**
+ * Moves, grows or shrinks merges after a row or column is inserted (delta 1)
+ * or deleted (delta -1). Merges reduced to a single cell are dropped.
+ * @param {Merge[]} merges
+ * @param {'row'|'col'} axis
+ * @param {number} index
+ * @param {1|-1} delta
+ * @returns {Merge[]}
+ */
+function shiftMerges(merges, axis, index, delta) {
+    const span = axis === 'row' ? 'rowSpan' : 'colSpan';
+    return merges
+        .map(merge => {
+            const start = merge[axis];
+            const end = start + merge[span];
+            if (delta > 0) {
+                if (index <= start) return { ...merge, [axis]: start + 1 };
+                if (index < end) return { ...merge, [span]: merge[span] + 1 };
+                return merge;
+            }
+            if (index < start) return { ...merge, [axis]: start - 1 };
+            if (index < end) return { ...merge, [span]: merge[span] - 1 };
+            return merge;
+        })
+        .filter(merge => merge.rowSpan > 0 && merge.colSpan > 0 && merge.rowSpan * merge.colSpan > 1);
+}
+
+/**
+ * Finds the merge covering a cell.
+ * @param {Table} table
+ * @param {number} row
+ * @param {number} col
+ * @returns {Merge|undefined}
+ */
+export function findMerge(table, row, col) {
+    return table.merges.find(merge => row >= merge.row && row < merge.row + merge.rowSpan
+        && col >= merge.col && col < merge.col + merge.colSpan);
+}
+
+/**
+ * Merges a block of cells, replacing any merges it overlaps. The merged
+ * cell keeps the non-empty values of the block joined by spaces, like a
+ * spreadsheet keeps the top-left value.
+ * @param {Table} table
+ * @param {Merge} merge
+ * @returns {Table}
+ */
+export function mergeCells(table, merge) {
+    const inBlock = (r, c) => r >= merge.row && r < merge.row + merge.rowSpan && c >= merge.col && c < merge.col + merge.colSpan;
+
+    const values = table.rows
+        .flatMap((cells, r) => cells.filter((_, c) => inBlock(r, c)))
+        .filter(value => value.trim());
+
+    return {
+        ...table,
+        rows: table.rows.map((cells, r) => cells.map((cell, c) => {
+            if (!inBlock(r, c)) return cell;
+            return r === merge.row && c === merge.col ? values.join(' ') : '';
+        })),
+        merges: [...table.merges.filter(other => !overlaps(other, merge)), merge]
+    };
+}
+
+/**
+ * Removes the merge covering a cell.
+ * @param {Table} table
+ * @param {number} row
+ * @param {number} col
+ * @returns {Table}
+ */
+export function unmergeCells(table, row, col) {
+    const merge = findMerge(table, row, col);
+    return merge ? { ...table, merges: table.merges.filter(other => other !== merge) } : table;
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { columnName, createSheetNames, deleteColumn, deleteRow, insertRow, mergeCells, parseTablesJson, setHeaderRows, unmergeCells } from './TableModel';
+
+describe('parseTablesJson', () => {
+    it('reads named tables and records their source file', () => {
+        const tables = parseTablesJson(JSON.stringify({
+            tables: [
+                { name: ' Results ', image: 2, rows: [['Name', 'Score'], ['Asha', 42, null], []] },
+                { name: '', rows: [['x']] }
+            ]
+        }), ['a.png', 'b.png']);
+        expect(tables[0]).toEqual({
+            name: 'Results', source: 'b.png', merges: [], headerRows: 1,
+            rows: [['Name', 'Score', ''], ['Asha', '42', ''], ['', '', '']]
+        });
+        expect(tables[1]).toMatchObject({ name: 'Table 2', source: null });
+    });
+
+    it('reads multi-level headers and merges counted from 1', () => {
+        const [table] = parseTablesJson(JSON.stringify({
+            tables: [{
+                name: 'Marks', headerRows: 2,
+                rows: [['Name', 'Marks', 'Marks'], ['', 'Theory', 'Practical'], ['Asha', '40', '18']],
+                merges: [
+                    { row: 1, col: 1, rowSpan: 2, colSpan: 1 },
+                    { row: 1, col: 2, rowSpan: 1, colSpan: 5 },
+                    { row: 1, col: 3, rowSpan: 1, colSpan: 1 },
+                    { row: 9, col: 1, rowSpan: 2, colSpan: 2 }
+                ]
+            }]
+        }));
+        expect(table.headerRows).toBe(2);
+        expect(table.merges).toEqual([{ row: 0, col: 0, rowSpan: 2, colSpan: 1 }, { row: 0, col: 1, rowSpan: 1, colSpan: 2 }]);
+        expect(table.rows[0]).toEqual(['Name', 'Marks', '']);
+    });
+
+    it('accepts a bare array of rows', () => {
+        const [table] = parseTablesJson('```json\n[["a", "b"]]\n```');
+        expect(table).toMatchObject({ name: 'Table 1', rows: [['a', 'b']] });
+    });
+
+    it('rejects malformed responses', () => {
+        expect(() => parseTablesJson('[["a"')).toThrow(/Invalid JSON/);
+        expect(() => parseTablesJson('{"tables": []}')).toThrow(/no tables/);
+        expect(() => parseTablesJson('{"tables": [{"rows": {}}]}')).toThrow(/tables\[0\]\.rows/);
+        expect(() => parseTablesJson('[["a"], "b"]')).toThrow(/row 2/);
+    });
+});
+
+describe('table editing', () => {
+    const [table] = parseTablesJson('[["Marks", "", ""], ["a", "b", "c"]]');
+
+    it('merges a block and keeps its values in the first cell', () => {
+        const merged = mergeCells(table, { row: 1, col: 0, rowSpan: 1, colSpan: 2 });
+        expect(merged.rows[1]).toEqual(['a b', '', 'c']);
+        expect(unmergeCells(merged, 1, 1).merges).toEqual([]);
+    });
+
+    it('keeps merges aligned when rows and columns change', () => {
+        const merged = mergeCells(table, { row: 0, col: 0, rowSpan: 1, colSpan: 3 });
+        expect(insertRow(merged, 0).merges).toEqual([{ row: 1, col: 0, rowSpan: 1, colSpan: 3 }]);
+        expect(deleteColumn(merged, 1).merges).toEqual([{ row: 0, col: 0, rowSpan: 1, colSpan: 2 }]);
+        expect(deleteColumn(deleteColumn(merged, 1), 1).merges).toEqual([]);
+    });
+
+    it('keeps the header row count in step with inserted and deleted rows', () => {
+        const headed = setHeaderRows(table, 2);
+        expect(insertRow(headed, 1).headerRows).toBe(3);
+        expect(insertRow(headed, 2).headerRows).toBe(2);
+        expect(deleteRow(deleteRow(headed, 0), 0)).toMatchObject({ headerRows: 1 });
+        expect(setHeaderRows(table, 5).headerRows).toBe(2);
+    });
+
+    it('names columns like a spreadsheet', () => {
+        expect([0, 25, 26, 701].map(columnName)).toEqual(['A', 'Z', 'AA', 'ZZ']);
+    });
+});
+
+describe('createSheetNames', () => {
+    it('makes names valid and unique', () => {
+        expect(createSheetNames(['Marks [2024]: Q1/Q2', 'summary', 'Summary', '', 'A'.repeat(40), 'A'.repeat(40)], ['Summary']))
+            .toEqual(['Marks 2024 Q1 Q2', 'summary (2)', 'Summary (3)', 'Table 4', 'A'.repeat(31), `${'A'.repeat(27)} (2)`]);
+    });
+});
@@ -0,0 +1,160 @@
+import { VERIFICATION_SCHEMA, getPrompt, getResponseSchema, getVerificationPrompt } from './Prompts';
+import { MAX_DIMENSION, NO_EDIT } from './ImagePreprocessor';
+import { allPages, getPageCount, getRenderedPageSize, isPdf } from './PdfPages';
+import { estimateCost } from './UsageLog';
+
+/**
+ * Estimates what an extraction will send before any request is made: the
+ * number of requests, the payload size and the input tokens, following
+ * Gemini's published image tokenization. The API reports the real counts
+ * afterwards (see UsageLog).
+ *
+ * @typedef {Object} Estimate
+ * @property {string} model - Model the estimate is priced for.
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} bytes - Total request payload, with images base64-encoded.
+ * @property {number} largestRequest - Payload of the largest single request, in bytes.
+ * @property {number|null} cost - Input cost in US dollars.
+ * @property {VerificationEstimate|null} verification - The second pass over a paper, when it is switched on.
+ *
+ * @typedef {Object} VerificationEstimate - One request with every page and the extracted text, which is not
+ *   known yet and so not counted.
+ * @property {number} inputTokens
+ * @property {number} bytes
+ * @property {number|null} cost
+ */
+
+/**
+ * Largest request the API accepts with the files inlined.
+ */
+export const INLINE_LIMIT = 20 * 1024 * 1024;
+
+/**
+ * Images up to this size in both dimensions count as one tile.
+ */
+const SMALL_IMAGE = 384;
+const TILE_SIZE = 768;
+const TOKENS_PER_TILE = 258;
+
+/**
+ * Rough characters per token of English prompt text.
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * A rendered PDF page is a PNG whose size depends on its content; this is
+ * typical for a printed A4 page at the extraction scale.
+ */
+const PDF_PAGE_BYTES = 400 * 1024;
+
+/** @type {WeakMap<File, Promise<{width: number, height: number}>>} */
+const imageSizes = new WeakMap();
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} Input tokens of one image.
+ */
+export function imageTokens(width, height) {
+    if (width <= SMALL_IMAGE && height <= SMALL_IMAGE) return TOKENS_PER_TILE;
+    return Math.ceil(width / TILE_SIZE) * Math.ceil(height / TILE_SIZE) * TOKENS_PER_TILE;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {number} Length of the bytes once base64-encoded.
+ */
+export const base64Size = (bytes) => Math.ceil(bytes / 3) * 4;
+
+/**
+ * Decodes an image once to read its upright size.
+ * @param {File} file
+ * @returns {Promise<{width: number, height: number}>}
+ */
+function imageSize(file) {
+    if (!imageSizes.has(file)) {
+        imageSizes.set(file, createImageBitmap(file, { imageOrientation: 'from-image' }).then(bitmap => {
+            const size = { width: bitmap.width, height: bitmap.height };
+            bitmap.close();
+            return size;
+        }));
+    }
+    return imageSizes.get(file);
+}
+
+/**
+ * The images a file becomes once prepared for upload.
+ * @param {File} file
+ * @param {import('./ImagePreprocessor').ImageEdit} edit - Rotation and crop set in the image adjuster.
+ * @param {import('./ImagePreprocessor').PreprocessOptions} preprocess
+ * @param {Map<File, number[]>} pageSelections
+ * @returns {Promise<Array<{tokens: number, bytes: number}>>}
+ */
+async function estimateImages(file, edit, preprocess, pageSelections) {
+    if (isPdf(file)) {
+        const pages = pageSelections.get(file) ?? allPages(await getPageCount(file));
+        return Promise.all(pages.map(async (pageNumber) => {
+            const { width, height } = await getRenderedPageSize(file, pageNumber);
+            return { tokens: imageTokens(width, height), bytes: PDF_PAGE_BYTES };
+        }));
+    }
+
+    const { width, height } = await imageSize(file);
+    const scale = preprocess.targetSize ? Math.min(1, MAX_DIMENSION / Math.max(width, height)) : 1;
+    const sideways = edit.rotation === 90 || edit.rotation === 270;
+    // The crop is taken from the rotated image, and the file shrinks about as much as its area
+    const keptWidth = edit.crop ? (edit.crop.right - edit.crop.left) / 1000 : 1;
+    const keptHeight = edit.crop ? (edit.crop.bottom - edit.crop.top) / 1000 : 1;
+    const bytes = Math.round(file.size * keptWidth * keptHeight);
+    return [{
+        tokens: imageTokens((sideways ? height : width) * scale * keptWidth, (sideways ? width : height) * scale * keptHeight),
+        bytes: preprocess.targetSize ? Math.min(bytes, preprocess.targetSize) : bytes
+    }];
+}
+
+/**
+ * @param {File[][]} groups - Files of each job.
+ * @param {Object} options
+ * @param {'docx'|'excel'} options.format
+ * @param {string} options.model - First model the provider tries, to price the estimate.
+ * @param {import('./ImagePreprocessor').PreprocessOptions} options.preprocess
+ * @param {Map<File, import('./ImagePreprocessor').ImageEdit>} [options.imageEdits]
+ * @param {Map<File, number[]>} options.pageSelections
+ * @param {number} options.pagesPerRequest
+ * @param {boolean} [options.verify] - The paper is checked against its pages afterwards.
+ * @returns {Promise<Estimate>}
+ */
+export async function estimateExtraction(groups, { format, model, preprocess, imageEdits = new Map(), pageSelections, pagesPerRequest, verify = false }) {
+    const prompt = getPrompt(format) + JSON.stringify(getResponseSchema(format));
+    const promptTokens = Math.ceil(prompt.length / CHARS_PER_TOKEN);
+    const estimate = { model, requests: 0, inputTokens: 0, bytes: 0, largestRequest: 0, cost: null, verification: null };
+    const allImages = [];
+
+    for (const files of groups) {
+        const images = (await Promise.all(files.map(file => estimateImages(file, imageEdits.get(file) ?? NO_EDIT, preprocess, pageSelections)))).flat();
+        allImages.push(...images);
+        const size = Math.min(pagesPerRequest, images.length) || 1;
+        for (let start = 0; start < images.length; start += size) {
+            const chunk = images.slice(start, start + size);
+            const bytes = prompt.length + chunk.reduce((sum, image) => sum + base64Size(image.bytes), 0);
+            estimate.requests++;
+            estimate.inputTokens += promptTokens + chunk.reduce((sum, image) => sum + image.tokens, 0);
+            estimate.bytes += bytes;
+            estimate.largestRequest = Math.max(estimate.largestRequest, bytes);
+        }
+    }
+
+    estimate.cost = estimateCost(model, estimate.inputTokens);
+
+    if (verify) {
+        const verifyPrompt = getVerificationPrompt('') + JSON.stringify(VERIFICATION_SCHEMA);
+        const inputTokens = Math.ceil(verifyPrompt.length / CHARS_PER_TOKEN) + allImages.reduce((sum, image) => sum + image.tokens, 0);
+        estimate.verification = {
+            inputTokens,
+            bytes: verifyPrompt.length + allImages.reduce((sum, image) => sum + base64Size(image.bytes), 0),
+            cost: estimateCost(model, inputTokens)
+        };
+    }
+    return estimate;
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { estimateExtraction, imageTokens } from './UsageEstimator';
+import { VERIFICATION_SCHEMA, getPrompt, getResponseSchema, getVerificationPrompt } from './Prompts';
+
+const photo = (name, size) => ({ name, size, type: 'image/jpeg' });
+
+describe('imageTokens', () => {
+    it('counts small images as one tile and larger ones per 768px tile', () => {
+        expect(imageTokens(300, 384)).toBe(258);
+        expect(imageTokens(1000, 1600)).toBe(2 * 3 * 258);
+    });
+});
+
+describe('estimateExtraction', () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('sizes each request after downscaling to the upload limit', async () => {
+        // 12 MP phone photos: 4000 x 3000, scaled to 2000 x 1500
+        vi.stubGlobal('createImageBitmap', async () => ({ width: 4000, height: 3000, close: () => {} }));
+        const files = [photo('a.jpg', 9e6), photo('b.jpg', 9e6), photo('c.jpg', 9e6)];
+        const estimate = await estimateExtraction([files], {
+            format: 'docx',
+            model: 'gemini-2.5-flash',
+            preprocess: { targetSize: 1e6 },
+            pageSelections: new Map(),
+            pagesPerRequest: 2
+        });
+
+        const promptLength = (getPrompt('docx') + JSON.stringify(getResponseSchema('docx'))).length;
+        expect(estimate.requests).toBe(2);
+        expect(estimate.inputTokens).toBe(2 * Math.ceil(promptLength / 4) + 3 * imageTokens(2000, 1500));
+        expect(estimate.largestRequest).toBe(promptLength + 2 * Math.ceil(1e6 / 3) * 4);
+        expect(estimate.cost).toBeGreaterThan(0);
+    });
+
+    it('follows rotation and crop and prices the verification pass separately', async () => {
+        vi.stubGlobal('createImageBitmap', async () => ({ width: 4000, height: 3000, close: () => {} }));
+        const file = photo('a.jpg', 8e6);
+        const options = { format: 'docx', model: 'gemini-2.5-flash', preprocess: { targetSize: null }, pageSelections: new Map(), pagesPerRequest: Infinity };
+        const plain = await estimateExtraction([[file]], options);
+        // Turned upright and cropped to the left half: 1500 x 4000
+        const edited = await estimateExtraction([[file]], {
+            ...options,
+            imageEdits: new Map([[file, { rotation: 90, crop: { top: 0, left: 0, bottom: 1000, right: 500 } }]]),
+            verify: true
+        });
+
+        const promptTokens = Math.ceil((getPrompt('docx') + JSON.stringify(getResponseSchema('docx'))).length / 4);
+        expect(plain.inputTokens - promptTokens).toBe(imageTokens(4000, 3000));
+        expect(edited.inputTokens - promptTokens).toBe(imageTokens(1500, 4000));
+        expect(edited.bytes - plain.bytes).toBe(Math.ceil(4e6 / 3) * 4 - Math.ceil(8e6 / 3) * 4);
+        expect(plain.verification).toBeNull();
+
+        const verifyPrompt = getVerificationPrompt('') + JSON.stringify(VERIFICATION_SCHEMA);
+        expect(edited.requests).toBe(1);
+        expect(edited.verification).toEqual({
+            inputTokens: Math.ceil(verifyPrompt.length / 4) + imageTokens(1500, 4000),
+            bytes: verifyPrompt.length + Math.ceil(4e6 / 3) * 4,
+            cost: expect.any(Number)
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { createTable } from './TableModel';
+import { toDelimitedText } from './DataExporter';
+
+/**
+ * Token usage the API reports for every extraction request of the browser
+ * session. Kept in sessionStorage, like the login, so it is cleared when
+ * the tab closes.
+ */
+
+const STORAGE_KEY = 'usage_log';
+
+/**
+ * Paid-tier prices in US dollars per million tokens, for prompts up to
+ * 200k tokens. Check current pricing; these only drive the estimates.
+ */
+export const MODEL_PRICES = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 }
+};
+
+/**
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} [outputTokens]
+ * @returns {number|null} Cost in US dollars, or null for a model without a known price.
+ */
+export function estimateCost(model, inputTokens, outputTokens = 0) {
+    const price = MODEL_PRICES[model];
+    return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : null;
+}
+
+/**
+ * @typedef {Object} UsageEntry
+ * @property {string} time - ISO timestamp of the response.
+ * @property {string} model
+ * @property {import('./AIProvider').RequestKind} format
+ * @property {number} files - Images in the request.
+ * @property {number} bytes - Base64 payload of the images.
+ * @property {number|null} promptTokens
+ * @property {number|null} outputTokens
+ * @property {number|null} totalTokens
+ */
+
+/** @type {Set<function(UsageEntry[]): void>} */
+const listeners = new Set();
+
+/**
+ * @returns {UsageEntry[]}
+ */
+export function loadUsageLog() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.warn("Ignoring unreadable usage log:", error);
+        return [];
+    }
+}
+
+/**
+ * @param {UsageEntry[]} log
+ */
+function saveUsageLog(log) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(log));
+    listeners.forEach(listener => listener(log));
+}
+
+/**
+ * Appends the usage of one response to the log.
+ * @param {Object} request
+ * @param {string} request.model
+ * @param {import('./AIProvider').RequestKind} request.format
+ * @param {number} request.files
+ * @param {number} request.bytes
+ * @param {number|null} [request.promptTokens] - Token counts as reported, when the API reports them.
+ * @param {number|null} [request.outputTokens]
+ * @param {number|null} [request.totalTokens]
+ */
+export function recordUsage({ model, format, files, bytes, promptTokens = null, outputTokens = null, totalTokens = null }) {
+    saveUsageLog([...loadUsageLog(), { time: new Date().toISOString(), model, format, files, bytes, promptTokens, outputTokens, totalTokens }]);
+}
+
+export function clearUsageLog() {
+    saveUsageLog([]);
+}
+
+/**
+ * Calls the listener with the whole log after every change.
+ * @param {function(UsageEntry[]): void} listener
+ * @returns {function(): void} Unsubscribes.
+ */
+export function subscribeToUsage(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * @param {UsageEntry} entry
+ * @returns {number|null} Approximate cost in US dollars.
+ */
+export const entryCost = (entry) => estimateCost(entry.model, entry.promptTokens ?? 0, entry.outputTokens ?? 0);
+
+/**
+ * @param {UsageEntry[]} log
+ * @returns {{requests: number, promptTokens: number, outputTokens: number, cost: number}}
+ */
+export function summarizeUsage(log) {
+    return log.reduce((total, entry) => ({
+        requests: total.requests + 1,
+        promptTokens: total.promptTokens + (entry.promptTokens ?? 0),
+        outputTokens: total.outputTokens + (entry.outputTokens ?? 0),
+        cost: total.cost + (entryCost(entry) ?? 0)
+    }), { requests: 0, promptTokens: 0, outputTokens: 0, cost: 0 });
+}
+
+/**
+ * Writes the log as a CSV file, for the usage panel to download.
+ * @param {UsageEntry[]} log
+ * @returns {Blob}
+ */
+export function exportUsageLog(log) {
+    const rows = [
+        ['Time', 'Model', 'Format', 'Files', 'Bytes', 'Input tokens', 'Output tokens', 'Total tokens', 'Cost (USD)'],
+        ...log.map(entry => [
+            entry.time, entry.model, entry.format, entry.files, entry.bytes,
+            entry.promptTokens, entry.outputTokens, entry.totalTokens, entryCost(entry)?.toFixed(6)
+        ].map(value => (value === null || value === undefined ? '' : String(value))))
+    ];
+    return new Blob([toDelimitedText(createTable(rows, { name: 'Usage' }))], { type: 'text/csv;charset=utf-8' });
+}
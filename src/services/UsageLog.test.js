@@ -0,0 +1,31 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { clearUsageLog, exportUsageLog, loadUsageLog, recordUsage, subscribeToUsage, summarizeUsage } from './UsageLog';
+
+// jsdom's Blob has no text()
+const readText = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+describe('usage log', () => {
+    beforeEach(() => sessionStorage.clear());
+
+    it('records reported usage for the session, totals it and writes it as CSV', async () => {
+        const seen = [];
+        const unsubscribe = subscribeToUsage(log => seen.push(log.length));
+        recordUsage({ model: 'gemini-2.5-flash', format: 'docx', files: 2, bytes: 1000, promptTokens: 1e6, outputTokens: 1e5, totalTokens: 1.1e6 });
+        recordUsage({ model: 'unknown-model', format: 'excel', files: 1, bytes: 10 });
+        unsubscribe();
+
+        expect(loadUsageLog().map(entry => [entry.model, entry.promptTokens])).toEqual([['gemini-2.5-flash', 1e6], ['unknown-model', null]]);
+        expect(summarizeUsage(loadUsageLog())).toEqual({ requests: 2, promptTokens: 1e6, outputTokens: 1e5, cost: 0.55 });
+        expect(seen).toEqual([1, 2]);
+
+        const [, first] = (await readText(exportUsageLog(loadUsageLog()))).split('\r\n');
+        expect(first.split(',').slice(1)).toEqual(['gemini-2.5-flash', 'docx', '2', '1000', '1000000', '100000', '1100000', '0.550000']);
+
+        clearUsageLog();
+        expect(loadUsageLog()).toEqual([]);
+    });
+});
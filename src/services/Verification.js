@@ -0,0 +1,146 @@
+/**
+ * Second pass over an extraction: the model compares the text form of the
+ * paper with the source images and reports, per question, how confident it
+ * is and which spans look misread. Spans are quoted from the text form, so
+ * they can be found again in the editor even after other edits.
+ *
+ * @typedef {{excerpt: string, problem: string, suggestion: string|null}} Issue
+ * @typedef {{number: string, confidence: number, issues: Issue[]}} QuestionCheck - confidence is 0 to 1.
+ * @typedef {{questions: QuestionCheck[]}} Verification
+ *
+ * @typedef {Object} Flag - An issue located in the text form.
+ * @property {string} number - Top-level question it belongs to.
+ * @property {string} problem
+ * @property {string|null} suggestion
+ * @property {string} excerpt
+ * @property {number} start - Offset in the text; the question's line when the excerpt was not found.
+ * @property {number} end
+ * @property {number} line - 1-based line of start.
+ * @property {boolean} exact - Whether the excerpt itself was found.
+ */
+
+/**
+ * Questions below this confidence are highlighted even without specific issues.
+ */
+export const LOW_CONFIDENCE = 0.8;
+
+/**
+ * Parses and validates the verification JSON returned by the model.
+ * @param {string} jsonString
+ * @returns {Verification}
+ * @throws {Error} If the JSON is malformed or has no list of questions.
+ */
+export function parseVerification(jsonString) {
+    let data;
+    try {
+        data = JSON.parse(jsonString.replace(/```json/g, '').replace(/```/g, '').trim());
+    } catch (e) {
+        throw new Error(`Invalid JSON from AI: ${e.message}`);
+    }
+    if (!data || !Array.isArray(data.questions)) throw new Error("Invalid verification: 'questions' must be an array");
+
+    return {
+        questions: data.questions.filter(entry => entry && entry.number != null).map(entry => {
+            const confidence = Number(entry.confidence);
+            return {
+                number: String(entry.number).trim().replace(/^Q\.?\s*/i, '').replace(/[.)]$/, ''),
+                // Some models answer in percent
+                confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence > 1 ? confidence / 100 : confidence)) : 1,
+                issues: (Array.isArray(entry.issues) ? entry.issues : [])
+                    .filter(issue => issue && String(issue.excerpt ?? '').trim())
+                    .map(issue => ({
+                        excerpt: String(issue.excerpt).trim(),
+                        problem: String(issue.problem ?? 'Does not match the image'),
+                        suggestion: issue.suggestion ? String(issue.suggestion) : null
+                    }))
+            };
+        })
+    };
+}
+
+/**
+ * Where each top-level question starts in the text form ("3. ..." at the
+ * start of a line).
+ * @param {string} text
+ * @returns {Array<{number: string, offset: number}>}
+ */
+const questionStarts = (text) => [...text.matchAll(/^(?:Q\.?\s*)?(\d+)[.)](?=\s|$)/gim)].map(match => ({ number: match[1], offset: match.index }));
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number} 1-based line number.
+ */
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+/**
+ * Pairs each checked question with the question of the same number, in
+ * order, so numbering that restarts in a later section still lines up.
+ * @template T
+ * @param {T[]} items
+ * @param {function(T): string} numberOf
+ * @param {QuestionCheck[]} checks
+ * @returns {Map<T, QuestionCheck>}
+ */
+function pairByNumber(items, numberOf, checks) {
+    const paired = new Map();
+    checks.forEach(check => {
+        const item = items.find(candidate => numberOf(candidate) === check.number && !paired.has(candidate));
+        if (item !== undefined) paired.set(item, check);
+    });
+    return paired;
+}
+
+/**
+ * Finds each reported issue in the (possibly edited) text form. An issue is
+ * looked for within its question first; one whose excerpt cannot be found
+ * points at the first line of its question instead, as does a question
+ * with low confidence but no specific issue.
+ * @param {string} text
+ * @param {Verification} verification
+ * @returns {Flag[]} In text order.
+ */
+export function locateIssues(text, verification) {
+    const starts = questionStarts(text);
+    const paired = pairByNumber(starts, start => start.number, verification.questions);
+
+    const flags = [];
+    paired.forEach((check, start) => {
+        const next = starts[starts.indexOf(start) + 1];
+        const questionText = text.slice(start.offset, next ? next.offset : text.length);
+        const lineEnd = text.indexOf('\n', start.offset);
+        const wholeLine = { start: start.offset, end: lineEnd === -1 ? text.length : lineEnd, line: lineAt(text, start.offset), exact: false };
+
+        if (!check.issues.length && check.confidence < LOW_CONFIDENCE) {
+            flags.push({ number: check.number, problem: `Low confidence (${Math.round(check.confidence * 100)}%)`, suggestion: null, excerpt: '', ...wholeLine });
+        }
+        check.issues.forEach(issue => {
+            // Excerpts are sometimes quoted with the dollar signs around them left off or added
+            const candidates = [issue.excerpt, issue.excerpt.replace(/^\$+|\$+$/g, '').trim()].filter(Boolean);
+            const found = candidates.map(excerpt => ({ excerpt, index: questionText.indexOf(excerpt) })).find(match => match.index >= 0);
+            const location = found
+                ? { start: start.offset + found.index, end: start.offset + found.index + found.excerpt.length, line: lineAt(text, start.offset + found.index), exact: true }
+                : wholeLine;
+            flags.push({ number: check.number, problem: issue.problem, suggestion: issue.suggestion, excerpt: issue.excerpt, ...location });
+        });
+    });
+
+    return flags.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The check of each top-level question of a paper.
+ * @param {import('./QuestionModel').QuestionPaper} paper
+ * @param {Verification} verification
+ * @returns {Map<import('./QuestionModel').Question, QuestionCheck>}
+ */
+export function checksByQuestion(paper, verification) {
+    const questions = paper.sections.flatMap(section => section.questions);
+    return pairByNumber(questions, question => question.number, verification.questions);
+}
+
+/**
+ * @param {QuestionCheck|undefined} check
+ * @returns {boolean} Whether the question needs a second look.
+ */
+export const needsReview = (check) => !!check && (check.confidence < LOW_CONFIDENCE || check.issues.length > 0);
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { checksByQuestion, locateIssues, needsReview, parseVerification } from './Verification';
+import { createMockProvider, DEFAULT_FIXTURES } from './MockProvider';
+import { parseQuestionPaper, serializeQuestionPaper } from './QuestionModel';
+
+const paper = parseQuestionPaper(JSON.stringify(DEFAULT_FIXTURES.docx[0].response));
+
+describe('verification', () => {
+    it('normalizes question numbers, confidence and empty issues', () => {
+        const verification = parseVerification('```json\n{"questions": [{"number": "Q3.", "confidence": 85, "issues": [{"excerpt": " ", "problem": "?"}]}, {"number": 4, "confidence": "high"}]}\n```');
+        expect(verification.questions).toEqual([
+            { number: '3', confidence: 0.85, issues: [] },
+            { number: '4', confidence: 1, issues: [] }
+        ]);
+        expect(() => parseVerification('{"checks": []}')).toThrow("'questions' must be an array");
+    });
+
+    it('locates the mock provider\'s issues in the text, even after edits above them', async () => {
+        const text = serializeQuestionPaper(paper);
+        const verification = await createMockProvider().verify([new File(['x'], 'p1.png', { type: 'image/png' })], text);
+
+        const edited = `Checked by hand\n${text}`;
+        const flags = locateIssues(edited, verification);
+        expect(flags.map(flag => [flag.number, flag.exact, flag.problem])).toEqual([
+            ['2', true, 'Option B reads 4/7 in the image'],
+            ['3', false, 'Low confidence (70%)']
+        ]);
+        expect(edited.slice(flags[0].start, flags[0].end)).toBe('\\frac{4}{6}');
+        expect(edited.split('\n')[flags[1].line - 1]).toMatch(/^3\. /);
+
+        const checks = checksByQuestion(paper, verification);
+        expect(paper.sections.flatMap(section => section.questions).map(question => needsReview(checks.get(question)))).toEqual([false, true, true]);
+    });
+});